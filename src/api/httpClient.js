@@ -0,0 +1,145 @@
+import axios, { AxiosError } from 'axios';
+import { canSendAccessToken, getAccessToken } from '../auth/authStore.js';
+import { getMockApiState, matchMockHandler, parseHandlerBody, recordResponse } from './mockApi.js';
+import { completeRequestEntry, startRequestEntry } from './requestLog.js';
+
+// Shared axios clients for the shell and its remotes.
+// Reason: remotes brought their own HTTP setup, so the shell could neither observe their traffic nor
+// route it to the mock layer (`mockApi.js`) for offline testing.
+//
+// Remotes get a client as the `http` prop (bound to their name) or import it from the shell container
+// (`shell_admin/http`). Every request is logged in `requestLog.js` with its status and timing, and
+// carries the signed-in admin's access token unless it sets its own `Authorization` header or goes to
+// another origin than the shell's API (`canSendAccessToken` in `auth/authStore.js`).
+
+const GLOBAL_KEY = '__SHOPHUB_HTTP__';
+// Clients whose responses are never recorded for the mock layer (sign-in / refresh carry tokens).
+const UNRECORDED_SOURCES = new Set(['shell-auth']);
+
+function delay(ms) {
+  return new Promise((resolve) => window.setTimeout(resolve, ms));
+}
+
+// Reason: custom adapters replace axios' own, so they must apply `validateStatus` themselves.
+export function settle(response) {
+  const { validateStatus } = response.config;
+  if (!validateStatus || validateStatus(response.status)) return response;
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    response.config,
+    null,
+    response,
+  );
+}
+
+function mockAdapter(handler) {
+  return async (config) => {
+    if (handler.delayMs) await delay(handler.delayMs);
+    return settle({
+      data: parseHandlerBody(handler),
+      status: handler.status,
+      statusText: 'Mocked',
+      headers: { 'x-shophub-mock': handler.id },
+      config,
+      request: null,
+    });
+  };
+}
+
+async function faultAdapter(config) {
+  return settle({
+    data: { error: 'Injected fault (mock API error rate)' },
+    status: 503,
+    statusText: 'Injected fault',
+    headers: { 'x-shophub-mock': 'fault' },
+    config,
+    request: null,
+  });
+}
+
+function createHttpRegistry() {
+  const clients = new Map();
+
+  function createClient(source) {
+    const client = axios.create();
+
+    client.interceptors.request.use(async (config) => {
+      const method = (config.method ?? 'get').toUpperCase();
+      const url = client.getUri(config);
+      const meta = { source, method, url, mocked: null, startedAt: performance.now() };
+      meta.logId = startRequestEntry({ source, method, url });
+      config.shophub = meta;
+
+      const token = getAccessToken();
+      if (token && !config.headers.has('Authorization') && canSendAccessToken(url)) config.headers.set('Authorization', `Bearer ${token}`);
+
+      const mock = getMockApiState();
+      if (!mock.enabled) return config;
+      if (mock.latencyMs > 0) await delay(mock.latencyMs);
+      if (mock.errorRate > 0 && Math.random() < mock.errorRate) {
+        meta.mocked = 'fault';
+        config.adapter = faultAdapter;
+        return config;
+      }
+      const handler = matchMockHandler(method, new URL(url, window.location.href).pathname);
+      if (handler) {
+        meta.mocked = 'handler';
+        config.adapter = mockAdapter(handler);
+      }
+      return config;
+    });
+
+    const finish = (config, response, error) => {
+      const meta = config?.shophub;
+      if (!meta) return;
+      completeRequestEntry(meta.logId, {
+        status: response?.status ?? null,
+        durationMs: Math.round(performance.now() - meta.startedAt),
+        mocked: meta.mocked,
+        error: error ? String(error.message ?? error) : null,
+      });
+      // Reason: only real backend responses are worth replaying later.
+      if (response && !meta.mocked && !UNRECORDED_SOURCES.has(meta.source) && getMockApiState().recordResponses) {
+        recordResponse({
+          method: meta.method,
+          path: new URL(meta.url, window.location.href).pathname,
+          status: response.status,
+          body: response.data,
+        });
+      }
+    };
+
+    client.interceptors.response.use(
+      (response) => {
+        finish(response.config, response, null);
+        return response;
+      },
+      (error) => {
+        finish(error?.config, error?.response, error);
+        return Promise.reject(error);
+      },
+    );
+
+    return client;
+  }
+
+  return {
+    getClient(source) {
+      if (!clients.has(source)) clients.set(source, createClient(source));
+      return clients.get(source);
+    },
+  };
+}
+
+// One registry on `window` for every copy of this module (see `eventBus` in `events/eventBus.js`).
+const registry = window[GLOBAL_KEY] ?? (window[GLOBAL_KEY] = createHttpRegistry());
+
+// Axios instance whose requests are logged under `source`; cached so remotes get a stable prop.
+export function getHttpClient(source) {
+  return registry.getClient(source);
+}
+
+export const http = getHttpClient('host');
+
+export default http;
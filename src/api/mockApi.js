@@ -0,0 +1,175 @@
+import * as yup from 'yup';
+
+// In-browser mock layer for the shell's shared axios client (`httpClient.js`).
+// Reason: remotes call whatever backend they were built against, so the admin shell could not
+// exercise them offline or against edge-case responses.
+//
+// - `handlers`: `{ method, path, status, body, delayMs }`; `path` supports `:param` and `*` segments.
+// - `latencyMs` / `errorRate`: injected into every request (mocked or not) while `enabled`.
+// - `recordResponses`: real responses are kept in `recorded` (secrets redacted, sign-in traffic
+//   excluded) and can be promoted to handlers.
+
+const STORAGE_KEY = 'shophub.admin.mockApi';
+const MAX_RECORDED = 50;
+
+export const HTTP_METHODS = ['ANY', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+export const mockHandlerSchema = yup.object({
+  method: yup.string().oneOf(HTTP_METHODS).required(),
+  path: yup.string().trim().matches(/^\//, 'Path must start with "/"').required('Path is required'),
+  status: yup.number().typeError('Status must be a number').integer().min(100).max(599).required(),
+  body: yup
+    .string()
+    .default('')
+    .test('json', 'Body must be valid JSON (or empty)', (v) => {
+      if (!v?.trim()) return true;
+      try {
+        JSON.parse(v);
+        return true;
+      } catch {
+        return false;
+      }
+    }),
+  delayMs: yup.number().typeError('Delay must be a number').integer().min(0).default(0),
+});
+
+const DEFAULT_STATE = {
+  enabled: false,
+  latencyMs: 0,
+  errorRate: 0,
+  recordResponses: false,
+  handlers: [],
+  recorded: [],
+};
+
+const listeners = new Set();
+let nextId = 1;
+
+// Reason: recorded bodies are persisted, promoted to handlers and exported, so credentials never get in.
+const SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key/i;
+
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redactSecrets(item)]),
+  );
+}
+
+function readPersisted() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? 'null');
+    if (!parsed || typeof parsed !== 'object') return DEFAULT_STATE;
+    return {
+      ...DEFAULT_STATE,
+      ...parsed,
+      handlers: Array.isArray(parsed.handlers) ? parsed.handlers : [],
+      // Reason: recordings stored before redaction existed may still hold tokens.
+      recorded: Array.isArray(parsed.recorded) ? parsed.recorded.map((r) => ({ ...r, body: redactSecrets(r?.body) })) : [],
+    };
+  } catch {
+    return DEFAULT_STATE;
+  }
+}
+
+let state = readPersisted();
+
+function setState(updater) {
+  const next = updater(state);
+  if (next === state) return;
+  state = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.error('[admin-host] Failed to persist mock API config:', e);
+  }
+  for (const listener of listeners) listener();
+}
+
+function makeId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${nextId++}`;
+}
+
+export function getMockApiState() {
+  return state;
+}
+
+export function subscribeMockApi(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// `patch`: any of `enabled`, `latencyMs`, `errorRate` (0-1), `recordResponses`.
+export function setMockApiConfig(patch) {
+  setState((prev) => ({ ...prev, ...patch }));
+}
+
+export function saveMockHandler(handler) {
+  const entry = { enabled: true, ...handler, id: handler.id ?? makeId('mock') };
+  setState((prev) => {
+    const exists = prev.handlers.some((h) => h.id === entry.id);
+    return {
+      ...prev,
+      handlers: exists ? prev.handlers.map((h) => (h.id === entry.id ? entry : h)) : [...prev.handlers, entry],
+    };
+  });
+  return entry.id;
+}
+
+export function toggleMockHandler(id) {
+  setState((prev) => ({ ...prev, handlers: prev.handlers.map((h) => (h.id === id ? { ...h, enabled: !h.enabled } : h)) }));
+}
+
+export function removeMockHandler(id) {
+  setState((prev) => ({ ...prev, handlers: prev.handlers.filter((h) => h.id !== id) }));
+}
+
+// Token-like fields (`accessToken`, `refreshToken`, `password`, ...) in `body` are replaced by `[redacted]`.
+export function recordResponse({ method, path, status, body }) {
+  const entry = { id: makeId('rec'), method, path, status, body: redactSecrets(body), at: Date.now() };
+  setState((prev) => ({ ...prev, recorded: [entry, ...prev.recorded].slice(0, MAX_RECORDED) }));
+}
+
+export function clearRecordedResponses() {
+  setState((prev) => ({ ...prev, recorded: [] }));
+}
+
+// Turn a recorded response into a handler (replacing any handler for the same method + path).
+export function promoteRecordedResponse(id) {
+  const rec = state.recorded.find((r) => r.id === id);
+  if (!rec) return;
+  const existing = state.handlers.find((h) => h.method === rec.method && h.path === rec.path);
+  saveMockHandler({
+    id: existing?.id,
+    method: rec.method,
+    path: rec.path,
+    status: rec.status,
+    body: rec.body === undefined ? '' : JSON.stringify(rec.body, null, 2),
+    delayMs: 0,
+  });
+}
+
+function pathToRegExp(path) {
+  const pattern = path
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') return '.*';
+      if (segment.startsWith(':')) return '[^/]+';
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return new RegExp(`^${pattern}/?$`);
+}
+
+// First enabled handler matching `method` + `pathname` (handlers are tried in list order).
+export function matchMockHandler(method, pathname) {
+  return (
+    state.handlers.find(
+      (h) => h.enabled && (h.method === 'ANY' || h.method === method) && pathToRegExp(h.path).test(pathname),
+    ) ?? null
+  );
+}
+
+export function parseHandlerBody(handler) {
+  return handler.body?.trim() ? JSON.parse(handler.body) : null;
+}
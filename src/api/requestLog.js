@@ -0,0 +1,40 @@
+// Bounded log of every request made through the shared http client, per remote.
+// Entries are added when a request starts (`status: null`) and completed when it settles.
+
+const MAX_LOG = 300;
+
+const listeners = new Set();
+let log = [];
+let nextId = 1;
+
+function emit() {
+  for (const listener of listeners) listener();
+}
+
+export function getRequestLog() {
+  return log;
+}
+
+export function subscribeRequestLog(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function startRequestEntry({ source, method, url }) {
+  const entry = { id: nextId++, source, method, url, status: null, durationMs: null, mocked: null, error: null, at: Date.now() };
+  log = [entry, ...log].slice(0, MAX_LOG);
+  emit();
+  return entry.id;
+}
+
+// `patch`: `status`, `durationMs`, `mocked` (`'handler'` | `'fault'` | null), `error`.
+export function completeRequestEntry(id, patch) {
+  if (!log.some((e) => e.id === id)) return;
+  log = log.map((e) => (e.id === id ? { ...e, ...patch } : e));
+  emit();
+}
+
+export function clearRequestLog() {
+  log = [];
+  emit();
+}
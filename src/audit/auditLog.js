@@ -0,0 +1,143 @@
+import { getSignedInUser } from '../auth/authStore.js';
+import { idbGetAll, idbPut } from '../utils/idb.js';
+
+// Append-only audit log of host state mutations: who did what, from which remote, with the affected
+// slices before and after. Stored in IndexedDB (`auditEntries`) so it survives reloads and is shared by
+// every shell tab.
+// Reason: the event bus log is in-memory and per tab, so "who emptied that wishlist" was unanswerable.
+//
+// Entries are never updated or deleted from the shell; `hostStore.js` records them, the Audit page reads them.
+
+const CHANNEL_NAME = 'shophub-admin-audit';
+
+const listeners = new Set();
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+let state = { entries: [], loaded: false, error: null };
+let loading = null;
+
+function setState(next) {
+  state = { ...state, ...next };
+  for (const listener of listeners) listener();
+}
+
+// Newest first; ignores an entry already present (own broadcast echoed after a reload, ...).
+function addEntry(entry) {
+  if (state.entries.some((e) => e.id === entry.id)) return;
+  setState({ entries: [entry, ...state.entries].sort((a, b) => b.at - a.at) });
+}
+
+channel?.addEventListener('message', (event) => {
+  if (event.data?.type === 'entry') addEntry(event.data.entry);
+});
+
+export function getAuditState() {
+  return state;
+}
+
+export function subscribeAuditLog(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function loadAuditLog() {
+  if (!loading) {
+    loading = idbGetAll('auditEntries')
+      .then((stored) => {
+        const ids = new Set(stored.map((e) => e.id));
+        setState({ entries: [...stored, ...state.entries.filter((e) => !ids.has(e.id))].sort((a, b) => b.at - a.at), loaded: true, error: null });
+      })
+      .catch((e) => {
+        console.error('[admin-host] Failed to load audit log:', e);
+        loading = null;
+        setState({ loaded: true, error: e?.message ?? String(e) });
+      });
+  }
+  return loading;
+}
+
+function describeUser(user) {
+  return user ? { name: user.name ?? null, email: user.email ?? null, role: user.role ?? null } : null;
+}
+
+// `changes`: `{ [slice]: { before, after } }` for the host state slices the action modified.
+// `persona`: the mock user remotes saw as `currentUser` (the signed-in admin is recorded as `actor`).
+export function recordAuditEntry({ action, source, details = {}, changes, persona = null }) {
+  const entry = {
+    id: `audit-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    at: Date.now(),
+    action,
+    source,
+    actor: describeUser(getSignedInUser()),
+    persona: describeUser(persona),
+    details,
+    changes,
+  };
+  addEntry(entry);
+  channel?.postMessage({ type: 'entry', entry });
+  idbPut('auditEntries', entry).catch((e) => console.error('[admin-host] Failed to persist audit entry:', e));
+  return entry;
+}
+
+function countLabel(value) {
+  return Array.isArray(value) ? `${value.length} item${value.length === 1 ? '' : 's'}` : JSON.stringify(value);
+}
+
+// One line per changed slice, e.g. `wishlistItems: 3 items → 0 items`.
+export function describeChanges(entry) {
+  return Object.entries(entry.changes ?? {})
+    .map(([slice, { before, after }]) => `${slice}: ${countLabel(before)} → ${countLabel(after)}`)
+    .join('; ');
+}
+
+export function describeActor(entry) {
+  return entry.actor?.email ?? entry.actor?.name ?? 'anonymous';
+}
+
+// `filters`: `{ query, source, action, actor, slice, from, to }`; empty / `'all'` values match everything,
+// `from` / `to` are timestamps (inclusive).
+export function filterAuditEntries(entries, { query = '', source = 'all', action = 'all', actor = 'all', slice = 'all', from = null, to = null } = {}) {
+  const q = query.trim().toLowerCase();
+  return entries.filter(
+    (e) =>
+      (source === 'all' || e.source === source) &&
+      (action === 'all' || e.action === action) &&
+      (actor === 'all' || describeActor(e) === actor) &&
+      (slice === 'all' || Object.hasOwn(e.changes ?? {}, slice)) &&
+      (from == null || e.at >= from) &&
+      (to == null || e.at <= to) &&
+      (!q ||
+        [e.action, e.source, e.actor?.name, e.actor?.email, e.persona?.name, e.persona?.email, JSON.stringify(e.details)]
+          .filter(Boolean)
+          .some((text) => text.toLowerCase().includes(q))),
+  );
+}
+
+export const AUDIT_CSV_COLUMNS = [
+  { key: 'time', label: 'Time' },
+  { key: 'action', label: 'Action' },
+  { key: 'source', label: 'Source' },
+  { key: 'actor', label: 'Actor' },
+  { key: 'persona', label: 'Persona' },
+  { key: 'summary', label: 'Summary' },
+  { key: 'details', label: 'Details' },
+  { key: 'before', label: 'Before' },
+  { key: 'after', label: 'After' },
+];
+
+// Flat rows for `downloadCsv`; snapshots are written as JSON.
+export function toAuditCsvRows(entries) {
+  return entries.map((e) => {
+    const slices = Object.entries(e.changes ?? {});
+    return {
+      time: new Date(e.at).toISOString(),
+      action: e.action,
+      source: e.source,
+      actor: describeActor(e),
+      persona: e.persona?.email ?? e.persona?.name ?? '',
+      summary: describeChanges(e),
+      details: e.details,
+      before: Object.fromEntries(slices.map(([slice, change]) => [slice, change.before])),
+      after: Object.fromEntries(slices.map(([slice, change]) => [slice, change.after])),
+    };
+  });
+}
@@ -0,0 +1,108 @@
+import { authConfig, getAuthState, readStoredSession, setAuthState } from './authStore.js';
+import { createHttpAuthProvider } from './httpAuthProvider.js';
+import { createLocalAuthProvider } from './localAuthProvider.js';
+
+// Sign-in flow for the admin shell with a pluggable provider.
+// Reason: anyone opening the admin URL used to get a hardcoded ADMIN user.
+//
+// A provider is `{ id, label, login(credentials), refresh(session), logout(session) }`; `login` and
+// `refresh` resolve to `{ user, accessToken, refreshToken, expiresAt }` and reject with a readable error.
+// Sessions are refreshed shortly before `expiresAt`; a failed refresh signs the admin out.
+
+const REFRESH_MARGIN_MS = 60 * 1000;
+// Reason: `setTimeout` delays above 2^31 - 1 ms (~24.8 days) overflow and fire at once; longer waits re-arm.
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+export { authConfig };
+
+let provider = null;
+let refreshTimer = null;
+
+export function setAuthProvider(next) {
+  provider = next;
+}
+
+export function getAuthProvider() {
+  return provider;
+}
+
+function createConfiguredProvider(config) {
+  if (config.provider === 'http') return createHttpAuthProvider(config);
+  return createLocalAuthProvider();
+}
+
+function scheduleRefresh(expiresAt) {
+  const delay = Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+  refreshTimer = window.setTimeout(() => {
+    if (delay > MAX_TIMER_DELAY_MS) scheduleRefresh(expiresAt);
+    else refreshSession();
+  }, Math.min(delay, MAX_TIMER_DELAY_MS));
+}
+
+function startSession(session) {
+  window.clearTimeout(refreshTimer);
+  const stored = { ...session, provider: provider.id };
+  setAuthState({ status: 'signed-in', session: stored, pending: false, error: null });
+  if (Number.isFinite(stored.expiresAt)) scheduleRefresh(stored.expiresAt);
+}
+
+function endSession(error = null) {
+  window.clearTimeout(refreshTimer);
+  setAuthState({ status: 'signed-out', session: null, pending: false, error });
+}
+
+export async function refreshSession() {
+  const { session } = getAuthState();
+  if (!session) return false;
+  try {
+    startSession(await provider.refresh(session));
+    return true;
+  } catch (e) {
+    console.error('[admin-host] Session refresh failed:', e);
+    endSession('Your session expired. Please sign in again.');
+    return false;
+  }
+}
+
+// Resolves to `{ success, error? }` (the auth remote's `login` contract) instead of throwing.
+export async function login(credentials) {
+  setAuthState({ pending: true, error: null });
+  try {
+    startSession(await provider.login(credentials));
+    return { success: true };
+  } catch (e) {
+    const error = String(e?.message ?? e);
+    setAuthState({ pending: false, error });
+    return { success: false, error };
+  }
+}
+
+export async function logout() {
+  const { session } = getAuthState();
+  endSession();
+  try {
+    await provider.logout(session);
+  } catch (e) {
+    // Reason: the local session is already gone; a failed server-side revoke must not block sign-out.
+    console.error('[admin-host] Sign-out request failed:', e);
+  }
+}
+
+let initialized = false;
+
+// Restores the stored session (refreshing it if it expired while the shell was closed).
+export async function initAuth(config = authConfig) {
+  if (initialized) return;
+  initialized = true;
+  if (!provider) setAuthProvider(createConfiguredProvider(config));
+
+  const stored = readStoredSession();
+  // Reason: a session issued by another provider (e.g. local tokens after switching to http) is unusable.
+  if (!stored || stored.provider !== provider.id) return endSession();
+  setAuthState({ session: stored });
+  if (stored.expiresAt && stored.expiresAt - Date.now() <= REFRESH_MARGIN_MS) {
+    await refreshSession();
+    return;
+  }
+  startSession(stored);
+}
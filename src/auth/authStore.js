@@ -0,0 +1,81 @@
+/* global __AUTH_CONFIG__ */
+
+// Signed-in admin session for the shell.
+// Reason: kept apart from `auth.js` (providers, login flow) so low-level modules such as the shared
+// http client can read the access token without importing the providers.
+//
+// - `status`: `'initializing'` until the stored session is restored, then `'signed-in'` / `'signed-out'`.
+// - `session`: `{ user, accessToken, refreshToken, expiresAt, provider }`; persisted in localStorage.
+// - `pending`: a login is in flight; `error`: the last login / refresh failure message.
+//
+// Also holds the build-time `authConfig`, which decides where the access token may be sent.
+
+const SESSION_STORAGE_KEY = 'shophub.admin.auth';
+
+// Build-time config injected by webpack (`DefinePlugin`); see `webpack.config.cjs`.
+export const authConfig = typeof __AUTH_CONFIG__ === 'object' && __AUTH_CONFIG__ ? __AUTH_CONFIG__ : {};
+
+const listeners = new Set();
+let state = { status: 'initializing', session: null, pending: false, error: null };
+
+export function readStoredSession() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY) ?? 'null');
+    return parsed?.accessToken && parsed?.user ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+export function getAuthState() {
+  return state;
+}
+
+export function subscribeAuth(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setAuthState(patch) {
+  const next = { ...state, ...patch };
+  if (next.session !== state.session) {
+    try {
+      if (next.session) window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(next.session));
+      else window.localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (e) {
+      console.error('[admin-host] Failed to persist auth session:', e);
+    }
+  }
+  state = next;
+  for (const listener of listeners) listener();
+}
+
+export function getAccessToken() {
+  return state.session?.accessToken ?? null;
+}
+
+export function getSignedInUser() {
+  return state.session?.user ?? null;
+}
+
+function toOrigin(url) {
+  try {
+    return new URL(url, window.location.href).origin;
+  } catch {
+    return null;
+  }
+}
+
+let tokenOrigins = null;
+
+// Whether a request to `url` may carry the access token: same-origin, the auth endpoints' origins
+// and `authConfig.tokenOrigins` only, so remotes calling other hosts never leak it.
+export function canSendAccessToken(url) {
+  tokenOrigins ??= new Set(
+    [window.location.href, authConfig.loginUrl, authConfig.refreshUrl, authConfig.logoutUrl, ...(authConfig.tokenOrigins ?? [])]
+      .filter(Boolean)
+      .map(toOrigin),
+  );
+  const origin = toOrigin(url);
+  return origin !== null && tokenOrigins.has(origin);
+}
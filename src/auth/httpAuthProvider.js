@@ -0,0 +1,48 @@
+import { getHttpClient } from '../api/httpClient.js';
+
+// Auth provider backed by the ShopHub auth API.
+// Requests go through the shell's http client, so they show up in the Network page and can be mocked.
+//
+// Endpoints (see `authConfig`) respond with `{ user, accessToken, refreshToken?, expiresIn }`
+// (`expiresIn` in seconds; `expiresAt` as epoch ms is accepted too).
+
+function toSession(data) {
+  if (!data?.accessToken || !data?.user) throw new Error('Auth response is missing `accessToken` or `user`');
+  const expiresAt = data.expiresAt ?? (data.expiresIn ? Date.now() + Number(data.expiresIn) * 1000 : null);
+  return {
+    user: { ...data.user, permissions: Array.isArray(data.user.permissions) ? data.user.permissions : [] },
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken ?? null,
+    expiresAt,
+  };
+}
+
+function toError(e, fallback) {
+  return new Error(e?.response?.data?.message ?? e?.response?.data?.error ?? e?.message ?? fallback);
+}
+
+export function createHttpAuthProvider({ loginUrl, refreshUrl, logoutUrl }) {
+  const http = getHttpClient('shell-auth');
+  return {
+    id: 'http',
+    label: 'ShopHub auth API',
+    async login(credentials) {
+      try {
+        return toSession((await http.post(loginUrl, credentials)).data);
+      } catch (e) {
+        throw toError(e, 'Sign-in failed');
+      }
+    },
+    async refresh(session) {
+      if (!session?.refreshToken) throw new Error('No refresh token');
+      try {
+        return toSession((await http.post(refreshUrl, { refreshToken: session.refreshToken })).data);
+      } catch (e) {
+        throw toError(e, 'Session refresh failed');
+      }
+    },
+    async logout(session) {
+      await http.post(logoutUrl, { refreshToken: session?.refreshToken ?? null });
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { SHELL_PERMISSIONS } from './permissions.js';
+
+// Local stand-in auth provider for development.
+// Reason: lets the shell (and the auth remote's login form) run without an auth backend.
+// Tokens are opaque strings that only this provider understands; every account uses `LOCAL_PASSWORD`.
+
+export const LOCAL_PASSWORD = 'shophub';
+const TOKEN_TTL_MS = 15 * 60 * 1000;
+
+export const LOCAL_ACCOUNTS = [
+  {
+    name: 'Admin',
+    email: 'admin@shophub.dev',
+    role: 'ADMIN',
+    permissions: [
+      SHELL_PERMISSIONS.ACCESS,
+      SHELL_PERMISSIONS.TOOLS,
+      'EDIT',
+      'VIEW_WISHLIST_META',
+      'VIEW_ORDERS',
+      'MANAGE_USERS',
+    ],
+  },
+  {
+    name: 'Sam Support',
+    email: 'support@shophub.dev',
+    role: 'SUPPORT',
+    permissions: [SHELL_PERMISSIONS.ACCESS, 'VIEW_WISHLIST_META', 'VIEW_ORDERS'],
+  },
+  // Reason: a valid login without shell access, to check the access-denied path.
+  { name: 'Casey Customer', email: 'customer@shophub.dev', role: 'CUSTOMER', permissions: [] },
+];
+
+function issueSession(user) {
+  const nonce = Math.random().toString(36).slice(2);
+  return {
+    user,
+    accessToken: `local-access.${nonce}`,
+    refreshToken: `local-refresh.${user.email}.${nonce}`,
+    expiresAt: Date.now() + TOKEN_TTL_MS,
+  };
+}
+
+export function createLocalAuthProvider() {
+  return {
+    id: 'local',
+    label: 'Local (development)',
+    async login({ email, password } = {}) {
+      const user = LOCAL_ACCOUNTS.find((a) => a.email === String(email ?? '').trim().toLowerCase());
+      if (!user || password !== LOCAL_PASSWORD) throw new Error('Invalid email or password');
+      return issueSession(user);
+    },
+    async refresh(session) {
+      const user = LOCAL_ACCOUNTS.find((a) => session?.refreshToken?.startsWith(`local-refresh.${a.email}.`));
+      if (!user) throw new Error('Invalid refresh token');
+      return issueSession(user);
+    },
+    async logout() {},
+  };
+}
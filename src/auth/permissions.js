@@ -0,0 +1,14 @@
+// Permissions the admin shell checks on the signed-in user (not the persona handed to remotes).
+export const SHELL_PERMISSIONS = {
+  // Required to use the admin shell at all.
+  ACCESS: 'ADMIN_SHELL',
+  // Required for the tool pages (events, network, replays, ...).
+  TOOLS: 'ADMIN_TOOLS',
+};
+
+// True when `user` holds every permission in `required` (an empty list only needs a user).
+export function hasPermissions(user, required = []) {
+  if (!user) return false;
+  const granted = new Set(user.permissions ?? []);
+  return required.every((p) => granted.has(p));
+}
@@ -1,4 +1,5 @@
 import './index.css';
+import { initSharedDepsMonitor } from './remotes/sharedDeps.js';
 
 // Ensure optional analytics globals exist.
 // Reason: some pages call `window.gtag` and should not crash when GA script isn't injected.
@@ -6,13 +7,36 @@ if (typeof window !== 'undefined' && typeof window.gtag !== 'function') {
   window.gtag = () => {};
 }
 
+// Reason: when switched on for this tab, installed before `react-dom` is evaluated so the shell's own
+// renderer is counted too.
+initSharedDepsMonitor();
+
 async function start() {
-  const [{ default: React }, { default: ReactDOM }, { default: App }] = await Promise.all([
+  const [
+    { default: React },
+    { default: ReactDOM },
+    { default: App },
+    { initErrorReporting },
+    { initSessionRecording },
+    { initAuth },
+    { initWebVitals },
+  ] = await Promise.all([
     import('react'),
     import('react-dom/client'),
     import('./App.jsx'),
+    import('./errors/errorReporting.js'),
+    import('./recording/sessionRecorder.js'),
+    import('./auth/auth.js'),
+    import('./perf/webVitals.js'),
   ]);
 
+  // Reason: initialize reporters before the first render so early remote crashes are captured.
+  initErrorReporting();
+  initSessionRecording();
+  initWebVitals();
+  // Reason: not awaited; routes show a loader until the stored session is restored.
+  initAuth();
+
   ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
       <App />
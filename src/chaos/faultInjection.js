@@ -0,0 +1,156 @@
+import { getRemoteContract } from '../contracts/remoteContracts.js';
+
+// Per-remote fault injection ("chaos") for resilience testing.
+// Reason: verifying a remote's error and loading states used to require deploying a broken build.
+//
+// Faults per remote:
+// - `importDelayMs` / `failEntryLoad`: delay the lazy import / fail the `remoteEntry.js` load
+//   (hooked into `remotes/registry.js`; they apply to the next load, see `loadGeneration`).
+// - `throwOnRender`: `RemotePanel` throws inside the remote's error boundary.
+// - `callbackDelayMs` / `rejectCallbacks`: slow down / reject the remote's async host callbacks
+//   (`callbacks` limits this to some of them; empty means all).
+//
+// Kept in sessionStorage. Reason: faults survive a reload (to test first-load failures) but never leak
+// into the next admin session.
+
+const STORAGE_KEY = 'shophub.admin.faults';
+
+export const NO_FAULTS = {
+  importDelayMs: 0,
+  failEntryLoad: false,
+  throwOnRender: false,
+  callbackDelayMs: 0,
+  rejectCallbacks: false,
+  callbacks: [],
+  loadGeneration: 0,
+};
+
+const LOAD_FAULT_KEYS = ['importDelayMs', 'failEntryLoad'];
+
+const listeners = new Set();
+
+function readStored() {
+  try {
+    const parsed = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) ?? '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+let state = readStored();
+
+function setState(updater) {
+  const next = updater(state);
+  if (next === state) return;
+  state = next;
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.error('[admin-host] Failed to persist fault injection config:', e);
+  }
+  for (const listener of listeners) listener();
+}
+
+export function getFaultState() {
+  return state;
+}
+
+export function subscribeFaults(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getRemoteFaults(remote, s = state) {
+  return s[remote] ? { ...NO_FAULTS, ...s[remote] } : NO_FAULTS;
+}
+
+export function hasActiveFaults(faults) {
+  return Boolean(faults.importDelayMs || faults.failEntryLoad || faults.throwOnRender || faults.callbackDelayMs || faults.rejectCallbacks);
+}
+
+export function getFaultyRemotes(s = state) {
+  return Object.keys(s).filter((remote) => hasActiveFaults(getRemoteFaults(remote, s)));
+}
+
+export function setRemoteFaults(remote, patch) {
+  setState((prev) => {
+    const current = getRemoteFaults(remote, prev);
+    const next = { ...current, ...patch };
+    // Reason: a changed load fault only shows on a fresh import; `RemotePanel` remounts on a new generation.
+    if (LOAD_FAULT_KEYS.some((key) => next[key] !== current[key])) next.loadGeneration = current.loadGeneration + 1;
+    return { ...prev, [remote]: next };
+  });
+}
+
+export function clearRemoteFaults(remote) {
+  const { loadGeneration } = getRemoteFaults(remote);
+  setRemoteFaults(remote, { ...NO_FAULTS, loadGeneration });
+}
+
+export function clearAllFaults() {
+  for (const remote of getFaultyRemotes()) clearRemoteFaults(remote);
+}
+
+// Async host callbacks of a remote's contract: the ones `callbackDelayMs` / `rejectCallbacks` target.
+export function getFaultableCallbacks(remote) {
+  const contract = getRemoteContract(remote) ?? {};
+  return Object.entries(contract)
+    .filter(([, spec]) => spec.kind === 'callback' && spec.async)
+    .map(([prop]) => prop);
+}
+
+function delay(ms) {
+  return new Promise((resolve) => window.setTimeout(resolve, ms));
+}
+
+function injectedError(remote, what) {
+  const error = new Error(`Injected fault: ${what} (${remote})`);
+  error.name = 'InjectedFaultError';
+  return error;
+}
+
+// Called by the registry before loading a remote module.
+export async function applyImportFaults(remote) {
+  const { importDelayMs } = getRemoteFaults(remote);
+  if (importDelayMs > 0) await delay(importDelayMs);
+}
+
+// Called by the registry before resolving a remote container; throws like a failed script load.
+export function assertEntryLoadAllowed(remote, url) {
+  if (getRemoteFaults(remote).failEntryLoad) throw injectedError(remote, `failed to load ${url}`);
+}
+
+export function throwRenderFault(remote) {
+  throw injectedError(remote, 'render error');
+}
+
+// `remote|prop` -> original fn -> wrapped fn.
+// Reason: wrappers read the faults at call time and are cached, so toggling faults never changes
+// the callback identities a remote receives.
+const wrappers = new Map();
+
+function wrapCallback(remote, prop, fn) {
+  return async function faultInjected(...args) {
+    const faults = getRemoteFaults(remote);
+    const targeted = !faults.callbacks.length || faults.callbacks.includes(prop);
+    if (targeted && faults.callbackDelayMs > 0) await delay(faults.callbackDelayMs);
+    if (targeted && faults.rejectCallbacks) throw injectedError(remote, `${prop} rejected`);
+    return fn.apply(this, args);
+  };
+}
+
+// Returns `props` with the remote's async contract callbacks routed through the fault injector.
+export function injectCallbackFaults(remote, props) {
+  const next = { ...props };
+  for (const prop of getFaultableCallbacks(remote)) {
+    const fn = props[prop];
+    if (typeof fn !== 'function') continue;
+    const key = `${remote}|${prop}`;
+    if (!wrappers.has(key)) wrappers.set(key, new WeakMap());
+    const cache = wrappers.get(key);
+    if (!cache.has(fn)) cache.set(fn, wrapCallback(remote, prop, fn));
+    next[prop] = cache.get(fn);
+  }
+  return next;
+}
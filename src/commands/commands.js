@@ -0,0 +1,233 @@
+import { notify } from '../store/notificationStore.js';
+
+// Command registry behind the command palette (Ctrl/Cmd+K) and keyboard shortcuts.
+// Reason: shell actions were spread over menus and the "Render MFEs" select; one searchable list
+// (which remotes can add to) makes them reachable from the keyboard.
+//
+// A command: `{ id, title, group?, keywords?, shortcut?, hidden?, run }`.
+// - `shortcut`: default binding such as `Mod+Shift+T` (`Mod` is Cmd on macOS, Ctrl elsewhere);
+//   admins can rebind it on the cheatsheet (stored per browser in localStorage).
+// - `hidden`: bound to a shortcut but not listed in the palette.
+// Remotes register through the `commands` prop (`register(commands)` returns an unregister function);
+// their ids are prefixed with the remote name and their commands go away when the panel unmounts.
+
+const SHORTCUTS_STORAGE_KEY = 'shophub.admin.shortcuts';
+const MAX_RESULTS = 50;
+
+export const PALETTE_COMMAND_ID = 'shell:palette';
+export const CHEATSHEET_COMMAND_ID = 'shell:shortcuts';
+export const IS_MAC = /Mac|iPhone|iPad/.test(window.navigator?.platform ?? '');
+
+const listeners = new Set();
+const registrations = new Map();
+
+function readShortcutOverrides() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(SHORTCUTS_STORAGE_KEY) ?? '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// `overrides`: `{ [commandId]: binding | null }`; `null` removes a default binding.
+let state = { commands: [], overrides: readShortcutOverrides(), paletteOpen: false, cheatsheetOpen: false };
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  for (const listener of listeners) listener();
+}
+
+export function getCommandState() {
+  return state;
+}
+
+export function subscribeCommands(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Shell commands first, then remotes in registration order.
+function rebuild() {
+  const all = [...registrations.values()].flat();
+  setState({ commands: [...all.filter((c) => c.source === 'shell'), ...all.filter((c) => c.source !== 'shell')] });
+}
+
+function normalize(source, command) {
+  const id = source === 'shell' ? command.id : `${source}:${command.id}`;
+  return {
+    ...command,
+    id,
+    source,
+    group: command.group ?? source,
+    keywords: Array.isArray(command.keywords) ? command.keywords : [],
+    shortcut: command.shortcut ? normalizeShortcut(command.shortcut) : null,
+  };
+}
+
+// Registers `commands` for `source` (`'shell'` or a remote name); returns an unregister function.
+// Invalid entries (no id, title or `run`) are skipped with a warning.
+export function registerCommands(source, commands) {
+  const token = Symbol(source);
+  const valid = (Array.isArray(commands) ? commands : []).filter((c) => {
+    const ok = c && typeof c.id === 'string' && typeof c.title === 'string' && typeof c.run === 'function';
+    if (!ok) console.warn(`[admin-host] Ignoring invalid command from ${source}:`, c);
+    return ok;
+  });
+  registrations.set(token, valid.map((c) => normalize(source, c)));
+  rebuild();
+  return () => {
+    if (registrations.delete(token)) rebuild();
+  };
+}
+
+// `commands` prop for one mounted remote panel; `dispose` drops whatever the remote registered.
+// `readOnly` (compare mode's mirror) accepts registrations but keeps them out of the palette.
+export function createCommandScope(source, { readOnly = false } = {}) {
+  const unregisters = new Set();
+  return {
+    api: {
+      register(commands) {
+        if (readOnly) return () => {};
+        const unregister = registerCommands(source, commands);
+        unregisters.add(unregister);
+        return () => {
+          unregisters.delete(unregister);
+          unregister();
+        };
+      },
+    },
+    dispose() {
+      for (const unregister of unregisters) unregister();
+      unregisters.clear();
+    },
+  };
+}
+
+export function runCommand(command) {
+  // Reason: the palette's own command toggles it, so it must see whether the palette was open.
+  if (command.id !== PALETTE_COMMAND_ID) setState({ paletteOpen: false });
+  try {
+    const result = command.run();
+    if (typeof result?.catch === 'function') result.catch((e) => reportFailure(command, e));
+  } catch (e) {
+    reportFailure(command, e);
+  }
+}
+
+function reportFailure(command, error) {
+  console.error(`[admin-host] Command "${command.id}" failed:`, error);
+  notify({ message: `${command.title} failed: ${error?.message ?? error}`, severity: 'error', source: command.source });
+}
+
+export function setPaletteOpen(open) {
+  setState({ paletteOpen: open, cheatsheetOpen: open ? false : state.cheatsheetOpen });
+}
+
+export function setCheatsheetOpen(open) {
+  setState({ cheatsheetOpen: open, paletteOpen: open ? false : state.paletteOpen });
+}
+
+// --- Shortcuts ---
+
+const MODIFIERS = ['Mod', 'Alt', 'Shift'];
+
+// Canonical form: modifiers in `MODIFIERS` order, then the key (`mod+shift+t` → `Mod+Shift+T`).
+export function normalizeShortcut(binding) {
+  const parts = String(binding).split('+').map((p) => p.trim()).filter(Boolean);
+  const key = parts.pop() ?? '';
+  const modifiers = new Set(parts.map((p) => p.toLowerCase()));
+  const ordered = MODIFIERS.filter((m) => modifiers.has(m.toLowerCase()) || (m === 'Mod' && (modifiers.has('ctrl') || modifiers.has('cmd') || modifiers.has('meta'))));
+  return [...ordered, key.length === 1 ? key.toUpperCase() : key].join('+');
+}
+
+// Binding for a keydown event, or null for a bare modifier press.
+// Reason: letters and digits come from `code`, since Alt / Option turns `key` into other characters on macOS.
+export function shortcutFromEvent(event) {
+  if (['Control', 'Meta', 'Alt', 'Shift'].includes(event.key)) return null;
+  const letterOrDigit = /^(Key([A-Z])|Digit(\d))$/.exec(event.code ?? '');
+  const key = letterOrDigit ? (letterOrDigit[2] ?? letterOrDigit[3]) : event.key === ' ' ? 'Space' : event.key;
+  // Reason: for symbols Shift is part of the character (`?` is Shift+/ on US layouts), so it is dropped.
+  const shift = event.shiftKey && (letterOrDigit || key.length > 1);
+  const parts = [event.ctrlKey || event.metaKey ? 'Mod' : null, event.altKey ? 'Alt' : null, shift ? 'Shift' : null, key];
+  return normalizeShortcut(parts.filter(Boolean).join('+'));
+}
+
+export function formatShortcut(binding) {
+  if (!binding) return '';
+  return binding
+    .split('+')
+    .map((part) => ({ Mod: IS_MAC ? '⌘' : 'Ctrl', Alt: IS_MAC ? '⌥' : 'Alt', Shift: IS_MAC ? '⇧' : 'Shift' })[part] ?? part)
+    .join(IS_MAC ? '' : '+');
+}
+
+export function getShortcut(command, s = state) {
+  return Object.hasOwn(s.overrides, command.id) ? s.overrides[command.id] : command.shortcut;
+}
+
+function persistOverrides(overrides) {
+  try {
+    window.localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(overrides));
+  } catch (e) {
+    console.error('[admin-host] Failed to persist keyboard shortcuts:', e);
+  }
+  setState({ overrides });
+}
+
+// Binds `binding` (or nothing, for `null`) to `commandId`; a command already using it loses it.
+export function setShortcut(commandId, binding) {
+  const next = binding ? normalizeShortcut(binding) : null;
+  const overrides = { ...state.overrides, [commandId]: next };
+  if (next) {
+    for (const command of state.commands) {
+      if (command.id !== commandId && getShortcut(command, { overrides }) === next) overrides[command.id] = null;
+    }
+  }
+  persistOverrides(overrides);
+}
+
+export function resetShortcuts() {
+  persistOverrides({});
+}
+
+export function findCommandByShortcut(binding, s = state) {
+  return s.commands.find((c) => getShortcut(c, s) === binding) ?? null;
+}
+
+// --- Fuzzy search ---
+
+// Characters of `query` must appear in order; consecutive matches and word starts score higher.
+function fuzzyScore(query, text) {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of query) {
+    const index = haystack.indexOf(char, from);
+    if (index < 0) return null;
+    score += 1;
+    if (index === previous + 1) score += 3;
+    if (index === 0 || /[\s\-_:/→>]/.test(haystack[index - 1])) score += 2;
+    previous = index;
+    from = index + 1;
+  }
+  return score - haystack.length * 0.01;
+}
+
+// Palette entries for `query`, best match first; an empty query lists everything by group.
+export function searchCommands(query, s = state) {
+  const visible = s.commands.filter((c) => !c.hidden);
+  const q = query.trim().toLowerCase().replace(/\s+/g, ' ');
+  if (!q) return visible.slice(0, MAX_RESULTS);
+  return visible
+    .map((command) => {
+      const scores = [command.title, `${command.group} ${command.title}`, ...command.keywords].map((text) => fuzzyScore(q, text));
+      const best = Math.max(...scores.map((x) => x ?? -Infinity));
+      // Reason: a title match beats the same match found only in the group or keywords.
+      return { command, score: scores[0] === best ? best + 1 : best };
+    })
+    .filter((r) => r.score > -Infinity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RESULTS)
+    .map((r) => r.command);
+}
@@ -0,0 +1,27 @@
+import { Box, Button, Chip, Paper, Stack, Typography } from '@mui/material';
+import { logout } from '../auth/auth.js';
+
+// Shown instead of a page (or the whole shell) when the signed-in admin lacks `requires`.
+export default function AccessDenied({ requires = [], user }) {
+  const granted = new Set(user?.permissions ?? []);
+  return (
+    <Paper elevation={0} sx={{ p: 4, borderRadius: 3, border: '1px solid', borderColor: 'divider', bgcolor: 'background.paper', textAlign: 'center' }}>
+      <Typography variant="h5" sx={{ fontWeight: 950, mb: 1 }}>
+        Access denied
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {user ? `${user.email} (${user.role})` : 'You'} is missing the permissions needed here.
+      </Typography>
+      <Stack direction="row" spacing={1} sx={{ justifyContent: 'center', flexWrap: 'wrap', mb: 3 }}>
+        {requires.map((p) => (
+          <Chip key={p} size="small" label={p} color={granted.has(p) ? 'success' : 'error'} variant="outlined" sx={{ fontFamily: 'monospace' }} />
+        ))}
+      </Stack>
+      <Box>
+        <Button variant="outlined" onClick={logout}>
+          Sign in as someone else
+        </Button>
+      </Box>
+    </Paper>
+  );
+}
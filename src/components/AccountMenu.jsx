@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { Button, Divider, ListItemIcon, ListItemText, Menu, MenuItem, Typography } from '@mui/material';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import LogoutIcon from '@mui/icons-material/Logout';
+import { getAuthProvider, logout } from '../auth/auth.js';
+import { useAuth } from '../hooks/useAuth.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+// AppBar control for the signed-in admin (as opposed to the persona remotes see).
+export default function AccountMenu() {
+  const { user, session } = useAuth();
+  const { t, formatDate } = useI18n();
+  const [anchorEl, setAnchorEl] = useState(null);
+  if (!user) return null;
+
+  return (
+    <>
+      <Button size="small" color="inherit" startIcon={<AccountCircleIcon />} onClick={(e) => setAnchorEl(e.currentTarget)} sx={{ color: 'text.primary' }}>
+        {user.name}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        <MenuItem disabled sx={{ minWidth: 260, opacity: '1 !important' }}>
+          <ListItemText
+            primary={user.email}
+            secondary={`${user.role} · ${getAuthProvider()?.label ?? session?.provider}`}
+          />
+        </MenuItem>
+        {session?.expiresAt ? (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', px: 2, pb: 1 }}>
+            {t('account.tokenRefresh', { time: formatDate(session.expiresAt, { timeStyle: 'medium' }) })}
+          </Typography>
+        ) : null}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setAnchorEl(null);
+            logout();
+          }}
+        >
+          <ListItemIcon>
+            <LogoutIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary={t('account.signOut')} />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
@@ -0,0 +1,95 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Box, Chip, Dialog, InputAdornment, List, ListItemButton, ListItemText, TextField, Typography } from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { formatShortcut, getShortcut, runCommand, searchCommands, setPaletteOpen } from '../commands/commands.js';
+import { useCommandState } from '../hooks/useCommands.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+// Ctrl/Cmd+K palette: fuzzy search over every registered command (`commands/commands.js`).
+export default function CommandPalette() {
+  const state = useCommandState();
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+  const results = useMemo(() => searchCommands(query, state), [query, state]);
+  const active = Math.min(activeIndex, Math.max(results.length - 1, 0));
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const close = () => setPaletteOpen(false);
+  const search = (value) => {
+    setQuery(value);
+    setActiveIndex(0);
+  };
+
+  const onKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((results.length ? active + step + results.length : 0) % Math.max(results.length, 1));
+    } else if (event.key === 'Enter' && results[active]) {
+      event.preventDefault();
+      runCommand(results[active]);
+    }
+  };
+
+  return (
+    <Dialog
+      open={state.paletteOpen}
+      onClose={close}
+      fullWidth
+      maxWidth="sm"
+      // Reason: a fresh search every time it opens.
+      slotProps={{ transition: { onExited: () => search('') } }}
+      sx={{ '& .MuiDialog-container': { alignItems: 'flex-start' }, '& .MuiDialog-paper': { mt: '12vh' } }}
+    >
+      <Box sx={{ p: 1.5, borderBottom: '1px solid', borderColor: 'divider' }}>
+        <TextField
+          autoFocus
+          fullWidth
+          size="small"
+          placeholder={t('commands.placeholder')}
+          value={query}
+          onChange={(e) => search(e.target.value)}
+          onKeyDown={onKeyDown}
+          slotProps={{
+            input: {
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon fontSize="small" />
+                </InputAdornment>
+              ),
+            },
+            htmlInput: { 'aria-label': t('commands.palette') },
+          }}
+        />
+      </Box>
+      {results.length ? (
+        <List dense ref={listRef} sx={{ maxHeight: '50vh', overflow: 'auto', py: 0.5 }}>
+          {results.map((command, index) => (
+            <ListItemButton
+              key={command.id}
+              data-index={index}
+              selected={index === active}
+              onMouseMove={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+              sx={{ gap: 1.5 }}
+            >
+              <ListItemText primary={command.title} secondary={command.group} slotProps={{ secondary: { variant: 'caption' } }} />
+              {getShortcut(command, state) ? (
+                <Chip size="small" variant="outlined" label={formatShortcut(getShortcut(command, state))} sx={{ fontFamily: 'monospace' }} />
+              ) : null}
+            </ListItemButton>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+          {t('commands.empty')}
+        </Typography>
+      )}
+    </Dialog>
+  );
+}
@@ -0,0 +1,67 @@
+import {
+  Button,
+  Chip,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import { clearContractIssues } from '../contracts/contractIssues.js';
+import { useContractIssues } from '../hooks/useContractIssues.js';
+
+const KIND_COLORS = { missing: 'error', type: 'error', args: 'warning', return: 'error', unexpected: 'default' };
+
+// Contract violations between the shell and its remotes (see `contracts/remoteContracts.js`).
+export default function ContractIssuesPanel() {
+  const issues = useContractIssues();
+
+  if (issues.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No contract issues detected for mounted remotes.
+      </Typography>
+    );
+  }
+
+  return (
+    <>
+      <Stack direction="row" sx={{ justifyContent: 'flex-end', mb: 1 }}>
+        <Button size="small" onClick={clearContractIssues}>
+          Clear
+        </Button>
+      </Stack>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Remote</TableCell>
+              <TableCell>Prop</TableCell>
+              <TableCell>Kind</TableCell>
+              <TableCell>Issue</TableCell>
+              <TableCell align="right">Hits</TableCell>
+              <TableCell>Last seen</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {issues.map((issue) => (
+              <TableRow key={issue.key}>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{issue.remote}</TableCell>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{issue.prop}</TableCell>
+                <TableCell>
+                  <Chip size="small" color={KIND_COLORS[issue.kind] ?? 'default'} label={issue.kind} />
+                </TableCell>
+                <TableCell>{issue.message}</TableCell>
+                <TableCell align="right">{issue.count}</TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>{new Date(issue.lastAt).toLocaleTimeString()}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </>
+  );
+}
@@ -0,0 +1,87 @@
+import { Controller, useForm } from 'react-hook-form';
+import { Autocomplete, Button, Chip, Dialog, DialogActions, DialogContent, DialogTitle, Stack, TextField } from '@mui/material';
+import { KNOWN_PERMISSIONS, personaSchema, toCustomPersona, yupFormResolver } from '../personas/personas.js';
+
+const EMPTY_FORM = { label: '', name: '', email: '', role: 'CUSTOMER', permissions: [] };
+
+export default function CustomPersonaDialog({ open, onClose, onCreate }) {
+  const {
+    control,
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({ defaultValues: EMPTY_FORM, resolver: yupFormResolver(personaSchema) });
+
+  const close = () => {
+    reset(EMPTY_FORM);
+    onClose();
+  };
+
+  const onSubmit = (values) => {
+    onCreate(toCustomPersona(values));
+    close();
+  };
+
+  return (
+    <Dialog open={open} onClose={close} fullWidth maxWidth="sm">
+      <form onSubmit={handleSubmit(onSubmit)} noValidate>
+        <DialogTitle sx={{ fontWeight: 950 }}>New custom persona</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <TextField
+              label="Persona name"
+              size="small"
+              {...register('label')}
+              error={Boolean(errors.label)}
+              helperText={errors.label?.message}
+            />
+            <TextField label="User name" size="small" {...register('name')} error={Boolean(errors.name)} helperText={errors.name?.message} />
+            <TextField label="Email" size="small" {...register('email')} error={Boolean(errors.email)} helperText={errors.email?.message} />
+            <TextField
+              label="Role"
+              size="small"
+              {...register('role')}
+              error={Boolean(errors.role)}
+              helperText={errors.role?.message ?? 'e.g. CUSTOMER, SUPPORT, ADMIN'}
+            />
+            <Controller
+              name="permissions"
+              control={control}
+              render={({ field }) => (
+                <Autocomplete
+                  multiple
+                  freeSolo
+                  options={KNOWN_PERMISSIONS}
+                  value={field.value}
+                  onChange={(_e, value) => field.onChange(value.map((v) => String(v).trim().toUpperCase()))}
+                  renderValue={(value, getItemProps) =>
+                    value.map((option, index) => {
+                      const { key, ...itemProps } = getItemProps({ index });
+                      return <Chip key={key} size="small" label={option} {...itemProps} />;
+                    })
+                  }
+                  renderInput={(params) => (
+                    <TextField
+                      {...params}
+                      label="Permissions"
+                      size="small"
+                      error={Boolean(errors.permissions)}
+                      helperText={errors.permissions?.message ?? 'Pick or type permissions, press Enter to add'}
+                    />
+                  )}
+                />
+              )}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={close}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Create and switch
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+}
@@ -0,0 +1,43 @@
+import { useForm } from 'react-hook-form';
+import { Alert, Button, Paper, Stack, TextField } from '@mui/material';
+
+// Shell-owned sign-in form, shown when the auth remote's login form cannot load or crashed.
+// Reason: without it a broken `auth/Login` deployment locks every admin out of the shell.
+export default function FallbackLoginForm({ login, pending }) {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({ defaultValues: { email: '', password: '' } });
+
+  return (
+    <Paper elevation={0} sx={{ p: 2.5, borderRadius: 3, border: '1px solid', borderColor: 'divider', bgcolor: 'background.paper' }}>
+      <form onSubmit={handleSubmit((values) => login(values))} noValidate>
+        <Stack spacing={2}>
+          <Alert severity="warning">The login form failed to load. Sign in here instead.</Alert>
+          <TextField
+            label="Email"
+            type="email"
+            size="small"
+            autoComplete="username"
+            {...register('email', { required: 'Email is required' })}
+            error={Boolean(errors.email)}
+            helperText={errors.email?.message}
+          />
+          <TextField
+            label="Password"
+            type="password"
+            size="small"
+            autoComplete="current-password"
+            {...register('password', { required: 'Password is required' })}
+            error={Boolean(errors.password)}
+            helperText={errors.password?.message}
+          />
+          <Button type="submit" variant="contained" disabled={pending}>
+            Sign in
+          </Button>
+        </Stack>
+      </form>
+    </Paper>
+  );
+}
@@ -0,0 +1,62 @@
+import { useEffect, useRef, useState } from 'react';
+import { Box } from '@mui/material';
+import { useI18nState } from '../hooks/useI18n.js';
+import { useThemeSettings } from '../hooks/useShellTheme.js';
+import { fromErrorData } from '../isolation/bridge.js';
+import { connectIsolatedFrame, createFrameId, getFrameUrl } from '../isolation/frameHost.js';
+import { resolveThemeSettings } from '../theme/themeStore.js';
+
+const MIN_HEIGHT = 160;
+
+// A remote mounted in a same-origin iframe (isolation mode), fed its props over the bridge
+// (`isolation/frameHost.js`). A crash inside the frame is rethrown here so the surrounding
+// `RemoteErrorBoundary` shows it (and its Retry reloads the frame). `url` pins the remote's `remoteEntry.js`.
+export default function IsolatedRemoteFrame({ remoteName, url = null, exposedModule, basePath, remoteProps, host }) {
+  const frameRef = useRef(null);
+  const connectionRef = useRef(null);
+  const [frameId] = useState(() => createFrameId(remoteName));
+  const [src] = useState(() => getFrameUrl({ frameId, remoteName, url, exposedModule, basePath }));
+  const [height, setHeight] = useState(MIN_HEIGHT);
+  const [crash, setCrash] = useState(null);
+  const themeSettings = useThemeSettings();
+  const { locale, currency } = useI18nState();
+
+  useEffect(() => {
+    const connection = connectIsolatedFrame({
+      frame: frameRef.current,
+      frameId,
+      onResize: (next) => setHeight(Math.max(MIN_HEIGHT, Math.ceil(next))),
+      onCrash: (error, componentStack) => setCrash({ error, componentStack }),
+    });
+    connectionRef.current = connection;
+    return () => {
+      connection.dispose();
+      connectionRef.current = null;
+    };
+  }, [frameId]);
+
+  useEffect(() => {
+    connectionRef.current?.update({
+      props: remoteProps,
+      host,
+      theme: resolveThemeSettings(themeSettings),
+      locale: { locale, currency },
+    });
+  }, [remoteProps, host, themeSettings, locale, currency]);
+
+  if (crash) {
+    const error = fromErrorData(crash.error);
+    if (crash.componentStack) error.stack = `${error.stack ?? error.message}\n\nComponent stack (isolated frame):${crash.componentStack}`;
+    throw error;
+  }
+
+  return (
+    <Box
+      component="iframe"
+      ref={frameRef}
+      src={src}
+      title={`${remoteName} (isolated)`}
+      sx={{ display: 'block', width: '100%', height, border: 0, bgcolor: 'background.paper' }}
+    />
+  );
+}
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { Box, CircularProgress, Typography } from '@mui/material';
+
+// Reason: the elapsed time makes a slow remote visible while it loads (details on the Performance page).
+const SHOW_ELAPSED_AFTER_MS = 1000;
+
+export default function Loader({ label }) {
+  const [startedAt] = useState(() => Date.now());
+  const [elapsedMs, setElapsedMs] = useState(0);
+
+  useEffect(() => {
+    const timer = window.setInterval(() => setElapsedMs(Date.now() - startedAt), 250);
+    return () => window.clearInterval(timer);
+  }, [startedAt]);
+
+  return (
+    <Box sx={{ minHeight: 160, display: 'flex', flexDirection: 'column', gap: 1, alignItems: 'center', justifyContent: 'center' }}>
+      <CircularProgress size={28} />
+      {label && elapsedMs >= SHOW_ELAPSED_AFTER_MS ? (
+        <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+          {label} · {(elapsedMs / 1000).toFixed(1)}s
+        </Typography>
+      ) : null}
+    </Box>
+  );
+}
@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { Button, Divider, ListItemIcon, ListItemText, ListSubheader, Menu, MenuItem } from '@mui/material';
+import CheckIcon from '@mui/icons-material/Check';
+import TranslateIcon from '@mui/icons-material/Translate';
+import { useI18n } from '../hooks/useI18n.js';
+import { CURRENCIES, LOCALES } from '../i18n/locales.js';
+
+// AppBar control for the locale and currency shared with every remote (`i18n/i18n.js`).
+export default function LocaleSwitcher() {
+  const { locale, currency, t, formatPrice, setLocale, setCurrency } = useI18n();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  return (
+    <>
+      <Button
+        size="small"
+        color="inherit"
+        aria-label={t('locale.menu')}
+        startIcon={<TranslateIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{ color: 'text.primary', py: 0.5, px: 1.5, fontFamily: 'monospace' }}
+      >
+        {locale} · {currency}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)} slotProps={{ paper: { sx: { maxHeight: 520 } } }}>
+        <ListSubheader>{t('locale.language')}</ListSubheader>
+        {LOCALES.map((l) => (
+          <MenuItem key={l.code} selected={l.code === locale} onClick={() => setLocale(l.code)} sx={{ minWidth: 260 }}>
+            <ListItemIcon>{l.code === locale ? <CheckIcon fontSize="small" /> : null}</ListItemIcon>
+            <ListItemText primary={l.label} secondary={`${l.code}${l.dir === 'rtl' ? ' · RTL' : ''}`} />
+          </MenuItem>
+        ))}
+        <Divider />
+        <ListSubheader>{t('locale.currency')}</ListSubheader>
+        {CURRENCIES.map((c) => (
+          <MenuItem key={c} selected={c === currency} onClick={() => setCurrency(c)}>
+            <ListItemIcon>{c === currency ? <CheckIcon fontSize="small" /> : null}</ListItemIcon>
+            <ListItemText primary={c} secondary={formatPrice(1234.5, { currency: c })} />
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
@@ -0,0 +1,96 @@
+import { useEffect } from 'react';
+import { Controller, useForm } from 'react-hook-form';
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, MenuItem, Stack, TextField } from '@mui/material';
+import { HTTP_METHODS, mockHandlerSchema } from '../api/mockApi.js';
+import { yupFormResolver } from '../personas/personas.js';
+
+const EMPTY_FORM = { method: 'GET', path: '', status: 200, body: '', delayMs: 0 };
+
+// Create or edit a mock API handler; `handler` is the one being edited (null to create).
+export default function MockHandlerDialog({ open, handler, onClose, onSave }) {
+  const {
+    control,
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({ defaultValues: EMPTY_FORM, resolver: yupFormResolver(mockHandlerSchema) });
+
+  useEffect(() => {
+    if (open) reset(handler ? { ...EMPTY_FORM, ...handler } : EMPTY_FORM);
+  }, [open, handler, reset]);
+
+  const onSubmit = (values) => {
+    onSave({ ...values, id: handler?.id, enabled: handler?.enabled ?? true });
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <form onSubmit={handleSubmit(onSubmit)} noValidate>
+        <DialogTitle sx={{ fontWeight: 950 }}>{handler ? 'Edit mock handler' : 'New mock handler'}</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <Stack direction="row" spacing={2}>
+              <Controller
+                name="method"
+                control={control}
+                render={({ field }) => (
+                  <TextField select size="small" label="Method" {...field} sx={{ minWidth: 120 }}>
+                    {HTTP_METHODS.map((m) => (
+                      <MenuItem key={m} value={m}>
+                        {m}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                )}
+              />
+              <TextField
+                label="Path"
+                size="small"
+                fullWidth
+                {...register('path')}
+                error={Boolean(errors.path)}
+                helperText={errors.path?.message ?? 'e.g. /api/products/:id or /api/*'}
+              />
+            </Stack>
+            <Stack direction="row" spacing={2}>
+              <TextField
+                label="Status"
+                size="small"
+                type="number"
+                {...register('status')}
+                error={Boolean(errors.status)}
+                helperText={errors.status?.message}
+              />
+              <TextField
+                label="Delay (ms)"
+                size="small"
+                type="number"
+                {...register('delayMs')}
+                error={Boolean(errors.delayMs)}
+                helperText={errors.delayMs?.message}
+              />
+            </Stack>
+            <TextField
+              label="Response body (JSON)"
+              size="small"
+              multiline
+              minRows={6}
+              {...register('body')}
+              error={Boolean(errors.body)}
+              helperText={errors.body?.message}
+              slotProps={{ htmlInput: { sx: { fontFamily: 'monospace', fontSize: 13 } } }}
+            />
+          </Stack>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={onClose}>Cancel</Button>
+          <Button type="submit" variant="contained" disabled={isSubmitting}>
+            Save
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+}
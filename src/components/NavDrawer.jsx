@@ -0,0 +1,80 @@
+import { NavLink, useLocation } from 'react-router-dom';
+import { Box, Drawer, List, ListItemButton, ListItemText, ListSubheader } from '@mui/material';
+import { hasPermissions } from '../auth/permissions.js';
+import { useAuth } from '../hooks/useAuth.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { TOOL_PAGES } from '../pages/toolPages.js';
+import { REMOTE_PANELS } from '../remotes/panels.js';
+
+export const NAV_DRAWER_WIDTH = 232;
+
+function NavItem({ to, label, selected, onNavigate }) {
+  return (
+    <ListItemButton component={NavLink} to={to} selected={selected} onClick={onNavigate} sx={{ borderRadius: 2, mx: 1 }}>
+      <ListItemText primary={label} slotProps={{ primary: { variant: 'body2', sx: { fontWeight: 600 } } }} />
+    </ListItemButton>
+  );
+}
+
+function NavList({ onNavigate }) {
+  const { pathname } = useLocation();
+  const { user } = useAuth();
+  const { t } = useI18n();
+  // Reason: hide what the signed-in admin cannot open instead of linking to "Access denied".
+  const panels = REMOTE_PANELS.filter((p) => hasPermissions(user, p.requires));
+  const tools = TOOL_PAGES.filter((t) => hasPermissions(user, t.requires));
+  const isActive = (path) => pathname === path || pathname.startsWith(`${path}/`);
+  return (
+    <List dense>
+      <NavItem to="/" label={t('nav.dashboard')} selected={pathname === '/'} onNavigate={onNavigate} />
+      <ListSubheader sx={{ bgcolor: 'transparent', lineHeight: '32px', mt: 1 }}>{t('nav.remotes')}</ListSubheader>
+      {panels.map((panel) => (
+        <NavItem
+          key={panel.id}
+          to={`/${panel.path}`}
+          label={panel.navLabel}
+          selected={isActive(`/${panel.path}`)}
+          onNavigate={onNavigate}
+        />
+      ))}
+      {tools.length ? <ListSubheader sx={{ bgcolor: 'transparent', lineHeight: '32px', mt: 1 }}>{t('nav.tools')}</ListSubheader> : null}
+      {tools.map((tool) => (
+        <NavItem
+          key={tool.path}
+          to={`/${tool.path}`}
+          label={tool.navLabel}
+          selected={isActive(`/${tool.path}`)}
+          onNavigate={onNavigate}
+        />
+      ))}
+    </List>
+  );
+}
+
+// Permanent on desktop; a temporary drawer toggled from the AppBar on small screens.
+export default function NavDrawer({ mobileOpen, onClose }) {
+  const paperSx = { width: NAV_DRAWER_WIDTH, boxSizing: 'border-box', borderRight: '1px solid', borderColor: 'divider' };
+  return (
+    <Box component="nav" sx={{ width: { md: NAV_DRAWER_WIDTH }, flexShrink: { md: 0 } }}>
+      <Drawer
+        variant="temporary"
+        open={mobileOpen}
+        onClose={onClose}
+        ModalProps={{ keepMounted: true }}
+        sx={{ display: { xs: 'block', md: 'none' }, '& .MuiDrawer-paper': paperSx }}
+      >
+        <NavList onNavigate={onClose} />
+      </Drawer>
+      <Drawer
+        variant="permanent"
+        open
+        sx={{
+          display: { xs: 'none', md: 'block' },
+          '& .MuiDrawer-paper': { ...paperSx, position: 'sticky', top: 64, height: 'calc(100vh - 64px)', bgcolor: 'transparent' },
+        }}
+      >
+        <NavList />
+      </Drawer>
+    </Box>
+  );
+}
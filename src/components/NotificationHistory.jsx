@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import {
+  Badge,
+  Box,
+  Button,
+  Chip,
+  Drawer,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import NotificationsNoneIcon from '@mui/icons-material/NotificationsNone';
+import { useNotifications } from '../hooks/useNotifications.js';
+import { clearNotificationHistory, markNotificationsSeen } from '../store/notificationStore.js';
+
+const SEVERITY_COLORS = { success: 'success', info: 'info', warning: 'warning', error: 'error' };
+
+// AppBar bell + drawer listing every notification with its source remote and time.
+export default function NotificationHistory() {
+  const { history, lastSeenAt } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const unread = history.filter((n) => n.at > lastSeenAt).length;
+
+  const close = () => {
+    setOpen(false);
+    markNotificationsSeen();
+  };
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton
+          aria-label="Notifications"
+          onClick={() => {
+            setOpen(true);
+            markNotificationsSeen();
+          }}
+        >
+          <Badge badgeContent={unread} color="error" max={99}>
+            <NotificationsNoneIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+      <Drawer anchor="right" open={open} onClose={close}>
+        <Box sx={{ width: 380, p: 2 }}>
+          <Stack direction="row" sx={{ alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+            <Typography variant="h6" sx={{ fontWeight: 950 }}>
+              Notifications
+            </Typography>
+            <Button size="small" onClick={clearNotificationHistory} disabled={!history.length}>
+              Clear
+            </Button>
+          </Stack>
+          {history.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              No notifications yet.
+            </Typography>
+          ) : (
+            <List dense disablePadding>
+              {history.map((n) => (
+                <ListItem key={`${n.id}-${n.at}`} disableGutters divider alignItems="flex-start">
+                  <ListItemText
+                    primary={n.message}
+                    secondary={
+                      <Stack component="span" direction="row" spacing={1} sx={{ alignItems: 'center', mt: 0.5 }}>
+                        <Chip component="span" size="small" color={SEVERITY_COLORS[n.severity]} label={n.severity} />
+                        <Typography component="span" variant="caption" sx={{ fontFamily: 'monospace' }}>
+                          {n.source}
+                        </Typography>
+                        <Typography component="span" variant="caption" color="text.secondary">
+                          {new Date(n.at).toLocaleString()}
+                        </Typography>
+                      </Stack>
+                    }
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      </Drawer>
+    </>
+  );
+}
@@ -0,0 +1,67 @@
+import { Alert, Box, Button, IconButton, Slide, Snackbar, Stack } from '@mui/material';
+import CloseIcon from '@mui/icons-material/Close';
+import { useNotifications } from '../hooks/useNotifications.js';
+import { dismissNotification } from '../store/notificationStore.js';
+
+function Toast({ toast }) {
+  const dismiss = () => dismissNotification(toast.id);
+
+  return (
+    <Snackbar
+      open
+      autoHideDuration={toast.autoHideMs ?? null}
+      // Reason: a click elsewhere in the shell must not dismiss a toast the admin has not read yet.
+      onClose={(_event, reason) => {
+        if (reason !== 'clickaway') dismiss();
+      }}
+      slots={{ transition: Slide }}
+      slotProps={{ transition: { direction: 'left' } }}
+      // Reason: positioned by the stack below, so several toasts can be visible at once.
+      sx={{ position: 'static', transform: 'none' }}
+    >
+      <Alert
+        severity={toast.severity}
+        variant="filled"
+        // Reason: `onClose` only renders the close button when there is no `action`, so it is part of it.
+        action={
+          <>
+            {toast.actions.map((action) => (
+              <Button
+                key={action.label}
+                color="inherit"
+                size="small"
+                onClick={() => {
+                  action.onClick?.();
+                  dismiss();
+                }}
+              >
+                {action.label}
+              </Button>
+            ))}
+            <IconButton color="inherit" size="small" aria-label="Dismiss" onClick={dismiss}>
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </>
+        }
+        sx={{ width: 360, boxShadow: 3 }}
+      >
+        <Box component="span" sx={{ display: 'block', fontSize: 11, opacity: 0.85, fontFamily: 'monospace' }}>
+          {toast.source}
+        </Box>
+        {toast.message}
+      </Alert>
+    </Snackbar>
+  );
+}
+
+// Stacked snackbars (bottom-right); overflow waits in the store's queue.
+export default function NotificationToasts() {
+  const { active } = useNotifications();
+  return (
+    <Stack spacing={1} sx={{ position: 'fixed', right: 16, bottom: 16, zIndex: (t) => t.zIndex.snackbar }}>
+      {active.map((toast) => (
+        <Toast key={toast.id} toast={toast} />
+      ))}
+    </Stack>
+  );
+}
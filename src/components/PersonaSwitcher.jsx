@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { Button, Divider, IconButton, ListItemIcon, ListItemText, Menu, MenuItem, Tooltip } from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import CheckIcon from '@mui/icons-material/Check';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import PersonOutlineIcon from '@mui/icons-material/PersonOutline';
+import CustomPersonaDialog from './CustomPersonaDialog.jsx';
+
+function describeUser(user) {
+  if (!user) return 'Signed out';
+  const permissions = user.permissions?.length ? user.permissions.join(', ') : 'no permissions';
+  return `${user.role} · ${permissions}`;
+}
+
+// AppBar control for the persona passed to remotes as `currentUser`.
+export default function PersonaSwitcher({ persona, personas, selectPersona, addCustomPersona, removeCustomPersona }) {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+
+  const pick = (id) => {
+    selectPersona(id);
+    setAnchorEl(null);
+  };
+
+  return (
+    <>
+      <Tooltip title={describeUser(persona.user)}>
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<PersonOutlineIcon />}
+          onClick={(e) => setAnchorEl(e.currentTarget)}
+          sx={{ py: 0.5, px: 1.5 }}
+        >
+          {persona.label}
+        </Button>
+      </Tooltip>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {personas.map((p) => (
+          <MenuItem key={p.id} selected={p.id === persona.id} onClick={() => pick(p.id)} sx={{ minWidth: 280 }}>
+            <ListItemIcon>{p.id === persona.id ? <CheckIcon fontSize="small" /> : null}</ListItemIcon>
+            <ListItemText primary={p.label} secondary={describeUser(p.user)} />
+            {p.custom ? (
+              <IconButton
+                size="small"
+                aria-label={`Delete ${p.label}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeCustomPersona(p.id);
+                }}
+              >
+                <DeleteOutlineIcon fontSize="small" />
+              </IconButton>
+            ) : null}
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setAnchorEl(null);
+            setDialogOpen(true);
+          }}
+        >
+          <ListItemIcon>
+            <AddIcon fontSize="small" />
+          </ListItemIcon>
+          <ListItemText primary="New custom persona…" />
+        </MenuItem>
+      </Menu>
+      <CustomPersonaDialog open={dialogOpen} onClose={() => setDialogOpen(false)} onCreate={addCustomPersona} />
+    </>
+  );
+}
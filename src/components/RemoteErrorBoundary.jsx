@@ -0,0 +1,148 @@
+import React from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import { Box, Button, Collapse, Paper, Stack, Typography } from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { reportError } from '../errors/errorReporting.js';
+import { saveCrashClip } from '../recording/sessionRecorder.js';
+import { reportCrash } from '../remotes/crashes.js';
+import { getRemoteNameOf, getRemoteUrlOf } from '../remotes/instances.js';
+import { loadRemoteManifest } from '../remotes/registry.js';
+import { getRemoteRelease } from '../remotes/health.js';
+
+// Reason: remote URL/release are resolved lazily so a crash report reflects runtime overrides.
+// `remoteName` may be an instance key; a pinned instance (`name@url`) is described by its own URL.
+async function describeRemote(remoteName) {
+  if (!remoteName) return null;
+  try {
+    const pinnedUrl = getRemoteUrlOf(remoteName);
+    if (pinnedUrl) {
+      const pinned = { name: getRemoteNameOf(remoteName), url: pinnedUrl, source: 'pinned', release: null };
+      return { ...pinned, release: await getRemoteRelease(pinned) };
+    }
+    const remote = (await loadRemoteManifest())[remoteName];
+    if (!remote) return { name: remoteName, url: null, source: null, release: null };
+    return { name: remoteName, url: remote.url, source: remote.source, release: await getRemoteRelease(remote) };
+  } catch {
+    return { name: remoteName, url: null, source: null, release: null };
+  }
+}
+
+export default class RemoteErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null, componentStack: null, remote: null, recordingId: null, showDetails: false, copied: false };
+    this.handleRetry = this.handleRetry.bind(this);
+    this.handleCopy = this.handleCopy.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    // Reason: keep the host usable when a remote crashes (for real or via an injected fault, see the Chaos page).
+    console.error('[admin-host] Remote crashed:', this.props?.title, error);
+    reportError(error, { remote: this.props.remoteName, componentStack: info?.componentStack });
+
+    this.setState({ componentStack: info?.componentStack ?? null });
+    this.clearCrash?.();
+    this.clearCrash = reportCrash(this.props.remoteName, this.handleRetry);
+    describeRemote(this.props.remoteName).then((remote) => {
+      if (this.state.error === error) this.setState({ remote });
+    });
+    // Reason: attach the moments leading up to the crash when session recording is on.
+    saveCrashClip({ remote: this.props.remoteName, error })
+      .then((recordingId) => {
+        if (recordingId && this.state.error === error) this.setState({ recordingId });
+      })
+      .catch((e) => console.error('[admin-host] Failed to save crash recording:', e));
+  }
+
+  componentWillUnmount() {
+    this.clearCrash?.();
+  }
+
+  handleRetry() {
+    // Reason: recover in place; a full page reload would wipe the host's cart/wishlist state.
+    this.clearCrash?.();
+    this.clearCrash = null;
+    this.props.onRetry?.();
+    this.setState({ error: null, componentStack: null, remote: null, recordingId: null, showDetails: false, copied: false });
+  }
+
+  getDiagnostics() {
+    const { error, componentStack, remote, recordingId } = this.state;
+    return {
+      title: this.props.title,
+      remote,
+      recordingId,
+      error: {
+        name: error?.name ?? null,
+        message: String(error?.message ?? error),
+        stack: error?.stack ?? null,
+      },
+      componentStack,
+      location: window.location.href,
+      userAgent: navigator.userAgent,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  async handleCopy() {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(this.getDiagnostics(), null, 2));
+      this.setState({ copied: true });
+    } catch (e) {
+      console.error('[admin-host] Failed to copy diagnostics:', e);
+    }
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    const { error, componentStack, remote, recordingId, showDetails, copied } = this.state;
+    return (
+      <Paper elevation={0} sx={{ p: 3, borderRadius: 3, border: '1px solid rgba(211,47,47,0.35)', bgcolor: 'background.paper' }}>
+        <Typography variant="h6" sx={{ fontWeight: 950, mb: 1 }}>
+          {this.props.title} crashed
+        </Typography>
+        <Typography variant="body2" sx={{ fontFamily: 'monospace', whiteSpace: 'pre-wrap' }} color="text.secondary">
+          {String(error?.message ?? error)}
+        </Typography>
+        {remote?.url ? (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1, fontFamily: 'monospace', wordBreak: 'break-all' }}>
+            {remote.url}
+            {remote.release ? ` (release ${remote.release})` : ''}
+          </Typography>
+        ) : null}
+
+        <Stack direction="row" spacing={1} sx={{ mt: 2, flexWrap: 'wrap' }}>
+          <Button size="small" variant="contained" startIcon={<RefreshIcon />} onClick={this.handleRetry}>
+            Retry
+          </Button>
+          <Button size="small" variant="text" onClick={() => this.setState({ showDetails: !showDetails })}>
+            {showDetails ? 'Hide details' : 'Show details'}
+          </Button>
+          <Button size="small" variant="text" startIcon={<ContentCopyIcon />} onClick={this.handleCopy}>
+            {copied ? 'Copied' : 'Copy diagnostics'}
+          </Button>
+          {recordingId ? (
+            <Button size="small" variant="text" component={RouterLink} to={`/replays?session=${recordingId}`}>
+              View recording
+            </Button>
+          ) : null}
+        </Stack>
+
+        <Collapse in={showDetails} unmountOnExit>
+          <Box
+            component="pre"
+            sx={{ mt: 2, p: 1.5, borderRadius: 2, bgcolor: 'action.hover', fontSize: 12, overflow: 'auto', maxHeight: 320 }}
+          >
+            {error?.stack ?? String(error)}
+            {componentStack ? `\n\nComponent stack:${componentStack}` : ''}
+          </Box>
+        </Collapse>
+      </Paper>
+    );
+  }
+}
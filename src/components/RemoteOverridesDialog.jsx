@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Stack,
+  TextField,
+} from '@mui/material';
+import { clearRemoteOverrides, getRemoteOverrides, setRemoteOverride } from '../remotes/registry.js';
+
+const RELATIVE_PATH = /^\.{0,2}\/(?!\/)/;
+
+// Empty, or an absolute `http(s):` URL / explicit relative path (`/`, `./`, `../`) to a `.js` entry.
+// Reason: `new URL()` resolves almost any string against the page, so typos only failed as script load errors.
+function isRemoteEntryUrl(value) {
+  if (!value) return true;
+  if (!RELATIVE_PATH.test(value) && !/^https?:\/\//i.test(value)) return false;
+  try {
+    const url = new URL(value, window.location.href);
+    return /^https?:$/.test(url.protocol) && url.pathname.endsWith('.js');
+  } catch {
+    return false;
+  }
+}
+
+// Remote URL overrides kept in localStorage (`remotes/registry.js`); `remotes` are the resolved manifest entries.
+// Reason: loaded containers cannot be swapped in place, so saving reloads the shell.
+export default function RemoteOverridesDialog({ open, onClose, remotes }) {
+  const [drafts, setDrafts] = useState(getRemoteOverrides);
+  const invalid = Object.values(drafts).some((url) => !isRemoteEntryUrl(url?.trim()));
+
+  const close = () => {
+    setDrafts(getRemoteOverrides());
+    onClose();
+  };
+
+  const save = () => {
+    clearRemoteOverrides();
+    for (const [name, url] of Object.entries(drafts)) setRemoteOverride(name, url?.trim());
+    window.location.reload();
+  };
+
+  return (
+    <Dialog open={open} onClose={close} fullWidth maxWidth="md">
+      <DialogTitle sx={{ fontWeight: 950 }}>Remote overrides</DialogTitle>
+      <DialogContent>
+        <Stack spacing={2} sx={{ pt: 1 }}>
+          <Alert severity="info">
+            Point a remote at another <code>remoteEntry.js</code> in this browser. Overrides are kept until cleared;{' '}
+            <code>?remote=name@url</code> in the address bar still wins.
+          </Alert>
+          {remotes.map((remote) => (
+            <TextField
+              key={remote.name}
+              label={remote.name}
+              size="small"
+              value={drafts[remote.name] ?? ''}
+              placeholder={remote.source === 'localStorage' ? '' : remote.url}
+              onChange={(e) => setDrafts((prev) => ({ ...prev, [remote.name]: e.target.value }))}
+              error={!isRemoteEntryUrl(drafts[remote.name]?.trim())}
+              helperText={
+                !isRemoteEntryUrl(drafts[remote.name]?.trim())
+                  ? 'Use an http(s) URL or a path starting with /, ./ or ../ that ends in .js'
+                  : remote.source === 'query'
+                    ? 'Overridden by the address bar for now'
+                    : 'Empty uses the manifest URL'
+              }
+              slotProps={{ htmlInput: { style: { fontFamily: 'monospace' } } }}
+            />
+          ))}
+        </Stack>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={() => setDrafts({})}>Clear all</Button>
+        <Button onClick={close}>Cancel</Button>
+        <Button variant="contained" disabled={invalid} onClick={save}>
+          Save and reload
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,112 @@
+import { Profiler, Suspense, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import IsolatedRemoteFrame from './IsolatedRemoteFrame.jsx';
+import Loader from './Loader.jsx';
+import RemoteErrorBoundary from './RemoteErrorBoundary.jsx';
+import Section from './Section.jsx';
+import SentryRemoteBoundary from './SentryRemoteBoundary.jsx';
+import { getHttpClient } from '../api/httpClient.js';
+import { injectCallbackFaults, throwRenderFault } from '../chaos/faultInjection.js';
+import { createCommandScope } from '../commands/commands.js';
+import { instrumentRemoteProps, validateRemoteProps } from '../contracts/contractValidator.js';
+import { getBoundEventBus } from '../events/eventBus.js';
+import { useRemoteFaults } from '../hooks/useFaults.js';
+import { useI18nState } from '../hooks/useI18n.js';
+import { getRemoteI18n } from '../i18n/i18n.js';
+import { markRemoteRendered, recordRemoteCommit } from '../perf/remoteMetrics.js';
+import { getHostActions, getReadOnlyHostActions } from '../store/hostStore.js';
+import { getNotifier } from '../store/notificationStore.js';
+
+function RenderFault({ remoteName }) {
+  throwRenderFault(remoteName);
+}
+
+// Rendered after the remote inside `Suspense`, so it commits together with the remote's first render.
+function RenderMark({ remoteName }) {
+  useLayoutEffect(() => {
+    markRemoteRendered(remoteName);
+  }, [remoteName]);
+  return null;
+}
+
+// A remote from `REMOTE_PANELS`, mounted with its host contract inside an error boundary.
+// `basePath` tells remotes with their own sub-routes where those routes live (their `/<path>/*` route).
+// `readOnly` hands the remote host callbacks that never mutate the store (compare mode's mirror).
+// `isolated` mounts the remote in its own iframe document (see `isolation/bridge.js`); load and render
+// timings are not measured in that mode. A remote pinned to a URL (`lazyRemote`'s `url`) is keyed
+// `name@url` everywhere (faults, contract issues, commands, attribution; see `remotes/instances.js`).
+export default function RemotePanel({ panel, host, basePath, collapsed, actions, readOnly = false, isolated = false }) {
+  const Remote = panel.remote;
+  // Reason: per-remote state is keyed by instance, so a pinned build (compare mode) stays apart.
+  const remoteName = Remote.instanceKey ?? Remote.remoteName;
+  const faults = useRemoteFaults(remoteName);
+  // Reason: subscribes the panel, so the remote gets a new `i18n` prop when the locale changes.
+  const i18nState = useI18nState();
+  const [loadGeneration, setLoadGeneration] = useState(faults.loadGeneration);
+  // Reason: one scope per mounted panel, so a remote's palette commands go away with it.
+  const commandScope = useMemo(() => createCommandScope(remoteName, { readOnly }), [remoteName, readOnly]);
+  useEffect(() => () => commandScope.dispose(), [commandScope]);
+
+  // Reason: changed load faults (see `chaos/faultInjection.js`) only apply to a fresh import, so the
+  // remote is reloaded and its boundary remounted.
+  useEffect(() => {
+    if (faults.loadGeneration === loadGeneration) return;
+    Remote.reload();
+    setLoadGeneration(faults.loadGeneration);
+  }, [Remote, faults.loadGeneration, loadGeneration]);
+
+  const remoteProps = useMemo(() => {
+    // Reason: attribute callbacks (store mutations, notifications, events, requests) to the calling remote.
+    const callbacks = readOnly ? getReadOnlyHostActions(remoteName) : getHostActions(remoteName);
+    const remoteHost = { ...host, ...callbacks, ...getNotifier(remoteName) };
+    return injectCallbackFaults(remoteName, {
+      ...panel.getProps(remoteHost),
+      currentUser: host.currentUser,
+      eventBus: getBoundEventBus(remoteName),
+      http: getHttpClient(remoteName),
+      i18n: getRemoteI18n(remoteName, i18nState),
+      commands: commandScope.api,
+      basePath: basePath ?? `/${panel.path}`,
+    });
+  }, [panel, host, remoteName, basePath, readOnly, i18nState, commandScope]);
+
+  const validatedRef = useRef(null);
+  useEffect(() => {
+    const previous = validatedRef.current?.remoteName === remoteName ? validatedRef.current.props : null;
+    validateRemoteProps(remoteName, remoteProps, previous);
+    validatedRef.current = { remoteName, props: remoteProps };
+  }, [remoteName, remoteProps]);
+
+  const instrumentedProps = useMemo(() => instrumentRemoteProps(remoteName, remoteProps), [remoteName, remoteProps]);
+  const hostSnapshot = useMemo(() => ({ cartItems: host.cartItems, wishlistItems: host.wishlistItems }), [host.cartItems, host.wishlistItems]);
+
+  return (
+    <RemoteErrorBoundary key={`${loadGeneration}:${isolated}`} title={panel.label} remoteName={remoteName} onRetry={Remote.reload}>
+      <Section title={panel.label} collapsed={collapsed} actions={actions}>
+        <SentryRemoteBoundary remoteName={remoteName}>
+          {faults.throwOnRender ? (
+            <RenderFault remoteName={remoteName} />
+          ) : isolated ? (
+            <IsolatedRemoteFrame
+              remoteName={Remote.remoteName}
+              url={Remote.url ?? null}
+              exposedModule={Remote.exposedModule}
+              basePath={remoteProps.basePath}
+              remoteProps={instrumentedProps}
+              host={hostSnapshot}
+            />
+          ) : (
+            <Suspense fallback={<Loader label={`Loading ${remoteName}`} />}>
+              <Profiler id={remoteName} onRender={(_id, _phase, actualDuration) => recordRemoteCommit(remoteName, actualDuration)}>
+                {/* Reason: marks where the remote's own DOM starts (compare mode mirrors clicks by DOM path). */}
+                <div data-remote-root="">
+                  <Remote {...instrumentedProps} />
+                </div>
+                <RenderMark remoteName={remoteName} />
+              </Profiler>
+            </Suspense>
+          )}
+        </SentryRemoteBoundary>
+      </Section>
+    </RemoteErrorBoundary>
+  );
+}
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import RemoteOverridesDialog from './RemoteOverridesDialog.jsx';
+import { PROBED_SHARED_PACKAGES, probeAllRemotes } from '../remotes/health.js';
+
+function formatMs(ms) {
+  return typeof ms === 'number' ? `${Math.round(ms)} ms` : '—';
+}
+
+function StatusChip({ result }) {
+  if (result.reachable && !result.error) return <Chip size="small" color="success" label="Up" />;
+  return (
+    <Tooltip title={result.error ?? ''}>
+      <Chip size="small" color="error" label={result.reachable ? 'Init failed' : 'Unreachable'} />
+    </Tooltip>
+  );
+}
+
+// The version the remote got, plus the one its build provided when that one lost the negotiation.
+function SharedVersion({ version }) {
+  if (!version?.used) return version?.provided ? `— (provides ${version.provided})` : '—';
+  if (!version.provided || version.provided === version.used) return version.used;
+  return (
+    <Tooltip title={`Its build provides ${version.provided}`}>
+      <span>{`${version.used} (provides ${version.provided})`}</span>
+    </Tooltip>
+  );
+}
+
+export default function RemoteStatusPanel() {
+  const [results, setResults] = useState([]);
+  const [probing, setProbing] = useState(false);
+  const [error, setError] = useState(null);
+  const [overridesOpen, setOverridesOpen] = useState(false);
+
+  // `fresh` for the manual re-probe; the first probe reuses what the shell already loaded.
+  const probe = useCallback(async (fresh = false) => {
+    setProbing(true);
+    setError(null);
+    try {
+      setResults(await probeAllRemotes({ fresh }));
+    } catch (e) {
+      // Reason: the manifest itself failed to load, so there is nothing to probe.
+      setError(String(e?.message ?? e));
+    } finally {
+      setProbing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    probe();
+  }, [probe]);
+
+  return (
+    <Box>
+      <Stack direction="row" spacing={1} sx={{ alignItems: 'center', justifyContent: 'flex-end', mb: 1 }}>
+        {probing ? <CircularProgress size={18} /> : null}
+        <Button size="small" startIcon={<EditIcon />} onClick={() => setOverridesOpen(true)} disabled={!results.length}>
+          Overrides
+        </Button>
+        <Button size="small" variant="outlined" startIcon={<RefreshIcon />} onClick={() => probe(true)} disabled={probing}>
+          Re-probe
+        </Button>
+      </Stack>
+      <RemoteOverridesDialog open={overridesOpen} onClose={() => setOverridesOpen(false)} remotes={results} />
+
+      {error ? (
+        <Alert severity="error" sx={{ mb: 1 }}>
+          {error}
+        </Alert>
+      ) : null}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Remote</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Fetch</TableCell>
+              <TableCell>Load</TableCell>
+              <TableCell>Exposed modules</TableCell>
+              {PROBED_SHARED_PACKAGES.map((pkg) => (
+                <TableCell key={pkg}>{pkg}</TableCell>
+              ))}
+              <TableCell>Release</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {results.map((r) => (
+              <TableRow key={r.name}>
+                <TableCell>
+                  <Typography variant="body2" sx={{ fontWeight: 700 }}>
+                    {r.name}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                    {r.url} ({r.source})
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <StatusChip result={r} />
+                </TableCell>
+                <TableCell>{formatMs(r.fetchMs)}</TableCell>
+                <TableCell>{formatMs(r.loadMs)}</TableCell>
+                <TableCell>
+                  <Stack direction="row" spacing={0.5} sx={{ flexWrap: 'wrap' }}>
+                    {r.modules.map((m) => (
+                      <Tooltip key={m.module} title={m.error ?? ''}>
+                        <Chip size="small" variant="outlined" color={m.ok ? 'default' : 'error'} label={m.module} />
+                      </Tooltip>
+                    ))}
+                  </Stack>
+                </TableCell>
+                {PROBED_SHARED_PACKAGES.map((pkg) => (
+                  <TableCell key={pkg} sx={{ fontFamily: 'monospace' }}>
+                    <SharedVersion version={r.shared[pkg]} />
+                  </TableCell>
+                ))}
+                <TableCell sx={{ fontFamily: 'monospace' }}>{r.release ?? '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
@@ -0,0 +1,26 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import { Box } from '@mui/material';
+import AccessDenied from './AccessDenied.jsx';
+import Loader from './Loader.jsx';
+import { hasPermissions } from '../auth/permissions.js';
+import { useAuth } from '../hooks/useAuth.js';
+
+// Route guard: renders `children` (or the nested routes) only for a signed-in admin holding `requires`.
+// Signed-out visitors are sent to `/login`, which returns them here after signing in.
+export default function RequireAuth({ requires = [], children }) {
+  const { status, user } = useAuth();
+  const location = useLocation();
+
+  if (status === 'initializing') return <Loader />;
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  if (!hasPermissions(user, requires)) {
+    return children ? (
+      <AccessDenied requires={requires} user={user} />
+    ) : (
+      <Box sx={{ maxWidth: 560, mx: 'auto', py: 8, px: 2 }}>
+        <AccessDenied requires={requires} user={user} />
+      </Box>
+    );
+  }
+  return children ?? <Outlet />;
+}
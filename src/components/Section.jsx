@@ -0,0 +1,27 @@
+import { Collapse, Paper, Stack, Typography } from '@mui/material';
+import { alpha } from '@mui/material/styles';
+
+export default function Section({ title, children, collapsed = false, actions = null }) {
+  return (
+    <Paper
+      elevation={0}
+      sx={{
+        p: { xs: 2, md: 3 },
+        borderRadius: 3,
+        border: '1px solid',
+        borderColor: 'divider',
+        background: (theme) => alpha(theme.palette.background.paper, 0.92),
+        backdropFilter: 'blur(20px)',
+      }}
+    >
+      <Stack direction="row" sx={{ alignItems: 'center', justifyContent: 'space-between', mb: collapsed ? 0 : 1 }}>
+        <Typography variant="h6" sx={{ fontWeight: 950 }}>
+          {title}
+        </Typography>
+        {actions ? <Stack direction="row" spacing={0.5}>{actions}</Stack> : null}
+      </Stack>
+      {/* Reason: keep collapsed remotes mounted so their internal state survives. */}
+      <Collapse in={!collapsed}>{children}</Collapse>
+    </Paper>
+  );
+}
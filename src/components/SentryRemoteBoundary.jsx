@@ -0,0 +1,17 @@
+import * as Sentry from '@sentry/react';
+import { isSentryEnabled } from '../errors/sentryReporter.js';
+
+function rethrow({ error }) {
+  throw error;
+}
+
+// Sentry error boundary around one remote, tagging captured errors with the remote name.
+// Reason: the fallback rethrows so the crash UI (retry, diagnostics) stays with `RemoteErrorBoundary`.
+export default function SentryRemoteBoundary({ remoteName, children }) {
+  if (!isSentryEnabled()) return children;
+  return (
+    <Sentry.ErrorBoundary beforeCapture={(scope) => scope.setTag('remote', remoteName)} fallback={rethrow}>
+      {children}
+    </Sentry.ErrorBoundary>
+  );
+}
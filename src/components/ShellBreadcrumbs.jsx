@@ -0,0 +1,38 @@
+import { Link as RouterLink, useLocation } from 'react-router-dom';
+import { Breadcrumbs, Link, Typography } from '@mui/material';
+import { useI18n } from '../hooks/useI18n.js';
+import { getToolPageByPath } from '../pages/toolPages.js';
+import { getPanelByPath } from '../remotes/panels.js';
+
+// AppBar breadcrumbs derived from the current path (remote sub-route segments are shown as-is).
+export default function ShellBreadcrumbs() {
+  const { pathname } = useLocation();
+  const { t } = useI18n();
+  const segments = pathname.split('/').filter(Boolean);
+
+  const crumbs = [{ to: '/', label: t('nav.dashboard') }];
+  segments.forEach((segment, i) => {
+    const to = `/${segments.slice(0, i + 1).join('/')}`;
+    const label =
+      i === 0
+        ? (getPanelByPath(segment) ?? getToolPageByPath(segment))?.navLabel ?? t('notFound.title')
+        : decodeURIComponent(segment);
+    crumbs.push({ to, label });
+  });
+
+  return (
+    <Breadcrumbs aria-label="breadcrumb" sx={{ fontFamily: 'monospace', fontSize: '0.875rem' }}>
+      {crumbs.map((crumb, i) =>
+        i === crumbs.length - 1 ? (
+          <Typography key={crumb.to} variant="body2" color="text.primary" sx={{ fontFamily: 'monospace' }}>
+            {crumb.label}
+          </Typography>
+        ) : (
+          <Link key={crumb.to} component={RouterLink} to={crumb.to} underline="hover" color="text.secondary" variant="body2" sx={{ fontFamily: 'monospace' }}>
+            {crumb.label}
+          </Link>
+        ),
+      )}
+    </Breadcrumbs>
+  );
+}
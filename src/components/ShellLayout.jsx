@@ -0,0 +1,137 @@
+import { useMemo, useState } from 'react';
+import { Outlet, Link as RouterLink } from 'react-router-dom';
+import { AppBar, Box, Chip, Container, IconButton, Toolbar, Tooltip, Typography } from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import AccountTreeIcon from '@mui/icons-material/AccountTree';
+import DarkModeIcon from '@mui/icons-material/DarkMode';
+import LightModeIcon from '@mui/icons-material/LightMode';
+import MenuIcon from '@mui/icons-material/Menu';
+import SearchIcon from '@mui/icons-material/Search';
+import AccountMenu from './AccountMenu.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import LocaleSwitcher from './LocaleSwitcher.jsx';
+import NavDrawer from './NavDrawer.jsx';
+import NotificationHistory from './NotificationHistory.jsx';
+import NotificationToasts from './NotificationToasts.jsx';
+import PersonaSwitcher from './PersonaSwitcher.jsx';
+import ShellBreadcrumbs from './ShellBreadcrumbs.jsx';
+import ShortcutCheatsheet from './ShortcutCheatsheet.jsx';
+import StateInspectorDrawer from './StateInspectorDrawer.jsx';
+import { login } from '../auth/auth.js';
+import { SHELL_PERMISSIONS, hasPermissions } from '../auth/permissions.js';
+import { getFaultyRemotes } from '../chaos/faultInjection.js';
+import { PALETTE_COMMAND_ID, formatShortcut, getShortcut, setPaletteOpen } from '../commands/commands.js';
+import { toggleInspector } from '../devtools/stateTimeline.js';
+import { toggleThemeMode } from '../theme/themeStore.js';
+import { useFaultState } from '../hooks/useFaults.js';
+import { useAuth } from '../hooks/useAuth.js';
+import { useCommandShortcuts, useCommandState } from '../hooks/useCommands.js';
+import { useHostState } from '../hooks/useHostState.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { usePersona } from '../hooks/usePersona.js';
+import { useShellCommands } from '../hooks/useShellCommands.js';
+import { useStateTimeline } from '../hooks/useStateTimeline.js';
+import { useThemeSettings } from '../hooks/useShellTheme.js';
+import { useUndoNotifications } from '../hooks/useNotifications.js';
+
+// Shell chrome shared by every route: AppBar + navigation drawer + routed page.
+// Host state is owned here and handed to pages through the outlet context.
+// The persona is who remotes see as `currentUser`; the signed-in admin only gates the shell
+// (and the state inspector, for users with tool access).
+export default function ShellLayout() {
+  const personaState = usePersona();
+  const hostState = useHostState(personaState.persona.user);
+  const { user, pending: authPending } = useAuth();
+  const canInspect = hasPermissions(user, [SHELL_PERMISSIONS.TOOLS]);
+  const { open: inspectorOpen } = useStateTimeline();
+  const faultyRemotes = getFaultyRemotes(useFaultState());
+  const host = useMemo(() => ({ ...hostState, login, authPending }), [hostState, authPending]);
+  const { mode } = useThemeSettings();
+  const { t } = useI18n();
+  const [navOpen, setNavOpen] = useState(false);
+  useUndoNotifications();
+  useShellCommands();
+  useCommandShortcuts();
+  const commandState = useCommandState();
+  const paletteCommand = commandState.commands.find((c) => c.id === PALETTE_COMMAND_ID);
+  const paletteShortcut = paletteCommand ? getShortcut(paletteCommand, commandState) : null;
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      <AppBar
+        position="sticky"
+        elevation={0}
+        sx={{
+          borderBottom: '1px solid',
+          borderColor: 'divider',
+          bgcolor: (theme) => alpha(theme.palette.background.paper, 0.9),
+          backdropFilter: 'blur(16px)',
+        }}
+      >
+        <Container maxWidth="xl">
+          <Toolbar sx={{ justifyContent: 'space-between', gap: 2 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, minWidth: 0 }}>
+              <IconButton
+                edge="start"
+                aria-label={t('nav.open')}
+                onClick={() => setNavOpen(true)}
+                sx={{ display: { md: 'none' } }}
+              >
+                <MenuIcon />
+              </IconButton>
+              <Typography variant="h6" color="text.primary" sx={{ fontWeight: 950, letterSpacing: '-0.02em' }}>
+                ShopHub
+              </Typography>
+              <ShellBreadcrumbs />
+            </Box>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              {faultyRemotes.length ? (
+                // Reason: injected faults look like real breakage; keep it obvious that they are on.
+                <Chip
+                  size="small"
+                  color="warning"
+                  label={`Faults: ${faultyRemotes.join(', ')}`}
+                  component={RouterLink}
+                  to="/chaos"
+                  clickable
+                />
+              ) : null}
+              <Tooltip title={paletteShortcut ? `${t('commands.palette')} (${formatShortcut(paletteShortcut)})` : t('commands.palette')}>
+                <IconButton aria-label={t('commands.palette')} onClick={() => setPaletteOpen(true)}>
+                  <SearchIcon />
+                </IconButton>
+              </Tooltip>
+              {canInspect ? (
+                <Tooltip title={t('inspector.toggle')}>
+                  <IconButton aria-label={t('inspector.toggle')} aria-pressed={inspectorOpen} color={inspectorOpen ? 'primary' : 'default'} onClick={toggleInspector}>
+                    <AccountTreeIcon />
+                  </IconButton>
+                </Tooltip>
+              ) : null}
+              <Tooltip title={t(mode === 'dark' ? 'theme.light' : 'theme.dark')}>
+                <IconButton aria-label={t('theme.toggle')} onClick={toggleThemeMode}>
+                  {mode === 'dark' ? <LightModeIcon /> : <DarkModeIcon />}
+                </IconButton>
+              </Tooltip>
+              <LocaleSwitcher />
+              <NotificationHistory />
+              <PersonaSwitcher {...personaState} />
+              <AccountMenu />
+            </Box>
+          </Toolbar>
+        </Container>
+      </AppBar>
+
+      <Box sx={{ display: 'flex' }}>
+        <NavDrawer mobileOpen={navOpen} onClose={() => setNavOpen(false)} />
+        <Container maxWidth="xl" sx={{ py: 4, flexGrow: 1, minWidth: 0 }}>
+          <Outlet context={host} />
+        </Container>
+      </Box>
+      <NotificationToasts />
+      <CommandPalette />
+      <ShortcutCheatsheet />
+      {canInspect ? <StateInspectorDrawer currentUser={personaState.persona.user} /> : null}
+    </Box>
+  );
+}
@@ -0,0 +1,124 @@
+import { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import ClearIcon from '@mui/icons-material/Clear';
+import KeyboardIcon from '@mui/icons-material/Keyboard';
+import { formatShortcut, getShortcut, resetShortcuts, setCheatsheetOpen, setShortcut, shortcutFromEvent } from '../commands/commands.js';
+import { useCommandState } from '../hooks/useCommands.js';
+import { useI18n } from '../hooks/useI18n.js';
+
+function groupBy(commands) {
+  const groups = new Map();
+  for (const command of commands) {
+    const group = command.hidden ? 'Shell' : command.group;
+    groups.set(group, [...(groups.get(group) ?? []), command]);
+  }
+  return [...groups.entries()];
+}
+
+// Overlay listing every shortcut; a binding is changed by clicking it and pressing the new keys.
+export default function ShortcutCheatsheet() {
+  const state = useCommandState();
+  const { t } = useI18n();
+  const [recording, setRecording] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const groups = useMemo(
+    () => groupBy(showAll ? state.commands : state.commands.filter((c) => getShortcut(c, state))),
+    [state, showAll],
+  );
+
+  const close = () => {
+    setRecording(null);
+    setCheatsheetOpen(false);
+  };
+
+  // Reason: handled here (and stopped) so the keys being recorded never trigger their current commands.
+  const onRecordKey = (event, commandId) => {
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      setRecording(null);
+      return;
+    }
+    const binding = shortcutFromEvent(event.nativeEvent);
+    if (!binding) return;
+    setShortcut(commandId, binding);
+    setRecording(null);
+  };
+
+  return (
+    <Dialog open={state.cheatsheetOpen} onClose={close} fullWidth maxWidth="sm">
+      <DialogTitle sx={{ fontWeight: 950, display: 'flex', alignItems: 'center', gap: 1 }}>
+        <KeyboardIcon /> {t('shortcuts.title')}
+      </DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {t('shortcuts.help')}
+        </Typography>
+        {groups.map(([group, commands]) => (
+          <Box key={group} sx={{ mb: 2 }}>
+            <Typography variant="overline" color="text.secondary">
+              {group}
+            </Typography>
+            <Table size="small">
+              <TableBody>
+                {commands.map((command) => {
+                  const binding = getShortcut(command, state);
+                  const isRecording = recording === command.id;
+                  return (
+                    <TableRow key={command.id}>
+                      <TableCell>{command.title}</TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Stack direction="row" spacing={0.5} sx={{ justifyContent: 'flex-end', alignItems: 'center' }}>
+                          <Chip
+                            size="small"
+                            variant={isRecording ? 'filled' : 'outlined'}
+                            color={isRecording ? 'primary' : 'default'}
+                            label={isRecording ? t('shortcuts.recording') : binding ? formatShortcut(binding) : t('shortcuts.none')}
+                            onClick={() => setRecording(isRecording ? null : command.id)}
+                            onKeyDown={isRecording ? (e) => onRecordKey(e, command.id) : undefined}
+                            onBlur={() => isRecording && setRecording(null)}
+                            sx={{ fontFamily: 'monospace', minWidth: 72 }}
+                          />
+                          <Tooltip title={t('shortcuts.remove')}>
+                            <span>
+                              <IconButton size="small" aria-label={t('shortcuts.remove')} disabled={!binding} onClick={() => setShortcut(command.id, null)}>
+                                <ClearIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        </Stack>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Box>
+        ))}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => setShowAll((v) => !v)}>{t(showAll ? 'shortcuts.showBound' : 'shortcuts.showAll')}</Button>
+        <Button onClick={resetShortcuts}>{t('shortcuts.reset')}</Button>
+        <Button variant="contained" onClick={close}>
+          {t('shortcuts.close')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,243 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  Drawer,
+  FormControlLabel,
+  IconButton,
+  Stack,
+  Switch,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import CloseIcon from '@mui/icons-material/Close';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import {
+  clearTimeline,
+  editHostValue,
+  jumpToEntry,
+  parseEditedValue,
+  removeHostItem,
+  replayFrom,
+  setInspectorOpen,
+  stopReplay,
+} from '../devtools/stateTimeline.js';
+import { useHostStore } from '../hooks/useHostState.js';
+import { useI18n } from '../hooks/useI18n.js';
+import { useStateTimeline } from '../hooks/useStateTimeline.js';
+
+const mono = { fontFamily: 'monospace', fontSize: 13 };
+const SLICES = ['cartItems', 'wishlistItems'];
+const HEIGHT = '40vh';
+
+function formatValue(value) {
+  if (value === undefined) return 'undefined';
+  return JSON.stringify(value);
+}
+
+function summarize(value) {
+  return Array.isArray(value) ? `Array(${value.length})` : `{${Object.keys(value).length}}`;
+}
+
+// Click a value to edit it; the text is parsed as JSON (`0`, `-1`, `null`, `"text"`), raw text otherwise.
+function EditableValue({ value, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  if (draft === null) {
+    return (
+      <Box
+        component="button"
+        type="button"
+        onClick={() => setDraft(formatValue(value))}
+        sx={{ ...mono, border: 0, p: 0, bgcolor: 'transparent', color: 'primary.main', cursor: 'text', textAlign: 'start' }}
+      >
+        {formatValue(value)}
+      </Box>
+    );
+  }
+  return (
+    <TextField
+      size="small"
+      variant="standard"
+      autoFocus
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={() => setDraft(null)}
+      onKeyDown={(e) => {
+        // Reason: keeps Enter / Escape away from the shell's shortcuts and any dialog around.
+        e.stopPropagation();
+        if (e.key === 'Enter') {
+          onCommit(parseEditedValue(draft));
+          setDraft(null);
+        } else if (e.key === 'Escape') {
+          setDraft(null);
+        }
+      }}
+      slotProps={{ htmlInput: { style: mono, 'aria-label': 'Edit value' } }}
+    />
+  );
+}
+
+// One key of the state tree. `path` is `[slice, ...keys]`; edits are disabled when `readOnly`.
+function TreeNode({ name, value, path, depth, readOnly, onRemove }) {
+  const [expanded, setExpanded] = useState(depth < 2);
+  const isBranch = value !== null && typeof value === 'object';
+
+  return (
+    <Box sx={{ pl: depth ? 2 : 0 }}>
+      <Stack direction="row" spacing={0.5} sx={{ alignItems: 'center', minHeight: 28 }}>
+        {isBranch ? (
+          <IconButton size="small" aria-label={expanded ? 'Collapse' : 'Expand'} onClick={() => setExpanded((x) => !x)} sx={{ p: 0.25 }}>
+            {expanded ? <ExpandMoreIcon fontSize="small" /> : <ChevronRightIcon fontSize="small" />}
+          </IconButton>
+        ) : (
+          <Box sx={{ width: 24 }} />
+        )}
+        <Typography component="span" sx={{ ...mono, color: 'text.secondary' }}>
+          {name}:
+        </Typography>
+        {isBranch ? (
+          <Typography component="span" sx={{ ...mono, color: 'text.disabled' }}>
+            {summarize(value)}
+          </Typography>
+        ) : readOnly ? (
+          <Typography component="span" sx={mono}>
+            {formatValue(value)}
+          </Typography>
+        ) : (
+          <EditableValue value={value} onCommit={(next) => editHostValue(path, next)} />
+        )}
+        {onRemove ? (
+          <Tooltip title="Remove item">
+            <IconButton size="small" aria-label="Remove item" onClick={onRemove} sx={{ p: 0.25 }}>
+              <DeleteOutlineIcon fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        ) : null}
+      </Stack>
+      {isBranch && expanded
+        ? Object.entries(value).map(([key, child]) => {
+            const childPath = [...path, Array.isArray(value) ? Number(key) : key];
+            const removable = !readOnly && depth === 0 && Array.isArray(value);
+            return (
+              <TreeNode
+                key={key}
+                name={key}
+                value={child}
+                path={childPath}
+                depth={depth + 1}
+                readOnly={readOnly}
+                onRemove={removable ? () => removeHostItem(path[0], Number(key)) : null}
+              />
+            );
+          })
+        : null}
+    </Box>
+  );
+}
+
+function isCurrent(entry, host) {
+  return entry.after.cartItems === host.cartItems && entry.after.wishlistItems === host.wishlistItems;
+}
+
+function TimelineRow({ entry, current, replaying }) {
+  return (
+    <Stack
+      direction="row"
+      spacing={1}
+      sx={{
+        alignItems: 'center',
+        px: 1,
+        py: 0.5,
+        borderBottom: '1px solid',
+        borderColor: 'divider',
+        bgcolor: current ? 'action.selected' : 'transparent',
+      }}
+    >
+      <Typography sx={{ ...mono, color: 'text.disabled', minWidth: 36 }}>#{entry.id}</Typography>
+      <Typography sx={{ ...mono, color: 'text.secondary' }}>{new Date(entry.at).toLocaleTimeString()}</Typography>
+      <Chip size="small" variant="outlined" label={entry.source} />
+      <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+        <Typography noWrap sx={mono}>
+          {entry.action}
+        </Typography>
+        {entry.changed.length ? (
+          <Typography noWrap variant="caption" color="text.secondary">
+            {entry.changed.join(', ')}
+          </Typography>
+        ) : null}
+      </Box>
+      <Button size="small" disabled={current || replaying} onClick={() => jumpToEntry(entry.id)}>
+        Jump
+      </Button>
+      <Button size="small" disabled={replaying} onClick={() => replayFrom(entry.id)}>
+        Replay from here
+      </Button>
+    </Stack>
+  );
+}
+
+// Bottom drawer with the host state as an editable tree and a timeline of every change
+// (`devtools/stateTimeline.js`). Edits apply as typed, so invalid values reach remotes on purpose.
+export default function StateInspectorDrawer({ currentUser }) {
+  const { entries, open, replay } = useStateTimeline();
+  const host = useHostStore();
+  const { t } = useI18n();
+  const [hideDevtools, setHideDevtools] = useState(false);
+  const visible = (hideDevtools ? entries.filter((e) => e.source !== 'devtools') : entries).slice().reverse();
+
+  return (
+    <>
+      {/* Reason: the persistent drawer overlays the page; the spacer keeps the page bottom reachable. */}
+      {open ? <Box sx={{ height: HEIGHT }} /> : null}
+      <Drawer
+        anchor="bottom"
+        variant="persistent"
+        open={open}
+        slotProps={{ paper: { sx: { height: HEIGHT, borderTop: '1px solid', borderColor: 'divider' } } }}
+      >
+        <Stack direction="row" spacing={2} sx={{ alignItems: 'center', px: 2, py: 1, borderBottom: '1px solid', borderColor: 'divider' }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 800 }}>
+            {t('inspector.toggle')}
+          </Typography>
+          {replay ? (
+            <>
+              <Chip size="small" color="info" label={`Replaying from #${replay.fromId}: ${replay.step}/${replay.total}`} />
+              <Button size="small" onClick={stopReplay}>
+                Stop
+              </Button>
+            </>
+          ) : null}
+          <Box sx={{ flexGrow: 1 }} />
+          <FormControlLabel
+            control={<Switch size="small" checked={hideDevtools} onChange={(e) => setHideDevtools(e.target.checked)} />}
+            label="Hide inspector changes"
+          />
+          <Button size="small" onClick={clearTimeline}>
+            Clear timeline
+          </Button>
+          <IconButton size="small" aria-label={t('shortcuts.close')} onClick={() => setInspectorOpen(false)}>
+            <CloseIcon fontSize="small" />
+          </IconButton>
+        </Stack>
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: 'minmax(0, 2fr) minmax(0, 3fr)' }, minHeight: 0, flexGrow: 1 }}>
+          <Box sx={{ overflow: 'auto', minHeight: 0, p: 1.5, borderRight: { md: '1px solid' }, borderColor: { md: 'divider' } }}>
+            {SLICES.map((slice) => (
+              <TreeNode key={slice} name={slice} value={host[slice]} path={[slice]} depth={0} />
+            ))}
+            {/* Reason: `currentUser` comes from the persona switcher, not the host store. */}
+            <TreeNode name="currentUser" value={currentUser} path={['currentUser']} depth={0} readOnly />
+          </Box>
+          <Box sx={{ overflow: 'auto', minHeight: 0 }}>
+            {visible.map((entry) => (
+              <TimelineRow key={entry.id} entry={entry} current={isCurrent(entry, host)} replaying={Boolean(replay)} />
+            ))}
+          </Box>
+        </Box>
+      </Drawer>
+    </>
+  );
+}
@@ -0,0 +1,36 @@
+// Store of contract violations found by `contractValidator.js`.
+// Identical violations are folded into one issue with a hit count.
+
+const MAX_ISSUES = 200;
+
+const listeners = new Set();
+let issues = [];
+
+export function getContractIssues() {
+  return issues;
+}
+
+export function subscribeContractIssues(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function emit() {
+  for (const listener of listeners) listener();
+}
+
+// `kind`: 'missing' | 'type' | 'unexpected' | 'args' | 'return'.
+export function recordContractIssue({ remote, prop, kind, message }) {
+  const key = `${remote}|${prop}|${kind}|${message}`;
+  const now = Date.now();
+  const existing = issues.find((i) => i.key === key);
+  issues = existing
+    ? issues.map((i) => (i.key === key ? { ...i, count: i.count + 1, lastAt: now } : i))
+    : [{ key, remote, prop, kind, message, count: 1, firstAt: now, lastAt: now }, ...issues].slice(0, MAX_ISSUES);
+  emit();
+}
+
+export function clearContractIssues() {
+  issues = [];
+  emit();
+}
@@ -0,0 +1,94 @@
+import { getRemoteContract } from './remoteContracts.js';
+import { recordContractIssue } from './contractIssues.js';
+
+// Checks props handed to a remote against its contract (`remoteContracts.js`).
+
+function schemaError(schema, value) {
+  try {
+    schema.validateSync(value, { strict: true, abortEarly: true });
+    return null;
+  } catch (e) {
+    // Reason: yup names a root value "this", which reads oddly in the issues panel.
+    return String(e?.message ?? e).replace(/^this\b/, 'value');
+  }
+}
+
+function unchanged(previous, props, prop) {
+  return previous !== null && prop in previous === prop in props && Object.is(previous[prop], props[prop]);
+}
+
+// Mount-time check: missing required props, wrong value types, props the contract does not know.
+// `previous`: the props validated last time for this mount; props with the same value are skipped.
+// Reason: props are rebuilt on every cart or locale change, which must not count the same violation again.
+export function validateRemoteProps(remote, props, previous = null) {
+  const contract = getRemoteContract(remote);
+  if (!contract) return;
+
+  for (const [prop, spec] of Object.entries(contract)) {
+    if (unchanged(previous, props, prop)) continue;
+    const v = props[prop];
+    if (v === undefined) {
+      if (spec.required) recordContractIssue({ remote, prop, kind: 'missing', message: `Required ${spec.kind} is not passed` });
+      continue;
+    }
+    if (spec.kind === 'callback') {
+      if (typeof v !== 'function') recordContractIssue({ remote, prop, kind: 'type', message: `Expected a function, got ${typeof v}` });
+      continue;
+    }
+    const error = schemaError(spec.schema, v);
+    if (error) recordContractIssue({ remote, prop, kind: 'type', message: error });
+  }
+
+  for (const prop of Object.keys(props)) {
+    if (!(prop in contract) && !unchanged(previous, props, prop)) recordContractIssue({ remote, prop, kind: 'unexpected', message: 'Prop is not part of the contract' });
+  }
+}
+
+function checkReturn(remote, prop, spec, result) {
+  const error = schemaError(spec.returns, result);
+  if (error) recordContractIssue({ remote, prop, kind: 'return', message: `Returned value: ${error}` });
+}
+
+function wrapCallback(remote, prop, spec, fn) {
+  return function contractChecked(...args) {
+    spec.args.forEach((schema, i) => {
+      const error = schemaError(schema, args[i]);
+      if (error) recordContractIssue({ remote, prop, kind: 'args', message: `Argument ${i + 1}: ${error}` });
+    });
+
+    const result = fn.apply(this, args);
+    if (spec.async && typeof result?.then !== 'function') {
+      recordContractIssue({ remote, prop, kind: 'return', message: 'Expected a Promise' });
+    }
+    if (!spec.returns) return result;
+    if (typeof result?.then === 'function') {
+      return result.then((resolved) => {
+        checkReturn(remote, prop, spec, resolved);
+        return resolved;
+      });
+    }
+    checkReturn(remote, prop, spec, result);
+    return result;
+  };
+}
+
+// `remote|prop` -> original fn -> wrapped fn.
+// Reason: wrappers are cached so remotes keep receiving stable callback identities.
+const wrappers = new Map();
+
+// Returns `props` with contract callbacks wrapped to check arguments and return values on every call.
+export function instrumentRemoteProps(remote, props) {
+  const contract = getRemoteContract(remote);
+  if (!contract) return props;
+  const next = { ...props };
+  for (const [prop, spec] of Object.entries(contract)) {
+    const fn = props[prop];
+    if (spec.kind !== 'callback' || typeof fn !== 'function') continue;
+    const key = `${remote}|${prop}`;
+    if (!wrappers.has(key)) wrappers.set(key, new WeakMap());
+    const cache = wrappers.get(key);
+    if (!cache.has(fn)) cache.set(fn, wrapCallback(remote, prop, spec, fn));
+    next[prop] = cache.get(fn);
+  }
+  return next;
+}
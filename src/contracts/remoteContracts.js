@@ -0,0 +1,104 @@
+import * as yup from 'yup';
+import { getRemoteNameOf } from '../remotes/instances.js';
+
+// Declarative prop contracts between the shell and each remote.
+// Reason: a drifting contract used to surface only as a remote crash; `contractValidator.js` checks
+// props at mount time and every callback call against these definitions.
+//
+// - `value(schema)`: a data prop validated with yup (strict, no casting).
+// - `callback({ args, returns, async })`: a function prop; `args` / `returns` are yup schemas checked
+//   on each call (`returns` is checked on the resolved value when `async`).
+
+export function value(schema, { required = true } = {}) {
+  return { kind: 'value', schema, required };
+}
+
+export function callback({ args = [], returns = null, async = false, required = true } = {}) {
+  return { kind: 'callback', args, returns, async, required };
+}
+
+const idSchema = yup
+  .mixed()
+  .required()
+  .test('id', '${path} must be a string or number', (v) => typeof v === 'string' || typeof v === 'number');
+
+const productSchema = yup.object({ id: idSchema }).required();
+
+const cartItemSchema = yup.object({ id: idSchema, quantity: yup.number().required() });
+
+const messageSchema = yup.mixed().required();
+
+const userSchema = yup
+  .object({
+    name: yup.string().required(),
+    email: yup.string().required(),
+    role: yup.string().required(),
+    permissions: yup.array().of(yup.string()).required(),
+  })
+  .nullable();
+
+// Props `RemotePanel` passes to every remote.
+const COMMON_PROPS = {
+  currentUser: value(userSchema, { required: false }),
+  eventBus: value(yup.object({ publish: yup.mixed().required(), subscribe: yup.mixed().required() }), { required: false }),
+  basePath: value(yup.string(), { required: false }),
+  i18n: value(
+    yup.object({
+      locale: yup.string().required(),
+      currency: yup.string().required(),
+      direction: yup.string().oneOf(['ltr', 'rtl']).required(),
+      t: yup.mixed().required(),
+      formatPrice: yup.mixed().required(),
+      formatDate: yup.mixed().required(),
+    }),
+    { required: false },
+  ),
+  commands: value(yup.object({ register: yup.mixed().required() }), { required: false }),
+  http: value(
+    yup.mixed().test('http', '${path} must be an axios instance', (v) => typeof v === 'function' && typeof v.request === 'function'),
+    { required: false },
+  ),
+};
+
+const showMessage = callback({ args: [messageSchema] });
+
+export const REMOTE_CONTRACTS = {
+  auth: {
+    login: callback({ args: [yup.mixed()], async: true, returns: yup.object({ success: yup.boolean().required() }) }),
+    loading: value(yup.boolean()),
+  },
+  catalog: {
+    addToCart: callback({ args: [productSchema], async: true, returns: yup.boolean().required() }),
+    showError: showMessage,
+    addToWishlist: callback({ args: [productSchema] }),
+    isInWishlist: callback({ args: [idSchema], returns: yup.boolean().required() }),
+  },
+  checkout: {
+    cartItems: value(yup.array().of(cartItemSchema).required()),
+    removeFromCart: callback({ args: [idSchema], async: true }),
+    updateQuantity: callback({ args: [idSchema, yup.number().integer().required()], async: true }),
+    getCartTotal: callback({ returns: yup.number().required() }),
+    isCartEmpty: callback({ returns: yup.boolean().required() }),
+    clearCart: callback({ async: true }),
+    showError: showMessage,
+    wishlistItems: value(yup.array().of(yup.object({ id: idSchema })).required()),
+    removeFromWishlist: callback({ args: [idSchema] }),
+    clearWishlist: callback(),
+    showSuccess: showMessage,
+  },
+  wishlist: {
+    items: value(yup.array().of(yup.object({ id: idSchema })).required()),
+    removeFromWishlist: callback({ args: [idSchema] }),
+    clearWishlist: callback(),
+    addToCart: callback({ args: [productSchema], async: true, returns: yup.boolean().required() }),
+    showError: showMessage,
+    showSuccess: showMessage,
+  },
+  account: {},
+};
+
+// `remote`: a remote name or instance key (`remotes/instances.js`); every instance shares the contract.
+export function getRemoteContract(remote) {
+  const contract = REMOTE_CONTRACTS[getRemoteNameOf(remote)];
+  return contract ? { ...COMMON_PROPS, ...contract } : null;
+}
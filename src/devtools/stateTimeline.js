@@ -0,0 +1,149 @@
+import { applyHostSnapshot, getHostState, pickSynced, subscribeHostChanges } from '../store/hostStore.js';
+
+// State inspector ("devtools" drawer): timeline of host state changes with time travel, replay and
+// hand edits. Reason: the only way to see what the shell fed to remotes was reading React DevTools.
+//
+// - The timeline is in memory and per tab; it starts with the state at load and keeps `MAX_ENTRIES`.
+// - Jumps, replays and edits go through `applyHostSnapshot`, so they are audited (source `devtools`)
+//   and show up on the timeline themselves.
+
+const OPEN_STORAGE_KEY = 'shophub.admin.inspector';
+const MAX_ENTRIES = 300;
+export const REPLAY_INTERVAL_MS = 700;
+
+const listeners = new Set();
+let nextId = 1;
+let replayTimer = null;
+
+function readOpen() {
+  try {
+    return window.localStorage.getItem(OPEN_STORAGE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+function initialEntry() {
+  const after = pickSynced(getHostState());
+  return { id: nextId++, at: Date.now(), action: 'state:initial', source: 'shell', details: {}, before: after, after, changed: [] };
+}
+
+// `replay`: `{ fromId, step, total }` while a replay runs.
+let state = {
+  entries: [initialEntry()],
+  open: readOpen(),
+  replay: null,
+};
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  for (const listener of listeners) listener();
+}
+
+export function getTimelineState() {
+  return state;
+}
+
+export function subscribeTimeline(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+subscribeHostChanges(({ action, source, details, before, after, at }) => {
+  const changed = Object.keys(after).filter((key) => after[key] !== before[key]);
+  const entry = { id: nextId++, at, action, source, details, before, after, changed };
+  setState({ entries: [...state.entries, entry].slice(-MAX_ENTRIES) });
+});
+
+export function setInspectorOpen(open) {
+  try {
+    window.localStorage.setItem(OPEN_STORAGE_KEY, open ? '1' : '0');
+  } catch (e) {
+    console.error('[admin-host] Failed to persist the state inspector setting:', e);
+  }
+  setState({ open });
+}
+
+export function toggleInspector() {
+  setInspectorOpen(!state.open);
+}
+
+// Drops the history; the current state becomes the new starting point.
+export function clearTimeline() {
+  setState({ entries: [initialEntry()] });
+}
+
+function findEntry(id) {
+  return state.entries.find((e) => e.id === id) ?? null;
+}
+
+// Sets the host state to what it was right after entry `id` (undoable).
+export function jumpToEntry(id) {
+  const entry = findEntry(id);
+  if (!entry) return;
+  stopReplay();
+  applyHostSnapshot(entry.after, { action: 'devtools:time-travel', details: { entryId: id }, undoLabel: `Time travel to #${id}` });
+}
+
+export function stopReplay() {
+  window.clearTimeout(replayTimer);
+  replayTimer = null;
+  if (state.replay) setState({ replay: null });
+}
+
+// Restores the state before entry `id`, then re-applies it and every later change one step at a time,
+// so remotes re-render through the same sequence.
+export function replayFrom(id, intervalMs = REPLAY_INTERVAL_MS) {
+  const index = state.entries.findIndex((e) => e.id === id);
+  if (index < 0) return;
+  stopReplay();
+  // Reason: captured up front; the replay's own steps are appended to the timeline while it runs.
+  const steps = state.entries.slice(index).map((e) => e.after);
+  applyHostSnapshot(state.entries[index].before, { action: 'devtools:replay', details: { fromId: id, step: 0 } });
+  setState({ replay: { fromId: id, step: 0, total: steps.length } });
+
+  const next = (step) => {
+    replayTimer = window.setTimeout(() => {
+      applyHostSnapshot(steps[step], { action: 'devtools:replay', details: { fromId: id, step: step + 1 } });
+      if (step + 1 < steps.length) {
+        setState({ replay: { fromId: id, step: step + 1, total: steps.length } });
+        next(step + 1);
+      } else {
+        replayTimer = null;
+        setState({ replay: null });
+      }
+    }, intervalMs);
+  };
+  next(0);
+}
+
+function setIn(value, [key, ...rest], next) {
+  if (key === undefined) return next;
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  copy[key] = setIn(value?.[key], rest, next);
+  return copy;
+}
+
+// Hand edit: sets `path` (e.g. `['cartItems', 0, 'quantity']`) to `value` in the current host state.
+export function editHostValue(path, value) {
+  const [slice] = path;
+  const current = pickSynced(getHostState());
+  if (!Object.hasOwn(current, slice)) return;
+  applyHostSnapshot(setIn(current, path, value), { action: 'devtools:edited', details: { path: path.join('.'), value } });
+}
+
+// Removes item `index` from `slice` (`cartItems` / `wishlistItems`).
+export function removeHostItem(slice, index) {
+  const current = pickSynced(getHostState());
+  if (!Array.isArray(current[slice])) return;
+  applyHostSnapshot({ [slice]: current[slice].filter((_, i) => i !== index) }, { action: 'devtools:edited', details: { path: `${slice}.${index}`, removed: true } });
+}
+
+// Edited text → value: JSON when it parses (`0`, `-1`, `null`, `"x"`, `{...}`), the raw text otherwise.
+export function parseEditedValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
@@ -0,0 +1,49 @@
+/* global __ERROR_REPORTING_CONFIG__ */
+
+import { createSentryReporter } from './sentryReporter.js';
+import { createZipyReporter } from './zipyReporter.js';
+
+// Pluggable error reporting for the shell.
+// Reason: one `reportError` call fans out to every configured backend (Sentry, Zipy, ...), each
+// error tagged with the remote it came from.
+//
+// A reporter is `{ name, captureException(error, { remote, componentStack, extra }) }`.
+
+const reporters = [];
+
+// Build-time config injected by webpack (`DefinePlugin`); see `webpack.config.cjs`.
+export const errorReportingConfig =
+  typeof __ERROR_REPORTING_CONFIG__ === 'object' && __ERROR_REPORTING_CONFIG__ ? __ERROR_REPORTING_CONFIG__ : {};
+
+export function registerReporter(reporter) {
+  if (reporters.some((r) => r.name === reporter.name)) return;
+  reporters.push(reporter);
+}
+
+export function getReporters() {
+  return [...reporters];
+}
+
+export function reportError(error, context = {}) {
+  for (const reporter of reporters) {
+    try {
+      reporter.captureException(error, context);
+    } catch (e) {
+      // Reason: a broken reporter must never take down the boundary that is reporting.
+      console.error(`[admin-host] Error reporter "${reporter.name}" failed:`, e);
+    }
+  }
+}
+
+let initialized = false;
+
+export function initErrorReporting(config = errorReportingConfig) {
+  if (initialized) return;
+  initialized = true;
+
+  const sentry = createSentryReporter(config);
+  if (sentry) registerReporter(sentry);
+
+  const zipy = createZipyReporter(config);
+  if (zipy) registerReporter(zipy);
+}
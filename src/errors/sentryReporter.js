@@ -0,0 +1,55 @@
+import * as Sentry from '@sentry/react';
+
+// Sentry reporter.
+// - With a DSN, events go to Sentry (release = the same version Zipy uses for sourcemaps).
+// - With `localTransport`, events are kept in memory instead of being sent, so error reporting
+//   can be exercised offline (inspect them via `getLocalSentryEvents()`).
+
+// Reason: the SDK only enables itself with a syntactically valid DSN.
+const LOCAL_DSN = 'https://public@localhost/0';
+const MAX_LOCAL_EVENTS = 50;
+
+const localEvents = [];
+let sentryEnabled = false;
+
+function makeLocalTransport(options) {
+  return Sentry.createTransport(options, (request) => {
+    localEvents.unshift({ at: Date.now(), body: request.body });
+    localEvents.length = Math.min(localEvents.length, MAX_LOCAL_EVENTS);
+    return Promise.resolve({ statusCode: 200 });
+  });
+}
+
+export function getLocalSentryEvents() {
+  return [...localEvents];
+}
+
+export function isSentryEnabled() {
+  return sentryEnabled;
+}
+
+export function createSentryReporter({ sentryDsn, sentryEnvironment, release, localTransport } = {}) {
+  if (!sentryDsn && !localTransport) return null;
+
+  Sentry.init({
+    dsn: localTransport ? LOCAL_DSN : sentryDsn,
+    release: release || undefined,
+    environment: sentryEnvironment || undefined,
+    ...(localTransport ? { transport: makeLocalTransport } : {}),
+    initialScope: { tags: { app: 'shell-admin' } },
+  });
+  sentryEnabled = true;
+
+  return {
+    name: 'sentry',
+    captureException(error, { remote, componentStack, extra } = {}) {
+      // Reason: errors already captured by `Sentry.ErrorBoundary` are deduplicated by the SDK.
+      Sentry.withScope((scope) => {
+        if (remote) scope.setTag('remote', remote);
+        if (componentStack) scope.setContext('react', { componentStack });
+        if (extra) scope.setExtras(extra);
+        Sentry.captureException(error);
+      });
+    },
+  };
+}
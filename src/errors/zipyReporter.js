@@ -0,0 +1,11 @@
+// Zipy reporter.
+// Reason: the SDK script in `index.html` always loads, but is only initialized when a project key is set.
+export function createZipyReporter({ zipyProjectKey } = {}) {
+  if (!zipyProjectKey || !window.zipy) return null;
+  return {
+    name: 'zipy',
+    captureException(error) {
+      window.zipy.logException(error);
+    },
+  };
+}
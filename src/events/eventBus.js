@@ -0,0 +1,87 @@
+// Host event bus shared by the shell and its remotes.
+// Reason: remotes could previously only talk to the shell through callback props, which made
+// their behaviour unobservable. Every publish is also kept in a bounded log for the Events inspector.
+//
+// Remotes get it as the `eventBus` prop (bound to their name) or import it from the shell container
+// (`shell_admin/eventBus`). Event types are `<namespace>:<name>`; host-emitted types are in `HOST_EVENTS`.
+
+const GLOBAL_KEY = '__SHOPHUB_EVENT_BUS__';
+const MAX_LOG = 500;
+const TYPE_PATTERN = /^[a-z][\w-]*:[\w-]+$/i;
+
+export const HOST_EVENTS = {
+  CART_ITEM_ADDED: 'cart:item-added',
+  CART_ITEM_REMOVED: 'cart:item-removed',
+  CART_QUANTITY_UPDATED: 'cart:quantity-updated',
+  CART_CLEARED: 'cart:cleared',
+  WISHLIST_ITEM_ADDED: 'wishlist:item-added',
+  WISHLIST_ITEM_REMOVED: 'wishlist:item-removed',
+  WISHLIST_CLEARED: 'wishlist:cleared',
+  THEME_CHANGED: 'theme:changed',
+  LOCALE_CHANGED: 'locale:changed',
+};
+
+function createEventBus() {
+  const handlers = new Map();
+  const logListeners = new Set();
+  let log = [];
+  let nextId = 1;
+
+  function subscribe(type, handler) {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => handlers.get(type)?.delete(handler);
+  }
+
+  function publish(type, payload, { source = 'unknown' } = {}) {
+    if (typeof type !== 'string' || !TYPE_PATTERN.test(type)) {
+      throw new TypeError(`Invalid event type "${type}": expected "<namespace>:<name>"`);
+    }
+    const event = { id: nextId++, type, payload, source, at: Date.now() };
+    log = [event, ...log].slice(0, MAX_LOG);
+    for (const listener of logListeners) listener();
+
+    for (const handler of [...(handlers.get(type) ?? []), ...(handlers.get('*') ?? [])]) {
+      try {
+        handler(event);
+      } catch (e) {
+        // Reason: one misbehaving subscriber must not break the publisher (often a remote).
+        console.error('[admin-host] Event handler failed:', type, e);
+      }
+    }
+    return event;
+  }
+
+  return {
+    publish,
+    subscribe,
+    getLog: () => log,
+    clearLog: () => {
+      log = [];
+      for (const listener of logListeners) listener();
+    },
+    subscribeLog: (listener) => {
+      logListeners.add(listener);
+      return () => logListeners.delete(listener);
+    },
+  };
+}
+
+// Reason: the copy exposed through the shell container runs in its own webpack runtime, so
+// the instance lives on `window` to make every copy share one bus.
+export const eventBus = window[GLOBAL_KEY] ?? (window[GLOBAL_KEY] = createEventBus());
+
+const boundBuses = new Map();
+
+// `{ publish, subscribe }` with `source` pre-filled; cached so remotes get a stable prop.
+export function getBoundEventBus(source) {
+  if (!boundBuses.has(source)) {
+    boundBuses.set(source, {
+      publish: (type, payload) => eventBus.publish(type, payload, { source }),
+      subscribe: eventBus.subscribe,
+    });
+  }
+  return boundBuses.get(source);
+}
+
+export default eventBus;
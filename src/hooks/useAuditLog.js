@@ -0,0 +1,10 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { getAuditState, loadAuditLog, subscribeAuditLog } from '../audit/auditLog.js';
+
+// Audit log entries (`audit/auditLog.js`), loaded from IndexedDB on first use.
+export function useAuditLog() {
+  useEffect(() => {
+    loadAuditLog();
+  }, []);
+  return useSyncExternalStore(subscribeAuditLog, getAuditState);
+}
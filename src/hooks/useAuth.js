@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getAuthState, subscribeAuth } from '../auth/authStore.js';
+
+// Signed-in admin session (`auth/authStore.js`); `user` is null while signed out.
+export function useAuth() {
+  const state = useSyncExternalStore(subscribeAuth, getAuthState);
+  return { ...state, user: state.session?.user ?? null };
+}
@@ -0,0 +1,30 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { findCommandByShortcut, getCommandState, runCommand, shortcutFromEvent, subscribeCommands } from '../commands/commands.js';
+
+// Registered commands, shortcut overrides and palette / cheatsheet visibility (`commands/commands.js`).
+export function useCommandState() {
+  return useSyncExternalStore(subscribeCommands, getCommandState);
+}
+
+function isEditable(target) {
+  return Boolean(target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName));
+}
+
+// Runs the command bound to each keydown; mounted once by the shell layout.
+export function useCommandShortcuts() {
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.defaultPrevented || event.repeat) return;
+      const binding = shortcutFromEvent(event);
+      if (!binding) return;
+      // Reason: plain keys belong to the field being typed in; only Mod / Alt chords work there.
+      if (isEditable(event.target) && !/^(Mod|Alt)\+/.test(binding)) return;
+      const command = findCommandByShortcut(binding);
+      if (!command) return;
+      event.preventDefault();
+      runCommand(command);
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+import { getContractIssues, subscribeContractIssues } from '../contracts/contractIssues.js';
+
+export function useContractIssues() {
+  return useSyncExternalStore(subscribeContractIssues, getContractIssues);
+}
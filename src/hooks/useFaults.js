@@ -0,0 +1,13 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { getFaultState, getRemoteFaults, subscribeFaults } from '../chaos/faultInjection.js';
+
+// Fault injection config (`chaos/faultInjection.js`), for every remote.
+export function useFaultState() {
+  return useSyncExternalStore(subscribeFaults, getFaultState);
+}
+
+// Faults configured for one remote (`NO_FAULTS` when none).
+export function useRemoteFaults(remote) {
+  const state = useFaultState();
+  return useMemo(() => getRemoteFaults(remote, state), [remote, state]);
+}
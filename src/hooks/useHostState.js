@@ -0,0 +1,23 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { getHostState, hostActions, setHostActor, subscribeHostStore } from '../store/hostStore.js';
+import { getNotifier } from '../store/notificationStore.js';
+
+export function useHostStore() {
+  return useSyncExternalStore(subscribeHostStore, getHostState);
+}
+
+// Host state + callbacks handed to remotes (the MFE contracts), backed by `store/hostStore.js`.
+// `currentUser` is the active persona's user (null for guests).
+export function useHostState(currentUser) {
+  const { cartItems, wishlistItems } = useHostStore();
+
+  useEffect(() => {
+    setHostActor(currentUser);
+  }, [currentUser]);
+
+  return useMemo(
+    // Reason: `RemotePanel` swaps in notifiers bound to each remote; these are the host's own.
+    () => ({ ...hostActions, ...getNotifier('host'), currentUser, cartItems, wishlistItems }),
+    [currentUser, cartItems, wishlistItems],
+  );
+}
@@ -0,0 +1,20 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { SHELL_NAMESPACE, i18n } from '../i18n/i18n.js';
+
+// `{ locale, currency, revision }` of the host i18n layer (`i18n/i18n.js`).
+export function useI18nState() {
+  return useSyncExternalStore(i18n.subscribe, i18n.getState);
+}
+
+// Locale, currency, `t` and formatters for shell components.
+export function useI18n() {
+  const state = useI18nState();
+  return useMemo(
+    () => ({
+      ...i18n.forNamespace(SHELL_NAMESPACE, state),
+      setLocale: i18n.setLocale,
+      setCurrency: i18n.setCurrency,
+    }),
+    [state],
+  );
+}
@@ -0,0 +1,100 @@
+import { useEffect } from 'react';
+
+// Child-index path from `root` to `node` (null when `node` is outside `root`).
+function pathFrom(root, node) {
+  const path = [];
+  for (let el = node; el && el !== root; el = el.parentElement) {
+    if (!el.parentElement) return null;
+    path.unshift([...el.parentElement.children].indexOf(el));
+  }
+  return path;
+}
+
+// Where the remote's own DOM starts in a pane; isolated panes render it inside a same-origin iframe.
+function findRemoteRoot(pane) {
+  const frameDocument = pane.querySelector('iframe')?.contentDocument;
+  return (frameDocument ?? pane).querySelector('[data-remote-root]');
+}
+
+function resolvePath(root, path) {
+  let el = root;
+  for (const index of path) {
+    el = el?.children[index];
+    if (!el) return null;
+  }
+  return el;
+}
+
+// Mirrors interactions between two panes rendering the same remote (compare mode).
+// - `scroll`: scroll positions are kept in sync (by ratio) in both directions.
+// - `clicks`: user clicks in `leaderRef` are replayed on the element at the same DOM position (from the
+//   remote's root) in `followerRef`; nothing is replayed when the two builds render a different
+//   structure there. Either pane may hold an isolated remote (iframe).
+export function useMirroredPanes(leaderRef, followerRef, { scroll = true, clicks = false } = {}) {
+  useEffect(() => {
+    const leader = leaderRef.current;
+    const follower = followerRef.current;
+    if (!leader || !follower || !scroll) return undefined;
+
+    // Reason: setting `scrollTop` fires `scroll` on the other pane; skip that echo.
+    let syncing = null;
+    const sync = (from, to) => () => {
+      if (syncing === to) {
+        syncing = null;
+        return;
+      }
+      const max = from.scrollHeight - from.clientHeight;
+      const target = max > 0 ? (from.scrollTop / max) * (to.scrollHeight - to.clientHeight) : 0;
+      // Reason: a pane that would not move fires no echo, which would leave `syncing` set and swallow
+      // the next real scroll of the other pane.
+      if (Math.abs(to.scrollTop - target) < 1) return;
+      syncing = from;
+      to.scrollTop = target;
+    };
+    const onLeaderScroll = sync(leader, follower);
+    const onFollowerScroll = sync(follower, leader);
+    leader.addEventListener('scroll', onLeaderScroll);
+    follower.addEventListener('scroll', onFollowerScroll);
+    return () => {
+      leader.removeEventListener('scroll', onLeaderScroll);
+      follower.removeEventListener('scroll', onFollowerScroll);
+    };
+  }, [leaderRef, followerRef, scroll]);
+
+  useEffect(() => {
+    const leader = leaderRef.current;
+    const follower = followerRef.current;
+    if (!leader || !follower || !clicks) return undefined;
+
+    const onClick = (event) => {
+      // Reason: only real user clicks; replayed ones are untrusted and must not bounce back.
+      if (!event.isTrusted) return;
+      const root = event.target.closest?.('[data-remote-root]');
+      const followerRoot = findRemoteRoot(follower);
+      const path = root && followerRoot ? pathFrom(root, event.target) : null;
+      const target = path && resolvePath(followerRoot, path);
+      if (target && target.tagName === event.target.tagName) target.click();
+    };
+
+    // Reason: clicks inside an isolated remote stay in its frame document, which is replaced on every
+    // (re)load; `load` does not bubble but is seen while capturing.
+    const frameDocuments = new Set();
+    const watchFrame = (frame) => {
+      const doc = frame.contentDocument;
+      if (!doc || frameDocuments.has(doc)) return;
+      frameDocuments.add(doc);
+      doc.addEventListener('click', onClick, true);
+    };
+    const onLoad = (event) => {
+      if (event.target.tagName === 'IFRAME') watchFrame(event.target);
+    };
+    leader.addEventListener('click', onClick, true);
+    leader.addEventListener('load', onLoad, true);
+    leader.querySelectorAll('iframe').forEach(watchFrame);
+    return () => {
+      leader.removeEventListener('click', onClick, true);
+      leader.removeEventListener('load', onLoad, true);
+      for (const doc of frameDocuments) doc.removeEventListener('click', onClick, true);
+    };
+  }, [leaderRef, followerRef, clicks]);
+}
@@ -0,0 +1,31 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { dismissNotification, getNotificationState, notify, subscribeNotifications } from '../store/notificationStore.js';
+import { undoLastAction } from '../store/hostStore.js';
+import { useHostStore } from './useHostState.js';
+
+export function useNotifications() {
+  return useSyncExternalStore(subscribeNotifications, getNotificationState);
+}
+
+// Surfaces the host store's undo entry (after `clearCart` / `clearWishlist`) as a toast with an Undo action.
+// The toast is dismissed once its entry is undone, dropped or replaced, and only ever undoes its own entry.
+export function useUndoNotifications() {
+  const { undo } = useHostStore();
+  const shownRef = useRef(null);
+  useEffect(() => {
+    const shown = shownRef.current;
+    // Reason: StrictMode re-runs effects; the same entry must not be announced twice.
+    if (shown?.undo === undo) return;
+    if (shown) dismissNotification(shown.id);
+    const id = undo
+      ? notify({
+          message: undo.label,
+          severity: 'info',
+          source: 'host',
+          autoHideMs: 8000,
+          actions: [{ label: 'Undo', onClick: () => undoLastAction({ at: undo.at }) }],
+        })
+      : null;
+    shownRef.current = undo ? { undo, id } : null;
+  }, [undo]);
+}
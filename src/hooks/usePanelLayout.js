@@ -0,0 +1,122 @@
+import { useCallback, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+// Panel selection + grid layout, encoded in the URL and remembered in localStorage.
+// Reason: reloads keep the current layout, and a link like
+// `/?panels=catalog.products,checkout.cart&cols=2` can be shared as-is.
+//
+// Query params:
+// - `panels`: ordered, comma-separated panel ids to mount.
+// - `cols`: grid columns on large screens (1-3).
+// - `collapsed` / `wide`: comma-separated panel ids that are collapsed / span the full row.
+// - `isolated`: comma-separated panel ids mounted in an isolation iframe (see `isolation/bridge.js`).
+
+const LAYOUT_STORAGE_KEY = 'shophub.admin.layout';
+const LAYOUT_PARAMS = ['panels', 'cols', 'collapsed', 'wide', 'isolated'];
+
+export const COLUMN_OPTIONS = [1, 2, 3];
+const DEFAULT_COLUMNS = 2;
+
+function splitIds(value) {
+  return (value ?? '').split(',').filter(Boolean);
+}
+
+function readStoredLayout() {
+  try {
+    const raw = window.localStorage.getItem(LAYOUT_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseLayout(params, stored) {
+  const hasUrlLayout = LAYOUT_PARAMS.some((key) => params.has(key));
+  if (!hasUrlLayout && stored) return stored;
+  const columns = Number(params.get('cols'));
+  return {
+    panels: splitIds(params.get('panels')),
+    columns: COLUMN_OPTIONS.includes(columns) ? columns : DEFAULT_COLUMNS,
+    collapsed: splitIds(params.get('collapsed')),
+    wide: splitIds(params.get('wide')),
+    isolated: splitIds(params.get('isolated')),
+  };
+}
+
+function writeLayout(params, layout) {
+  const next = new URLSearchParams(params);
+  const setList = (key, ids) => (ids.length ? next.set(key, ids.join(',')) : next.delete(key));
+  setList('panels', layout.panels);
+  next.set('cols', String(layout.columns));
+  setList('collapsed', layout.collapsed);
+  setList('wide', layout.wide);
+  setList('isolated', layout.isolated);
+  return next;
+}
+
+// Layout from URL params (or the stored one), restricted to `panelIds`.
+export function readPanelLayout(params, panelIds) {
+  const parsed = parseLayout(params, readStoredLayout());
+  const columns = COLUMN_OPTIONS.includes(parsed?.columns) ? parsed.columns : DEFAULT_COLUMNS;
+  return {
+    panels: (parsed?.panels ?? []).filter((id) => panelIds.includes(id)),
+    columns,
+    collapsed: parsed?.collapsed ?? [],
+    wide: parsed?.wide ?? [],
+    isolated: parsed?.isolated ?? [],
+  };
+}
+
+// Remembers `layout` and returns the dashboard query string for it (layout changes made outside the dashboard).
+export function storePanelLayout(layout) {
+  window.localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(layout));
+  return writeLayout(new URLSearchParams(), layout).toString();
+}
+
+function toggleId(ids, id) {
+  return ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id];
+}
+
+// `panelIds` lists every selectable panel; unknown ids from old links are dropped.
+export function usePanelLayout(panelIds) {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const layout = useMemo(() => readPanelLayout(searchParams, panelIds), [searchParams, panelIds]);
+
+  // Reason: when restoring from localStorage, mirror it into the URL so it is shareable immediately.
+  useEffect(() => {
+    if (LAYOUT_PARAMS.some((key) => searchParams.has(key))) return;
+    if (!readStoredLayout()) return;
+    setSearchParams((prev) => writeLayout(prev, layout), { replace: true });
+  }, [layout, searchParams, setSearchParams]);
+
+  const update = useCallback(
+    (patch) => {
+      const next = { ...layout, ...patch(layout) };
+      window.localStorage.setItem(LAYOUT_STORAGE_KEY, JSON.stringify(next));
+      // Reason: `replace` keeps layout tweaks from flooding the back-button history.
+      setSearchParams((prev) => writeLayout(prev, next), { replace: true });
+    },
+    [layout, setSearchParams],
+  );
+
+  const setPanels = useCallback((panels) => update(() => ({ panels })), [update]);
+  const setColumns = useCallback((columns) => update(() => ({ columns })), [update]);
+  const toggleCollapsed = useCallback((id) => update((l) => ({ collapsed: toggleId(l.collapsed, id) })), [update]);
+  const toggleWide = useCallback((id) => update((l) => ({ wide: toggleId(l.wide, id) })), [update]);
+  const toggleIsolated = useCallback((id) => update((l) => ({ isolated: toggleId(l.isolated, id) })), [update]);
+  const movePanel = useCallback(
+    (id, offset) =>
+      update((l) => {
+        const from = l.panels.indexOf(id);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= l.panels.length) return {};
+        const panels = [...l.panels];
+        panels.splice(to, 0, ...panels.splice(from, 1));
+        return { panels };
+      }),
+    [update],
+  );
+
+  return { layout, setPanels, setColumns, toggleCollapsed, toggleWide, toggleIsolated, movePanel };
+}
@@ -0,0 +1,25 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import {
+  addCustomPersona,
+  getActivePersona,
+  getPersonaState,
+  getPersonas,
+  removeCustomPersona,
+  selectPersona,
+  subscribePersona,
+} from '../store/personaStore.js';
+
+// Active persona + persona list, backed by `store/personaStore.js`.
+export function usePersona() {
+  const state = useSyncExternalStore(subscribePersona, getPersonaState);
+  return useMemo(
+    () => ({
+      persona: getActivePersona(state),
+      personas: getPersonas(state),
+      selectPersona,
+      addCustomPersona,
+      removeCustomPersona,
+    }),
+    [state],
+  );
+}
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getSharedDepsState, subscribeSharedDeps } from '../remotes/sharedDeps.js';
+
+// Share-scope observations (`remotes/sharedDeps.js`): builds per remote, version warnings, React renderers.
+export function useSharedDeps() {
+  return useSyncExternalStore(subscribeSharedDeps, getSharedDepsState);
+}
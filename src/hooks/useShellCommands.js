@@ -0,0 +1,78 @@
+import { useEffect, useMemo, useSyncExternalStore } from 'react';
+import { useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { SHELL_PERMISSIONS, hasPermissions } from '../auth/permissions.js';
+import { CHEATSHEET_COMMAND_ID, PALETTE_COMMAND_ID, getCommandState, registerCommands, setCheatsheetOpen, setPaletteOpen } from '../commands/commands.js';
+import { toggleInspector } from '../devtools/stateTimeline.js';
+import { TOOL_PAGES } from '../pages/toolPages.js';
+import { getCrashState, retryCrashedRemotes, subscribeCrashes } from '../remotes/crashes.js';
+import { REMOTE_PANELS, SELECTABLE_PANEL_IDS } from '../remotes/panels.js';
+import { BUILT_IN_SCENARIOS, applyScenario, loadImportedScenarios } from '../scenarios/scenarios.js';
+import { hostActions, undoLastAction } from '../store/hostStore.js';
+import { toggleThemeMode } from '../theme/themeStore.js';
+import { useAuth } from './useAuth.js';
+import { useCommandState } from './useCommands.js';
+import { useHostStore } from './useHostState.js';
+import { readPanelLayout, storePanelLayout } from './usePanelLayout.js';
+import { usePersona } from './usePersona.js';
+
+// The shell's own palette commands: navigation, mounting dashboard panels, personas, scenarios,
+// host state and theme. Re-registered whenever what they list changes; mounted once by the shell layout.
+export function useShellCommands() {
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+  const { persona, personas, selectPersona } = usePersona();
+  const { undo } = useHostStore();
+  const { crashed } = useSyncExternalStore(subscribeCrashes, getCrashState);
+  // Reason: imported scenarios live in localStorage without a store; re-read each time the palette opens.
+  const { paletteOpen } = useCommandState();
+
+  const commands = useMemo(() => {
+    const panels = REMOTE_PANELS.filter((p) => hasPermissions(user, p.requires));
+    const tools = TOOL_PAGES.filter((t) => hasPermissions(user, t.requires));
+    // Reason: outside the dashboard the URL holds no layout, so the stored one is used.
+    const layout = readPanelLayout(pathname === '/' ? searchParams : new URLSearchParams(), SELECTABLE_PANEL_IDS);
+    const setMounted = (id, mounted) => {
+      const nextPanels = mounted ? [...layout.panels.filter((x) => x !== id), id] : layout.panels.filter((x) => x !== id);
+      navigate({ pathname: '/', search: `?${storePanelLayout({ ...layout, panels: nextPanels })}` }, { replace: pathname === '/' });
+    };
+    const scenarios = paletteOpen ? [...BUILT_IN_SCENARIOS, ...loadImportedScenarios()] : BUILT_IN_SCENARIOS;
+
+    return [
+      { id: PALETTE_COMMAND_ID, title: 'Command palette', shortcut: 'Mod+K', hidden: true, run: () => setPaletteOpen(!getCommandState().paletteOpen) },
+      { id: CHEATSHEET_COMMAND_ID, title: 'Keyboard shortcuts', group: 'Shell', keywords: ['cheatsheet', 'keys', 'help'], shortcut: '?', run: () => setCheatsheetOpen(true) },
+      { id: 'shell:theme', title: 'Toggle dark mode', group: 'Shell', keywords: ['theme', 'light'], shortcut: 'Alt+Shift+T', run: toggleThemeMode },
+      ...(hasPermissions(user, [SHELL_PERMISSIONS.TOOLS])
+        ? [{ id: 'shell:inspector', title: 'Toggle state inspector', group: 'Shell', keywords: ['devtools', 'timeline', 'time travel'], shortcut: 'Alt+Shift+S', run: toggleInspector }]
+        : []),
+      { id: 'nav:dashboard', title: 'Go to dashboard', group: 'Navigation', shortcut: 'Alt+Shift+D', run: () => navigate('/') },
+      ...panels.map((p) => ({ id: `nav:${p.path}`, title: `Open ${p.label}`, group: 'Navigation', keywords: [p.navLabel], run: () => navigate(`/${p.path}`) })),
+      ...tools.map((t) => ({ id: `nav:${t.path}`, title: `Open ${t.navLabel}`, group: 'Navigation', keywords: ['tool'], run: () => navigate(`/${t.path}`) })),
+      ...panels
+        .filter((p) => !p.pinned)
+        .map((p) => {
+          const mounted = layout.panels.includes(p.id);
+          return {
+            id: `panels:toggle:${p.id}`,
+            title: `${mounted ? 'Unmount' : 'Mount'} ${p.label}`,
+            group: 'Dashboard',
+            keywords: ['render', 'mfe', 'panel', mounted ? 'remove' : 'add'],
+            run: () => setMounted(p.id, !mounted),
+          };
+        }),
+      ...(crashed.length
+        ? [{ id: 'remotes:retry', title: `Retry crashed remotes (${crashed.join(', ')})`, group: 'Dashboard', keywords: ['reload', 'error'], shortcut: 'Alt+Shift+R', run: retryCrashedRemotes }]
+        : []),
+      ...personas
+        .filter((p) => p.id !== persona.id)
+        .map((p) => ({ id: `persona:${p.id}`, title: `Switch persona to ${p.label}`, group: 'Persona', keywords: ['user', p.user?.role ?? 'guest'], run: () => selectPersona(p.id) })),
+      ...scenarios.map((s) => ({ id: `scenario:${s.id}`, title: `Load scenario: ${s.name}`, group: 'Scenarios', run: () => applyScenario(s) })),
+      { id: 'host:clear-cart', title: 'Clear cart', group: 'Host state', keywords: ['empty'], run: hostActions.clearCart },
+      { id: 'host:clear-wishlist', title: 'Clear wishlist', group: 'Host state', keywords: ['empty'], run: hostActions.clearWishlist },
+      ...(undo ? [{ id: 'host:undo', title: `Undo: ${undo.label}`, group: 'Host state', keywords: ['revert'], run: () => undoLastAction() }] : []),
+    ];
+  }, [navigate, pathname, searchParams, user, persona, personas, selectPersona, undo, crashed, paletteOpen]);
+
+  useEffect(() => registerCommands('shell', commands), [commands]);
+}
@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getShellTheme, getThemeState, subscribeTheme } from '../theme/themeStore.js';
+
+// MUI theme built from the signed-in admin's theme settings (`theme/themeStore.js`).
+export function useShellTheme() {
+  return useSyncExternalStore(subscribeTheme, getShellTheme);
+}
+
+// `{ mode, overrides }` as edited on the Theme page.
+export function useThemeSettings() {
+  return useSyncExternalStore(subscribeTheme, getThemeState);
+}
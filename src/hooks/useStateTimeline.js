@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getTimelineState, subscribeTimeline } from '../devtools/stateTimeline.js';
+
+// State inspector timeline, drawer visibility and replay progress (`devtools/stateTimeline.js`).
+export function useStateTimeline() {
+  return useSyncExternalStore(subscribeTimeline, getTimelineState);
+}
@@ -0,0 +1,15 @@
+import createCache from '@emotion/cache';
+import { prefixer } from 'stylis';
+import { rtlStylisPlugin } from './rtlStylisPlugin.js';
+
+// Emotion caches per text direction, swapped by `App` when the locale's direction changes.
+// Reason: remotes render inside the shell's tree and share its emotion instance, so their styles
+// are flipped by the same cache.
+const caches = {
+  ltr: createCache({ key: 'shell' }),
+  rtl: createCache({ key: 'shell-rtl', stylisPlugins: [rtlStylisPlugin, prefixer] }),
+};
+
+export function getEmotionCache(direction) {
+  return caches[direction] ?? caches.ltr;
+}
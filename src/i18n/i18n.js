@@ -0,0 +1,190 @@
+import { HOST_EVENTS, eventBus } from '../events/eventBus.js';
+import { CURRENCIES, DEFAULT_LOCALE, LOCALES, getLocaleChain, getLocaleInfo } from './locales.js';
+import { SHELL_MESSAGES } from './messages.js';
+
+// Host i18n layer shared by the shell and its remotes: the active locale and currency, message
+// catalogs with fallbacks, and `Intl`-based price / date formatting.
+// Reason: remotes formatted raw prices however they liked, so one page could mix `$12.5` and `12,50 €`
+// and nobody could check an MFE under another locale.
+//
+// Remotes get it as the `i18n` prop (bound to their catalog namespace, a new object whenever the locale
+// changes) or import it from the shell container (`shell_admin/i18n`) and `subscribe`. Prices are
+// formatted in the selected currency as given; there is no exchange-rate conversion.
+
+const GLOBAL_KEY = '__SHOPHUB_I18N__';
+const STORAGE_KEY = 'shophub.admin.i18n';
+export const SHELL_NAMESPACE = 'shell';
+
+function detectLocale() {
+  const preferred = window.navigator?.language ?? DEFAULT_LOCALE;
+  const exact = LOCALES.find((l) => l.code.toLowerCase() === preferred.toLowerCase());
+  const sameLanguage = LOCALES.find((l) => l.code.split('-')[0] === preferred.split('-')[0]);
+  return (exact ?? sameLanguage ?? getLocaleInfo(DEFAULT_LOCALE)).code;
+}
+
+function readStored() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? 'null');
+    const locale = LOCALES.some((l) => l.code === parsed?.locale) ? parsed.locale : detectLocale();
+    const currency = CURRENCIES.includes(parsed?.currency) ? parsed.currency : getLocaleInfo(locale).currency;
+    return { locale, currency };
+  } catch {
+    const locale = detectLocale();
+    return { locale, currency: getLocaleInfo(locale).currency };
+  }
+}
+
+function interpolate(message, params) {
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+function createI18n() {
+  const listeners = new Set();
+  const catalogs = new Map([[SHELL_NAMESPACE, SHELL_MESSAGES]]);
+  const formatters = new Map();
+  const boundApis = new Map();
+  // `revision` changes when catalogs do, so components re-render with the new messages.
+  let state = { ...readStored(), revision: 0 };
+
+  function getState() {
+    return state;
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // `persist: false` for mirrored settings (an isolated remote's frame follows the shell's locale).
+  function setState(patch, { persist = true } = {}) {
+    const prev = state;
+    state = { ...state, ...patch };
+    const changed = prev.locale !== state.locale || prev.currency !== state.currency;
+    if (changed && persist) {
+      try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ locale: state.locale, currency: state.currency }));
+      } catch (e) {
+        console.error('[admin-host] Failed to persist locale settings:', e);
+      }
+    }
+    for (const listener of listeners) listener();
+    if (changed) {
+      eventBus.publish(HOST_EVENTS.LOCALE_CHANGED, { locale: state.locale, currency: state.currency, direction: getDirection() }, { source: 'shell' });
+    }
+  }
+
+  // Switching locale also switches to its usual currency unless `keepCurrency` is set.
+  function setLocale(locale, { keepCurrency = false, persist = true } = {}) {
+    if (!LOCALES.some((l) => l.code === locale) || locale === state.locale) return;
+    setState({ locale, currency: keepCurrency ? state.currency : getLocaleInfo(locale).currency }, { persist });
+  }
+
+  function setCurrency(currency, { persist = true } = {}) {
+    if (!CURRENCIES.includes(currency) || currency === state.currency) return;
+    setState({ currency }, { persist });
+  }
+
+  function getDirection(locale = state.locale) {
+    return getLocaleInfo(locale).dir;
+  }
+
+  // `catalogs`: `{ [localeOrLanguage]: { [key]: message } }`, merged into the namespace.
+  function registerMessages(namespace, nextCatalogs) {
+    const current = catalogs.get(namespace) ?? {};
+    const merged = { ...current };
+    for (const [tag, messages] of Object.entries(nextCatalogs ?? {})) merged[tag] = { ...current[tag], ...messages };
+    catalogs.set(namespace, merged);
+    setState({ revision: state.revision + 1 });
+  }
+
+  function lookup(namespace, key, locale) {
+    const catalog = catalogs.get(namespace);
+    if (!catalog) return undefined;
+    for (const tag of getLocaleChain(locale)) {
+      const message = catalog[tag]?.[key];
+      if (message !== undefined) return message;
+    }
+    return undefined;
+  }
+
+  // Looks `key` up in `namespace`, then in the shell's catalog; a missing key renders as itself.
+  function translate(namespace, key, params, locale = state.locale) {
+    const message = lookup(namespace, key, locale) ?? (namespace === SHELL_NAMESPACE ? undefined : lookup(SHELL_NAMESPACE, key, locale));
+    return interpolate(message ?? key, params);
+  }
+
+  function getFormatter(kind, locale, options) {
+    const cacheKey = `${kind}|${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(cacheKey)) {
+      formatters.set(cacheKey, kind === 'date' ? new Intl.DateTimeFormat(locale, options) : new Intl.NumberFormat(locale, options));
+    }
+    return formatters.get(cacheKey);
+  }
+
+  function formatPrice(amount, { currency = state.currency, locale = state.locale } = {}) {
+    const value = Number(amount);
+    if (!Number.isFinite(value)) return '';
+    return getFormatter('number', locale, { style: 'currency', currency }).format(value);
+  }
+
+  function formatNumber(value, options = {}, locale = state.locale) {
+    const number = Number(value);
+    return Number.isFinite(number) ? getFormatter('number', locale, options).format(number) : '';
+  }
+
+  // `options`: `Intl.DateTimeFormat` options; defaults to a medium date.
+  function formatDate(value, options = { dateStyle: 'medium' }, locale = state.locale) {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : getFormatter('date', locale, options).format(date);
+  }
+
+  // API handed to a remote: `t` reads its own namespace first. Cached per state so the prop only
+  // changes (and re-renders the remote) when the locale, currency or catalogs change.
+  // `s`: the state a React caller subscribed to (defaults to the current one).
+  function forNamespace(namespace, s = state) {
+    const cached = boundApis.get(namespace);
+    if (cached?.state === s) return cached.api;
+    const api = {
+      locale: s.locale,
+      currency: s.currency,
+      direction: getDirection(s.locale),
+      t: (key, params) => translate(namespace, key, params),
+      formatPrice: (amount, options) => formatPrice(amount, options),
+      formatNumber: (value, options) => formatNumber(value, options),
+      formatDate: (value, options) => formatDate(value, options),
+      registerMessages: (nextCatalogs) => registerMessages(namespace, nextCatalogs),
+      subscribe,
+    };
+    boundApis.set(namespace, { state: s, api });
+    return api;
+  }
+
+  return {
+    getState,
+    subscribe,
+    setLocale,
+    setCurrency,
+    getDirection,
+    registerMessages,
+    translate,
+    formatPrice,
+    formatNumber,
+    formatDate,
+    forNamespace,
+  };
+}
+
+// One instance on `window` for every copy of this module (see `eventBus` in `events/eventBus.js`).
+export const i18n = window[GLOBAL_KEY] ?? (window[GLOBAL_KEY] = createI18n());
+
+export const t = (key, params) => i18n.translate(SHELL_NAMESPACE, key, params);
+export const formatPrice = (amount, options) => i18n.formatPrice(amount, options);
+export const formatDate = (value, options) => i18n.formatDate(value, options);
+
+// `i18n` prop for a remote (its catalog namespace is the remote name).
+export function getRemoteI18n(source, s) {
+  return i18n.forNamespace(source, s);
+}
+
+export default i18n;
@@ -0,0 +1,29 @@
+// Locales and currencies the shell can switch to.
+// `dir` drives the document direction and the MUI theme (`rtl` also flips emotion styles);
+// `currency` is the default picked when switching to that locale.
+
+export const LOCALES = [
+  { code: 'en-US', label: 'English (US)', dir: 'ltr', currency: 'USD' },
+  { code: 'en-GB', label: 'English (UK)', dir: 'ltr', currency: 'GBP' },
+  { code: 'de-DE', label: 'Deutsch', dir: 'ltr', currency: 'EUR' },
+  { code: 'fr-FR', label: 'Français', dir: 'ltr', currency: 'EUR' },
+  { code: 'ja-JP', label: '日本語', dir: 'ltr', currency: 'JPY' },
+  { code: 'ar-EG', label: 'العربية', dir: 'rtl', currency: 'EGP' },
+  { code: 'he-IL', label: 'עברית', dir: 'rtl', currency: 'ILS' },
+];
+
+export const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'EGP', 'ILS'];
+
+export const DEFAULT_LOCALE = 'en-US';
+// Reason: catalogs without a key fall back to this language, so it must be complete.
+export const FALLBACK_LANGUAGE = 'en';
+
+export function getLocaleInfo(code) {
+  return LOCALES.find((l) => l.code === code) ?? LOCALES.find((l) => l.code === DEFAULT_LOCALE);
+}
+
+// Lookup chain for message catalogs: `de-DE` → `de` → `en`.
+export function getLocaleChain(code) {
+  const language = code.split('-')[0];
+  return [...new Set([code, language, FALLBACK_LANGUAGE])];
+}
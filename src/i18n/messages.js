@@ -0,0 +1,157 @@
+// Message catalogs of the shell chrome (namespace `shell`), keyed by locale or language.
+// `{name}` placeholders are filled from the params passed to `t`.
+// Remotes register their own namespaces at runtime (`i18n.registerMessages`).
+
+export const SHELL_MESSAGES = {
+  en: {
+    'nav.dashboard': 'Dashboard',
+    'nav.remotes': 'Remotes',
+    'nav.tools': 'Tools',
+    'nav.open': 'Open navigation',
+    'theme.light': 'Light mode',
+    'theme.dark': 'Dark mode',
+    'theme.toggle': 'Toggle dark mode',
+    'locale.menu': 'Language and currency',
+    'locale.language': 'Language',
+    'locale.currency': 'Currency',
+    'account.signOut': 'Sign out',
+    'account.tokenRefresh': 'Token refreshes before {time}',
+    'notFound.title': 'Page not found',
+    'notFound.back': 'Back to dashboard',
+    'commands.palette': 'Command palette',
+    'commands.placeholder': 'Type a command…',
+    'commands.empty': 'No matching commands.',
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.help': 'Click a shortcut, then press the new key combination (Esc cancels).',
+    'shortcuts.recording': 'Press keys…',
+    'shortcuts.none': 'none',
+    'shortcuts.remove': 'Remove shortcut',
+    'shortcuts.showAll': 'Show all commands',
+    'shortcuts.showBound': 'Only bound commands',
+    'shortcuts.reset': 'Reset to defaults',
+    'shortcuts.close': 'Close',
+    'inspector.toggle': 'State inspector',
+  },
+  de: {
+    'nav.dashboard': 'Übersicht',
+    'nav.remotes': 'Remotes',
+    'nav.tools': 'Werkzeuge',
+    'nav.open': 'Navigation öffnen',
+    'theme.light': 'Heller Modus',
+    'theme.dark': 'Dunkler Modus',
+    'theme.toggle': 'Dunklen Modus umschalten',
+    'locale.menu': 'Sprache und Währung',
+    'locale.language': 'Sprache',
+    'locale.currency': 'Währung',
+    'account.signOut': 'Abmelden',
+    'account.tokenRefresh': 'Token wird vor {time} erneuert',
+    'notFound.title': 'Seite nicht gefunden',
+    'notFound.back': 'Zur Übersicht',
+    'commands.palette': 'Befehlspalette',
+    'commands.placeholder': 'Befehl eingeben…',
+    'commands.empty': 'Keine passenden Befehle.',
+    'shortcuts.title': 'Tastenkürzel',
+    'shortcuts.help': 'Kürzel anklicken und die neue Tastenkombination drücken (Esc bricht ab).',
+    'shortcuts.recording': 'Tasten drücken…',
+    'shortcuts.none': 'keins',
+    'shortcuts.remove': 'Kürzel entfernen',
+    'shortcuts.showAll': 'Alle Befehle anzeigen',
+    'shortcuts.showBound': 'Nur belegte Befehle',
+    'shortcuts.reset': 'Standard wiederherstellen',
+    'shortcuts.close': 'Schließen',
+    'inspector.toggle': 'Zustandsinspektor',
+  },
+  fr: {
+    'nav.dashboard': 'Tableau de bord',
+    'nav.remotes': 'Remotes',
+    'nav.tools': 'Outils',
+    'nav.open': 'Ouvrir la navigation',
+    'theme.light': 'Mode clair',
+    'theme.dark': 'Mode sombre',
+    'theme.toggle': 'Basculer le mode sombre',
+    'locale.menu': 'Langue et devise',
+    'locale.language': 'Langue',
+    'locale.currency': 'Devise',
+    'account.signOut': 'Se déconnecter',
+    'account.tokenRefresh': 'Jeton renouvelé avant {time}',
+    'notFound.title': 'Page introuvable',
+    'notFound.back': 'Retour au tableau de bord',
+    'commands.palette': 'Palette de commandes',
+    'commands.placeholder': 'Saisir une commande…',
+    'commands.empty': 'Aucune commande correspondante.',
+    'shortcuts.title': 'Raccourcis clavier',
+    'shortcuts.help': 'Cliquez sur un raccourci puis appuyez sur la nouvelle combinaison (Échap pour annuler).',
+    'shortcuts.recording': 'Appuyez sur les touches…',
+    'shortcuts.none': 'aucun',
+    'shortcuts.remove': 'Supprimer le raccourci',
+    'shortcuts.showAll': 'Toutes les commandes',
+    'shortcuts.showBound': 'Commandes avec raccourci',
+    'shortcuts.reset': 'Rétablir les valeurs par défaut',
+    'shortcuts.close': 'Fermer',
+    'inspector.toggle': 'Inspecteur d’état',
+  },
+  ja: {
+    'nav.dashboard': 'ダッシュボード',
+    'nav.remotes': 'リモート',
+    'nav.tools': 'ツール',
+    'nav.open': 'ナビゲーションを開く',
+    'theme.light': 'ライトモード',
+    'theme.dark': 'ダークモード',
+    'theme.toggle': 'ダークモードを切り替え',
+    'locale.menu': '言語と通貨',
+    'locale.language': '言語',
+    'locale.currency': '通貨',
+    'account.signOut': 'サインアウト',
+    'notFound.title': 'ページが見つかりません',
+    'notFound.back': 'ダッシュボードに戻る',
+    'commands.palette': 'コマンドパレット',
+    'commands.placeholder': 'コマンドを入力…',
+    'commands.empty': '一致するコマンドはありません。',
+    'shortcuts.title': 'キーボードショートカット',
+    'shortcuts.recording': 'キーを押してください…',
+    'shortcuts.close': '閉じる',
+    'inspector.toggle': '状態インスペクター',
+  },
+  ar: {
+    'nav.dashboard': 'لوحة التحكم',
+    'nav.remotes': 'الوحدات البعيدة',
+    'nav.tools': 'الأدوات',
+    'nav.open': 'فتح التنقل',
+    'theme.light': 'الوضع الفاتح',
+    'theme.dark': 'الوضع الداكن',
+    'theme.toggle': 'تبديل الوضع الداكن',
+    'locale.menu': 'اللغة والعملة',
+    'locale.language': 'اللغة',
+    'locale.currency': 'العملة',
+    'account.signOut': 'تسجيل الخروج',
+    'notFound.title': 'الصفحة غير موجودة',
+    'notFound.back': 'العودة إلى لوحة التحكم',
+    'commands.palette': 'لوحة الأوامر',
+    'commands.placeholder': 'اكتب أمرًا…',
+    'commands.empty': 'لا توجد أوامر مطابقة.',
+    'shortcuts.title': 'اختصارات لوحة المفاتيح',
+    'shortcuts.close': 'إغلاق',
+    'inspector.toggle': 'مفتش الحالة',
+  },
+  he: {
+    'nav.dashboard': 'לוח בקרה',
+    'nav.remotes': 'רכיבים מרוחקים',
+    'nav.tools': 'כלים',
+    'nav.open': 'פתיחת ניווט',
+    'theme.light': 'מצב בהיר',
+    'theme.dark': 'מצב כהה',
+    'theme.toggle': 'החלפת מצב כהה',
+    'locale.menu': 'שפה ומטבע',
+    'locale.language': 'שפה',
+    'locale.currency': 'מטבע',
+    'account.signOut': 'התנתקות',
+    'notFound.title': 'הדף לא נמצא',
+    'notFound.back': 'חזרה ללוח הבקרה',
+    'commands.palette': 'לוח פקודות',
+    'commands.placeholder': 'הקלידו פקודה…',
+    'commands.empty': 'אין פקודות תואמות.',
+    'shortcuts.title': 'קיצורי מקלדת',
+    'shortcuts.close': 'סגירה',
+    'inspector.toggle': 'בודק המצב',
+  },
+};
@@ -0,0 +1,60 @@
+import { DECLARATION } from 'stylis';
+
+// Minimal stylis plugin mirroring physical CSS for right-to-left locales (emotion cache, see `emotionCache.js`).
+// Reason: MUI flips its own positioning from `theme.direction`, but `sx` / `styled` rules in the shell and
+// remotes use physical sides (`ml`, `borderRight`, `textAlign: 'left'`) that emotion writes verbatim.
+//
+// Handles `left` / `right` in property names and in `float`, `clear`, `text-align` values, and the
+// four-side shorthands. Transforms, gradients and shadows are left as they are.
+
+const FOUR_SIDE_SHORTHANDS = new Set(['margin', 'padding', 'border-width', 'border-color', 'border-style', 'inset', 'scroll-margin', 'scroll-padding']);
+const SIDE_VALUE_PROPERTIES = new Set(['float', 'clear', 'text-align']);
+
+const swapSides = (text) => text.replace(/left|right/g, (side) => (side === 'left' ? 'right' : 'left'));
+
+// Splits on top-level whitespace (keeps `calc(1px + 2px)` together).
+function splitValues(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (/\s/.test(char) && depth === 0) {
+      if (current) parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function flipValue(property, value) {
+  const important = /\s*!important$/.exec(value)?.[0] ?? '';
+  const base = important ? value.slice(0, -important.length) : value;
+  let flipped = base;
+  if (SIDE_VALUE_PROPERTIES.has(property)) {
+    flipped = swapSides(base);
+  } else if (FOUR_SIDE_SHORTHANDS.has(property)) {
+    const parts = splitValues(base);
+    if (parts.length === 4) flipped = [parts[0], parts[3], parts[2], parts[1]].join(' ');
+  } else if (property === 'border-radius' && !base.includes('/')) {
+    const [a, b = a, c = a, d = b] = splitValues(base);
+    flipped = [b, a, d, c].join(' ');
+  }
+  return flipped + important;
+}
+
+export function rtlStylisPlugin(element) {
+  if (element.type !== DECLARATION || typeof element.props !== 'string') return;
+  const property = swapSides(element.props);
+  const value = flipValue(element.props, element.children);
+  if (property === element.props && value === element.children) return;
+  element.props = property;
+  element.children = value;
+  element.value = `${property}:${value};`;
+  // Reason: read by the prefixer (which runs next) as the position of the `:`.
+  element.length = property.length;
+}
@@ -0,0 +1,86 @@
+import React, { Suspense, lazy, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { MemoryRouter } from 'react-router-dom';
+import { CacheProvider } from '@emotion/react';
+import { CssBaseline } from '@mui/material';
+import { ThemeProvider } from '@mui/material/styles';
+import Loader from '../components/Loader.jsx';
+import { useI18nState } from '../hooks/useI18n.js';
+import { getRemoteI18n, i18n } from '../i18n/i18n.js';
+import { getEmotionCache } from '../i18n/emotionCache.js';
+import { getRemoteInstanceKey } from '../remotes/instances.js';
+import { loadRemoteModule } from '../remotes/registry.js';
+import { createShellTheme } from '../theme/theme.js';
+import { TO_SHELL, toErrorData } from './bridge.js';
+import { frameConfig, getFrameState, postToShell, subscribeFrame } from './frameClient.js';
+
+// Reason: not `lazyRemote`, whose load timings would go to a frame-local copy of the perf store and
+// overwrite the shell's persisted history; the frame writes no shared storage.
+const Remote = lazy(() => loadRemoteModule(frameConfig.remoteName, frameConfig.exposedModule, frameConfig.url));
+const instanceKey = getRemoteInstanceKey(frameConfig.remoteName, frameConfig.url);
+
+// Reason: the crash screen (retry, diagnostics, recording) belongs to the shell's `RemoteErrorBoundary`,
+// so the frame only reports the error.
+class FrameErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { crashed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { crashed: true };
+  }
+
+  componentDidCatch(error, info) {
+    postToShell(TO_SHELL.CRASH, { error: toErrorData(error), componentStack: info?.componentStack ?? null });
+  }
+
+  render() {
+    return this.state.crashed ? null : this.props.children;
+  }
+}
+
+// Minimal shell inside the isolation iframe: the remote alone, with the shell's theme and direction,
+// fed by the bridge (`frameClient.js`). Routing is in memory, starting at the panel's `basePath`.
+export default function FrameApp() {
+  const { props, services, theme } = useSyncExternalStore(subscribeFrame, getFrameState);
+  const i18nState = useI18nState();
+  const direction = i18n.getDirection(i18nState.locale);
+  const muiTheme = useMemo(() => createShellTheme(theme?.mode, theme?.overrides, direction), [theme, direction]);
+  const remoteProps = useMemo(
+    () => (props && services.includes('i18n') ? { ...props, i18n: getRemoteI18n(instanceKey, i18nState) } : props),
+    [props, services, i18nState],
+  );
+
+  useEffect(() => {
+    document.documentElement.lang = i18nState.locale;
+    document.documentElement.dir = direction;
+  }, [i18nState.locale, direction]);
+
+  // Reason: the shell sizes the iframe to its content, so the panel grows like an in-tree remote.
+  useEffect(() => {
+    const observer = new ResizeObserver(() => postToShell(TO_SHELL.RESIZE, { height: document.body.offsetHeight }));
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  return (
+    <CacheProvider value={getEmotionCache(direction)}>
+      <ThemeProvider theme={muiTheme}>
+        <CssBaseline />
+        {remoteProps ? (
+          <MemoryRouter initialEntries={[frameConfig.basePath]}>
+            <FrameErrorBoundary>
+              <Suspense fallback={<Loader label={`Loading ${frameConfig.remoteName}`} />}>
+                <div data-remote-root="">
+                  <Remote {...remoteProps} />
+                </div>
+              </Suspense>
+            </FrameErrorBoundary>
+          </MemoryRouter>
+        ) : (
+          <Loader label="Connecting to the shell" />
+        )}
+      </ThemeProvider>
+    </CacheProvider>
+  );
+}
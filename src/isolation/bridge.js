@@ -0,0 +1,98 @@
+// postMessage protocol between the shell and a remote isolated in an iframe (see `frameHost.js`
+// for the shell side, `frameClient.js` for the frame side).
+// Reason: an isolated remote gets its own document, emotion cache and React root, so leaked global
+// CSS or a broken cache stays inside the frame; the bridge keeps its props behaving like in-tree ones.
+//
+// Props are sent as data, with every function replaced by a `{ [FN_KEY]: path }` marker the frame turns
+// back into an async proxy. Services in `BRIDGED_SERVICES` are recreated in the frame instead
+// (`eventBus` subscriptions, `http` requests and palette `commands` need their own messages; `i18n`
+// runs in the frame, synced to the shell's locale).
+
+export const CHANNEL = 'shophub-isolation';
+export const FN_KEY = '__shophubFn';
+export const BRIDGED_SERVICES = ['eventBus', 'http', 'i18n', 'commands'];
+
+// Shell → frame.
+export const TO_FRAME = {
+  PROPS: 'props',
+  RESULT: 'result',
+  EVENT: 'event',
+  RUN_COMMAND: 'run-command',
+};
+
+// Frame → shell.
+export const TO_SHELL = {
+  READY: 'ready',
+  CALL: 'call',
+  HTTP: 'http',
+  PUBLISH: 'publish',
+  SUBSCRIBE: 'subscribe',
+  UNSUBSCRIBE: 'unsubscribe',
+  COMMANDS: 'commands',
+  RESIZE: 'resize',
+  CRASH: 'crash',
+};
+
+export function isBridgeMessage(event, frameId, expectedSource) {
+  return (
+    event.origin === window.location.origin &&
+    event.source === expectedSource &&
+    event.data?.channel === CHANNEL &&
+    event.data.frameId === frameId
+  );
+}
+
+export function postBridgeMessage(target, frameId, type, payload = {}) {
+  target.postMessage({ channel: CHANNEL, frameId, type, ...payload }, window.location.origin);
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// `functions`: filled with `path → function` so calls from the frame can be dispatched.
+export function serializeProps(props, functions) {
+  const walk = (value, path) => {
+    if (typeof value === 'function') {
+      functions.set(path, value);
+      return { [FN_KEY]: path };
+    }
+    if (Array.isArray(value)) return value.map((item, i) => walk(item, `${path}.${i}`));
+    if (value && typeof value === 'object' && isPlainObject(value)) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item, path ? `${path}.${key}` : key)]));
+    }
+    return value;
+  };
+  const data = {};
+  for (const [key, value] of Object.entries(props)) {
+    if (!BRIDGED_SERVICES.includes(key)) data[key] = walk(value, key);
+  }
+  return { data, services: BRIDGED_SERVICES.filter((key) => props[key] != null) };
+}
+
+// Inverse of `serializeProps`; `getFunction(path)` returns the (stable) proxy for a marker.
+export function hydrateProps(data, getFunction) {
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === 'object' && isPlainObject(value)) {
+      if (typeof value[FN_KEY] === 'string') return getFunction(value[FN_KEY]);
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+    }
+    return value;
+  };
+  return walk(data);
+}
+
+// Errors cross the bridge as plain data.
+export function toErrorData(error) {
+  return { name: error?.name ?? 'Error', message: String(error?.message ?? error), stack: error?.stack ?? null, code: error?.code ?? null };
+}
+
+export function fromErrorData(data) {
+  const error = new Error(data?.message ?? 'Unknown error');
+  error.name = data?.name ?? 'Error';
+  if (data?.stack) error.stack = data.stack;
+  if (data?.code) error.code = data.code;
+  return error;
+}
@@ -0,0 +1,13 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import FrameApp from './FrameApp.jsx';
+import { connectToShell } from './frameClient.js';
+
+// Reason: no auth, recording or reporters here; the shell that embeds the frame owns all of that.
+connectToShell();
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <FrameApp />
+  </React.StrictMode>,
+);
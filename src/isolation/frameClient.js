@@ -0,0 +1,189 @@
+import axios, { AxiosError } from 'axios';
+import { settle } from '../api/httpClient.js';
+import { i18n } from '../i18n/i18n.js';
+import { TO_FRAME, TO_SHELL, fromErrorData, hydrateProps, isBridgeMessage, postBridgeMessage } from './bridge.js';
+
+// Frame side of the isolation bridge: mirrors the props the shell sends and proxies calls back to it.
+//
+// - Callbacks become async proxies (a remote awaiting `addToCart` works as before).
+// - `isInWishlist` / `getCartTotal` / `isCartEmpty` must answer synchronously, so they are computed
+//   here from the mirrored cart and wishlist (injected callback faults do not apply to them).
+// - `eventBus`, `http` and `commands` are recreated on top of their own bridge messages; `i18n` is the
+//   frame's instance, switched to the shell's locale and currency without persisting them (the frame
+//   writes no shared storage).
+
+const params = new URLSearchParams(window.location.search);
+
+export const frameConfig = {
+  frameId: params.get('frame') ?? '',
+  remoteName: params.get('remote') ?? '',
+  // Pinned `remoteEntry.js` (compare mode's candidate), or null for the manifest's.
+  url: params.get('url') || null,
+  exposedModule: params.get('module') ?? '',
+  basePath: params.get('basePath') ?? '/',
+};
+
+const listeners = new Set();
+const pending = new Map();
+const proxies = new Map();
+const eventHandlers = new Map();
+const commandRegistrations = new Map();
+let nextId = 1;
+
+// `props`: hydrated props without `i18n` (added by the frame app so it follows locale changes).
+let state = { props: null, services: [], host: { cartItems: [], wishlistItems: [] }, theme: null };
+
+function setState(patch) {
+  state = { ...state, ...patch };
+  for (const listener of listeners) listener();
+}
+
+export function getFrameState() {
+  return state;
+}
+
+export function subscribeFrame(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function postToShell(type, payload) {
+  postBridgeMessage(window.parent, frameConfig.frameId, type, payload);
+}
+
+function request(type, payload) {
+  const callId = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(callId, { resolve, reject });
+    try {
+      postToShell(type, { callId, ...payload });
+    } catch (e) {
+      // Reason: arguments that cannot be cloned (functions, DOM events, ...) fail here, not in the shell.
+      pending.delete(callId);
+      reject(e);
+    }
+  });
+}
+
+// Same results as the matching `store/hostStore.js` queries, from the mirrored state.
+const SYNC_QUERIES = {
+  isInWishlist: (productId) => state.host.wishlistItems.some((x) => x?.id === productId),
+  getCartTotal: () => state.host.cartItems.reduce((sum, item) => sum + (Number(item?.price) || 0) * (Number(item?.quantity) || 0), 0),
+  isCartEmpty: () => state.host.cartItems.length === 0,
+};
+
+function getProxy(path) {
+  if (!proxies.has(path)) proxies.set(path, SYNC_QUERIES[path] ?? ((...args) => request(TO_SHELL.CALL, { path, args })));
+  return proxies.get(path);
+}
+
+const eventBus = {
+  publish(type, payload) {
+    postToShell(TO_SHELL.PUBLISH, { eventType: type, payload });
+  },
+  subscribe(type, handler) {
+    const subscriptionId = nextId++;
+    eventHandlers.set(subscriptionId, handler);
+    postToShell(TO_SHELL.SUBSCRIBE, { subscriptionId, eventType: type });
+    return () => {
+      if (!eventHandlers.delete(subscriptionId)) return;
+      postToShell(TO_SHELL.UNSUBSCRIBE, { subscriptionId });
+    };
+  },
+};
+
+// Requests run through the shell's client for this remote (request log, mocks, access token).
+const http = axios.create({
+  adapter: async (config) => {
+    const forwarded = {
+      method: config.method,
+      url: config.url,
+      baseURL: config.baseURL,
+      params: config.params,
+      data: config.data,
+      headers: typeof config.headers?.toJSON === 'function' ? config.headers.toJSON() : config.headers,
+      timeout: config.timeout,
+      responseType: config.responseType,
+      withCredentials: config.withCredentials,
+    };
+    try {
+      const response = await request(TO_SHELL.HTTP, { config: forwarded });
+      return settle({ ...response, config, request: null });
+    } catch (e) {
+      if (e instanceof AxiosError) throw e;
+      throw new AxiosError(e?.message ?? String(e), e?.code ?? AxiosError.ERR_NETWORK, config);
+    }
+  },
+});
+
+function syncCommands() {
+  const commands = [...commandRegistrations.values()].flat().map(({ id, title, group, keywords, shortcut, hidden }) => ({ id, title, group, keywords, shortcut, hidden }));
+  postToShell(TO_SHELL.COMMANDS, { commands });
+}
+
+const commands = {
+  register(list) {
+    const token = Symbol('commands');
+    commandRegistrations.set(token, Array.isArray(list) ? list.filter((c) => c && typeof c.run === 'function') : []);
+    syncCommands();
+    return () => {
+      if (commandRegistrations.delete(token)) syncCommands();
+    };
+  },
+};
+
+const SERVICES = { eventBus, http, commands };
+
+// Reason: keeps unchanged values (e.g. `currentUser`) referentially stable so remote effects keyed on them do not re-run.
+function reuseUnchanged(previous, next) {
+  if (!previous) return next;
+  return Object.fromEntries(
+    Object.entries(next).map(([key, value]) => {
+      const before = previous[key];
+      if (typeof value === 'function' || before === undefined) return [key, value];
+      return [key, JSON.stringify(before) === JSON.stringify(value) ? before : value];
+    }),
+  );
+}
+
+const messageHandlers = {
+  [TO_FRAME.PROPS]: ({ props, services, host, theme, locale }) => {
+    if (locale) {
+      i18n.setLocale(locale.locale, { keepCurrency: true, persist: false });
+      i18n.setCurrency(locale.currency, { persist: false });
+    }
+    const hydrated = hydrateProps(props, getProxy);
+    for (const key of services) {
+      if (SERVICES[key]) hydrated[key] = SERVICES[key];
+    }
+    setState({ props: reuseUnchanged(state.props, hydrated), services, host, theme });
+  },
+  [TO_FRAME.RESULT]: ({ callId, value, error }) => {
+    const call = pending.get(callId);
+    if (!call) return;
+    pending.delete(callId);
+    if (error) call.reject(fromErrorData(error));
+    else call.resolve(value);
+  },
+  [TO_FRAME.EVENT]: ({ subscriptionId, event }) => {
+    try {
+      eventHandlers.get(subscriptionId)?.(event);
+    } catch (e) {
+      console.error('[admin-frame] Event handler failed:', event?.type, e);
+    }
+  },
+  [TO_FRAME.RUN_COMMAND]: ({ id }) => {
+    const command = [...commandRegistrations.values()].flat().find((c) => c.id === id);
+    Promise.resolve()
+      .then(() => command?.run())
+      .catch((e) => console.error(`[admin-frame] Command "${id}" failed:`, e));
+  },
+};
+
+export function connectToShell() {
+  window.addEventListener('message', (event) => {
+    if (!isBridgeMessage(event, frameConfig.frameId, window.parent)) return;
+    messageHandlers[event.data.type]?.(event.data);
+  });
+  postToShell(TO_SHELL.READY);
+}
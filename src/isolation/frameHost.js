@@ -0,0 +1,121 @@
+import { TO_FRAME, TO_SHELL, isBridgeMessage, postBridgeMessage, serializeProps, toErrorData } from './bridge.js';
+
+// Shell side of the isolation bridge for one iframe (`components/IsolatedRemoteFrame.jsx`).
+// Calls from the frame run the real host callbacks, so store mutations, notifications, events and
+// requests are attributed, audited, logged and fault-injected exactly like for in-tree remotes.
+
+export const FRAME_PATH = '/isolated.html';
+
+let nextFrameId = 1;
+
+export function createFrameId(remoteName) {
+  return `${remoteName}-${nextFrameId++}`;
+}
+
+// Frame URL; the remote is loaded by the frame itself, from `url` or the shell's manifest (incl. overrides).
+export function getFrameUrl({ frameId, remoteName, url = null, exposedModule, basePath }) {
+  const params = new URLSearchParams({ frame: frameId, remote: remoteName, module: exposedModule, basePath });
+  if (url) params.set('url', url);
+  return `${FRAME_PATH}?${params}`;
+}
+
+// `frame`: the iframe element. Returns `{ update, dispose }`; `update` sends the latest props
+// (`props`: the remote's full props, `host`: `{ cartItems, wishlistItems }` for synchronous queries,
+// `theme`: `{ mode, overrides }`, `locale`: `{ locale, currency }`).
+export function connectIsolatedFrame({ frame, frameId, onResize, onCrash }) {
+  let ready = false;
+  let current = { functions: new Map(), services: {}, message: null };
+  const subscriptions = new Map();
+  let unregisterCommands = null;
+
+  const post = (type, payload) => {
+    if (frame.contentWindow) postBridgeMessage(frame.contentWindow, frameId, type, payload);
+  };
+
+  // Reason: a result that cannot be cloned (DOM nodes, class instances with methods, ...) must still settle the call.
+  const reply = (callId, result) => {
+    try {
+      post(TO_FRAME.RESULT, { callId, ...result });
+    } catch (e) {
+      post(TO_FRAME.RESULT, { callId, error: toErrorData(e) });
+    }
+  };
+
+  const settle = (callId, run) => {
+    Promise.resolve()
+      .then(run)
+      .then(
+        (value) => reply(callId, { value }),
+        (error) => reply(callId, { error: toErrorData(error) }),
+      );
+  };
+
+  const handlers = {
+    [TO_SHELL.READY]: () => {
+      ready = true;
+      if (current.message) post(TO_FRAME.PROPS, current.message);
+    },
+    [TO_SHELL.CALL]: ({ callId, path, args }) =>
+      settle(callId, () => {
+        const fn = current.functions.get(path);
+        if (!fn) throw new Error(`No host callback at "${path}"`);
+        return fn(...(args ?? []));
+      }),
+    [TO_SHELL.HTTP]: ({ callId, config }) =>
+      settle(callId, async () => {
+        if (!current.services.http) throw new Error('No http client for this remote');
+        // Reason: the frame applies its own `validateStatus`, so every status comes back as a response.
+        const response = await current.services.http.request({ ...config, validateStatus: () => true });
+        const headers = typeof response.headers?.toJSON === 'function' ? response.headers.toJSON() : { ...response.headers };
+        return { data: response.data, status: response.status, statusText: response.statusText, headers };
+      }),
+    [TO_SHELL.PUBLISH]: ({ eventType, payload }) => {
+      try {
+        current.services.eventBus?.publish(eventType, payload);
+      } catch (e) {
+        console.error('[admin-host] Isolated remote published an invalid event:', e);
+      }
+    },
+    [TO_SHELL.SUBSCRIBE]: ({ subscriptionId, eventType }) => {
+      const unsubscribe = current.services.eventBus?.subscribe(eventType, (event) => post(TO_FRAME.EVENT, { subscriptionId, event }));
+      if (unsubscribe) subscriptions.set(subscriptionId, unsubscribe);
+    },
+    [TO_SHELL.UNSUBSCRIBE]: ({ subscriptionId }) => {
+      subscriptions.get(subscriptionId)?.();
+      subscriptions.delete(subscriptionId);
+    },
+    // The frame sends its whole command list each time it changes.
+    [TO_SHELL.COMMANDS]: ({ commands }) => {
+      unregisterCommands?.();
+      unregisterCommands =
+        current.services.commands?.register(commands.map((c) => ({ ...c, run: () => post(TO_FRAME.RUN_COMMAND, { id: c.id }) }))) ?? null;
+    },
+    [TO_SHELL.RESIZE]: ({ height }) => onResize?.(height),
+    [TO_SHELL.CRASH]: ({ error, componentStack }) => onCrash?.(error, componentStack),
+  };
+
+  const onMessage = (event) => {
+    if (!isBridgeMessage(event, frameId, frame.contentWindow)) return;
+    handlers[event.data.type]?.(event.data);
+  };
+  window.addEventListener('message', onMessage);
+
+  return {
+    update({ props, host, theme, locale }) {
+      const functions = new Map();
+      const { data, services } = serializeProps(props, functions);
+      current = {
+        functions,
+        services: Object.fromEntries(services.map((key) => [key, props[key]])),
+        message: { props: data, services, host, theme, locale },
+      };
+      if (ready) post(TO_FRAME.PROPS, current.message);
+    },
+    dispose() {
+      window.removeEventListener('message', onMessage);
+      for (const unsubscribe of subscriptions.values()) unsubscribe();
+      subscriptions.clear();
+      unregisterCommands?.();
+    },
+  };
+}
@@ -0,0 +1,3 @@
+// Entry of `isolated.html`, the iframe an isolated remote runs in (see `isolation/bridge.js`).
+// Reason: same async boundary as `main.jsx`, so shared modules are negotiated before they are used.
+import('./frameBootstrap.jsx');
@@ -0,0 +1,202 @@
+import { Fragment, useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Collapse,
+  IconButton,
+  MenuItem,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import Section from '../components/Section.jsx';
+import { AUDIT_CSV_COLUMNS, describeActor, describeChanges, filterAuditEntries, toAuditCsvRows } from '../audit/auditLog.js';
+import { useAuditLog } from '../hooks/useAuditLog.js';
+import { downloadCsv, downloadJson } from '../utils/download.js';
+
+const mono = { fontFamily: 'monospace' };
+// Reason: rendering thousands of rows with snapshots freezes the page; exports still include everything.
+const MAX_ROWS = 500;
+const SLICES = ['cartItems', 'wishlistItems'];
+
+function toTimestamp(value) {
+  const at = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(at) ? null : at;
+}
+
+function uniqueSorted(values) {
+  return [...new Set(values)].sort();
+}
+
+function FilterSelect({ label, value, onChange, options, allLabel }) {
+  return (
+    <TextField select size="small" label={label} value={value} onChange={(e) => onChange(e.target.value)} sx={{ minWidth: 150 }}>
+      <MenuItem value="all">{allLabel}</MenuItem>
+      {options.map((o) => (
+        <MenuItem key={o} value={o} sx={mono}>
+          {o}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
+
+function Snapshot({ title, value }) {
+  return (
+    <Box sx={{ flex: 1, minWidth: 0 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 700 }}>
+        {title}
+      </Typography>
+      <Box component="pre" sx={{ ...mono, fontSize: 12, m: 0, p: 1, maxHeight: 260, overflow: 'auto', bgcolor: 'action.hover', borderRadius: 1 }}>
+        {JSON.stringify(value, null, 2)}
+      </Box>
+    </Box>
+  );
+}
+
+function AuditRow({ entry }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <Fragment>
+      <TableRow hover sx={{ '& > td': { borderBottom: open ? 'none' : undefined } }}>
+        <TableCell padding="checkbox">
+          <IconButton size="small" aria-label={open ? 'Hide snapshots' : 'Show snapshots'} onClick={() => setOpen((o) => !o)}>
+            {open ? <KeyboardArrowUpIcon fontSize="small" /> : <KeyboardArrowDownIcon fontSize="small" />}
+          </IconButton>
+        </TableCell>
+        <TableCell sx={{ ...mono, whiteSpace: 'nowrap' }}>{new Date(entry.at).toLocaleString()}</TableCell>
+        <TableCell>
+          <Chip size="small" label={entry.action} sx={mono} />
+        </TableCell>
+        <TableCell sx={mono}>{entry.source}</TableCell>
+        <TableCell>
+          <Typography variant="body2">{describeActor(entry)}</Typography>
+          {entry.persona ? (
+            <Typography variant="caption" color="text.secondary">
+              as {entry.persona.email ?? entry.persona.name}
+            </Typography>
+          ) : null}
+        </TableCell>
+        <TableCell>{describeChanges(entry)}</TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={6} sx={{ py: 0 }}>
+          <Collapse in={open} unmountOnExit>
+            <Stack spacing={1.5} sx={{ py: 1.5 }}>
+              {Object.keys(entry.details ?? {}).length ? <Snapshot title="Details" value={entry.details} /> : null}
+              {Object.entries(entry.changes ?? {}).map(([slice, { before, after }]) => (
+                <Stack key={slice} direction={{ xs: 'column', md: 'row' }} spacing={1.5}>
+                  <Snapshot title={`${slice} before`} value={before} />
+                  <Snapshot title={`${slice} after`} value={after} />
+                </Stack>
+              ))}
+            </Stack>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </Fragment>
+  );
+}
+
+// Searchable view of the append-only audit log of host state mutations (`audit/auditLog.js`).
+export default function AuditPage() {
+  const { entries, loaded, error } = useAuditLog();
+  const [query, setQuery] = useState('');
+  const [source, setSource] = useState('all');
+  const [action, setAction] = useState('all');
+  const [actor, setActor] = useState('all');
+  const [slice, setSlice] = useState('all');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const options = useMemo(
+    () => ({
+      sources: uniqueSorted(entries.map((e) => e.source)),
+      actions: uniqueSorted(entries.map((e) => e.action)),
+      actors: uniqueSorted(entries.map(describeActor)),
+    }),
+    [entries],
+  );
+  const filtered = useMemo(
+    () => filterAuditEntries(entries, { query, source, action, actor, slice, from: toTimestamp(from), to: toTimestamp(to) }),
+    [entries, query, source, action, actor, slice, from, to],
+  );
+
+  return (
+    <Section title="Audit log">
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Every cart and wishlist change made from this browser, with who made it, from which remote and the state before and after.
+      </Typography>
+      <Stack direction="row" spacing={2} useFlexGap sx={{ mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField size="small" label="Search" value={query} onChange={(e) => setQuery(e.target.value)} sx={{ flexGrow: 1, minWidth: 200 }} />
+        <FilterSelect label="Source" value={source} onChange={setSource} options={options.sources} allLabel="All sources" />
+        <FilterSelect label="Action" value={action} onChange={setAction} options={options.actions} allLabel="All actions" />
+        <FilterSelect label="Actor" value={actor} onChange={setActor} options={options.actors} allLabel="All actors" />
+        <FilterSelect label="State" value={slice} onChange={setSlice} options={SLICES} allLabel="Any state" />
+        <TextField size="small" type="datetime-local" label="From" value={from} onChange={(e) => setFrom(e.target.value)} slotProps={{ inputLabel: { shrink: true } }} />
+        <TextField size="small" type="datetime-local" label="To" value={to} onChange={(e) => setTo(e.target.value)} slotProps={{ inputLabel: { shrink: true } }} />
+        <Button size="small" variant="outlined" startIcon={<FileDownloadIcon />} disabled={!filtered.length} onClick={() => downloadCsv('shophub-audit.csv', AUDIT_CSV_COLUMNS, toAuditCsvRows(filtered))}>
+          CSV
+        </Button>
+        <Button size="small" variant="outlined" startIcon={<FileDownloadIcon />} disabled={!filtered.length} onClick={() => downloadJson('shophub-audit.json', filtered)}>
+          JSON
+        </Button>
+      </Stack>
+
+      {error ? (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          Could not read the stored audit log: {error}
+        </Alert>
+      ) : null}
+
+      {!loaded ? (
+        <Typography variant="body2" color="text.secondary">
+          Loading audit log…
+        </Typography>
+      ) : filtered.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {entries.length ? 'No entries match these filters.' : 'No changes recorded yet. Add something to the cart or wishlist to see it here.'}
+        </Typography>
+      ) : (
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <TableContainer sx={{ maxHeight: '65vh' }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>Time</TableCell>
+                  <TableCell>Action</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Who</TableCell>
+                  <TableCell>Change</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {filtered.slice(0, MAX_ROWS).map((entry) => (
+                  <AuditRow key={entry.id} entry={entry} />
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+          {filtered.length > MAX_ROWS ? (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', p: 1 }}>
+              Showing the newest {MAX_ROWS} of {filtered.length} matching entries; exports include all of them.
+            </Typography>
+          ) : null}
+        </Paper>
+      )}
+    </Section>
+  );
+}
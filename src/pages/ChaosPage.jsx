@@ -0,0 +1,120 @@
+import { Autocomplete, Box, Button, Chip, FormControlLabel, Paper, Stack, Switch, TextField, Typography } from '@mui/material';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import Section from '../components/Section.jsx';
+import {
+  clearAllFaults,
+  clearRemoteFaults,
+  getFaultableCallbacks,
+  getFaultyRemotes,
+  getRemoteFaults,
+  hasActiveFaults,
+  setRemoteFaults,
+} from '../chaos/faultInjection.js';
+import { useFaultState } from '../hooks/useFaults.js';
+import { REMOTE_MODULES } from '../remotes/registry.js';
+
+function MsField({ label, value, onChange }) {
+  return (
+    <TextField
+      size="small"
+      type="number"
+      label={label}
+      value={value}
+      onChange={(e) => onChange(Math.max(0, Number(e.target.value) || 0))}
+      slotProps={{ htmlInput: { min: 0, step: 250 } }}
+      sx={{ width: 170 }}
+    />
+  );
+}
+
+function RemoteFaultsCard({ remote, faults }) {
+  const callbacks = getFaultableCallbacks(remote);
+  const set = (patch) => setRemoteFaults(remote, patch);
+  const active = hasActiveFaults(faults);
+
+  return (
+    <Paper
+      variant="outlined"
+      sx={{ p: 2, borderRadius: 2, display: 'flex', flexDirection: 'column', gap: 1.5, borderColor: active ? 'warning.main' : undefined }}
+    >
+      <Stack direction="row" spacing={1} sx={{ alignItems: 'center' }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 800, fontFamily: 'monospace', flexGrow: 1 }}>
+          {remote}
+        </Typography>
+        {active ? <Chip size="small" color="warning" label="faults on" /> : null}
+        <Button size="small" startIcon={<RestartAltIcon />} disabled={!active} onClick={() => clearRemoteFaults(remote)}>
+          Reset
+        </Button>
+      </Stack>
+
+      <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 700 }}>
+        Loading
+      </Typography>
+      <Stack direction="row" spacing={2} sx={{ alignItems: 'center', flexWrap: 'wrap' }}>
+        <MsField label="Import delay (ms)" value={faults.importDelayMs} onChange={(importDelayMs) => set({ importDelayMs })} />
+        <FormControlLabel
+          control={<Switch checked={faults.failEntryLoad} onChange={(e) => set({ failEntryLoad: e.target.checked })} />}
+          label="Fail remoteEntry.js"
+        />
+        <FormControlLabel
+          control={<Switch checked={faults.throwOnRender} onChange={(e) => set({ throwOnRender: e.target.checked })} />}
+          label="Throw on render"
+        />
+      </Stack>
+
+      <Typography variant="caption" color="text.secondary" sx={{ fontWeight: 700 }}>
+        Host callbacks
+      </Typography>
+      {callbacks.length ? (
+        <>
+          <Stack direction="row" spacing={2} sx={{ alignItems: 'center', flexWrap: 'wrap' }}>
+            <MsField label="Response delay (ms)" value={faults.callbackDelayMs} onChange={(callbackDelayMs) => set({ callbackDelayMs })} />
+            <FormControlLabel
+              control={<Switch checked={faults.rejectCallbacks} onChange={(e) => set({ rejectCallbacks: e.target.checked })} />}
+              label="Reject"
+            />
+          </Stack>
+          <Autocomplete
+            multiple
+            size="small"
+            options={callbacks}
+            value={faults.callbacks.filter((c) => callbacks.includes(c))}
+            onChange={(_e, value) => set({ callbacks: value })}
+            renderInput={(params) => <TextField {...params} label="Callbacks" placeholder={faults.callbacks.length ? '' : 'All async callbacks'} />}
+          />
+        </>
+      ) : (
+        <Typography variant="body2" color="text.secondary">
+          No async callbacks in this remote&apos;s contract.
+        </Typography>
+      )}
+    </Paper>
+  );
+}
+
+// Per-remote fault injection: slow or failing loads, render errors, slow or rejecting host callbacks.
+export default function ChaosPage() {
+  const state = useFaultState();
+  const faulty = getFaultyRemotes(state);
+
+  return (
+    <Section
+      title="Chaos"
+      actions={
+        <Button size="small" startIcon={<RestartAltIcon />} disabled={!faulty.length} onClick={clearAllFaults}>
+          Reset all
+        </Button>
+      }
+    >
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Faults apply immediately (loading faults reload the remote) and last until reset or the end of this browser
+        session. Callback faults only target async callbacks, so remotes see a slow or rejected Promise.
+      </Typography>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: 'repeat(2, minmax(0, 1fr))' }, gap: 2 }}>
+        {Object.keys(REMOTE_MODULES).map((remote) => (
+          <RemoteFaultsCard key={remote} remote={remote} faults={getRemoteFaults(remote, state)} />
+        ))}
+      </Box>
+    </Section>
+  );
+}
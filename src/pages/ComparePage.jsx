@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useOutletContext, useSearchParams } from 'react-router-dom';
+import { Box, FormControlLabel, MenuItem, Stack, Switch, TextField, Typography } from '@mui/material';
+import RemotePanel from '../components/RemotePanel.jsx';
+import Section from '../components/Section.jsx';
+import { hasPermissions } from '../auth/permissions.js';
+import { useAuth } from '../hooks/useAuth.js';
+import { useMirroredPanes } from '../hooks/useMirroredPanes.js';
+import { lazyRemote } from '../remotes/lazyRemote.js';
+import { REMOTE_PANELS } from '../remotes/panels.js';
+import { loadRemoteManifest } from '../remotes/registry.js';
+
+// The panel mounted from a specific `remoteEntry.js` (null: the URL from the manifest).
+function useVariantPanel(panel, url, side) {
+  return useMemo(() => {
+    if (!panel) return null;
+    const remote = url ? lazyRemote(panel.remote.remoteName, panel.remote.exposedModule, { url }) : panel.remote;
+    return { ...panel, id: `${panel.id}@${side}`, label: `${panel.label} · ${side}`, remote };
+  }, [panel, url, side]);
+}
+
+// Compare mode: one remote mounted from two `remoteEntry.js` URLs side by side, with the same host
+// props and state. Settings live in the URL (`?panel=&left=&right=`) so a comparison can be shared.
+// Reason: a pane pinned to a URL is isolated (its own iframe and webpack runtime), so two builds of one
+// remote never share a chunk-loading global; it is also keyed `name@url` (`remotes/instances.js`).
+export default function ComparePage() {
+  const host = useOutletContext();
+  const { user } = useAuth();
+  const [params, setParams] = useSearchParams();
+  const [manifestUrls, setManifestUrls] = useState({});
+  const [mirrorScroll, setMirrorScroll] = useState(true);
+  const [mirrorClicks, setMirrorClicks] = useState(false);
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+  useMirroredPanes(leftRef, rightRef, { scroll: mirrorScroll, clicks: mirrorClicks });
+
+  const panels = useMemo(() => REMOTE_PANELS.filter((p) => hasPermissions(user, p.requires)), [user]);
+  const panel = panels.find((p) => p.id === params.get('panel')) ?? null;
+  const leftUrl = params.get('left')?.trim() || null;
+  const rightUrl = params.get('right')?.trim() || null;
+  const left = useVariantPanel(panel, leftUrl, 'left');
+  const right = useVariantPanel(panel, rightUrl, 'right');
+
+  useEffect(() => {
+    loadRemoteManifest()
+      .then((remotes) => setManifestUrls(Object.fromEntries(Object.entries(remotes).map(([name, r]) => [name, r.url]))))
+      .catch(() => setManifestUrls({}));
+  }, []);
+
+  // Reason: `replace` keeps typing a URL from flooding the back-button history.
+  const setParam = (key, value) =>
+    setParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        if (value) next.set(key, value);
+        else next.delete(key);
+        return next;
+      },
+      { replace: true },
+    );
+
+  const manifestUrl = panel ? manifestUrls[panel.remote.remoteName] : null;
+  const pane = (ref, variant, readOnly) => (
+    <Box ref={ref} sx={{ maxHeight: '75vh', overflow: 'auto', borderRadius: 3 }}>
+      {variant ? (
+        <RemotePanel
+          key={`${variant.id}|${variant.remote.url ?? 'manifest'}`}
+          panel={variant}
+          host={host}
+          readOnly={readOnly}
+          isolated={Boolean(variant.remote.url)}
+        />
+      ) : null}
+    </Box>
+  );
+
+  return (
+    <Stack spacing={2}>
+      <Section title="Compare">
+        <Stack spacing={2}>
+          <TextField select size="small" label="Remote" value={panel?.id ?? ''} onChange={(e) => setParam('panel', e.target.value)} sx={{ maxWidth: 360 }}>
+            {panels.map((p) => (
+              <MenuItem key={p.id} value={p.id}>
+                {p.label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Stack direction={{ xs: 'column', md: 'row' }} spacing={2}>
+            {[
+              ['left', leftUrl, 'Left remoteEntry.js (baseline)'],
+              ['right', rightUrl, 'Right remoteEntry.js (candidate)'],
+            ].map(([key, value, label]) => (
+              <TextField
+                key={`${key}|${value ?? ''}`}
+                size="small"
+                label={label}
+                fullWidth
+                // Reason: committed on blur so a half-typed URL does not start loading a script.
+                defaultValue={value ?? ''}
+                onBlur={(e) => setParam(key, e.target.value.trim())}
+                placeholder={manifestUrl ?? 'Manifest URL'}
+                helperText={value ? null : 'Empty: the URL from the remote manifest'}
+              />
+            ))}
+          </Stack>
+          <Stack direction="row" spacing={2} sx={{ flexWrap: 'wrap' }}>
+            <FormControlLabel control={<Switch checked={mirrorScroll} onChange={(e) => setMirrorScroll(e.target.checked)} />} label="Sync scrolling" />
+            <FormControlLabel control={<Switch checked={mirrorClicks} onChange={(e) => setMirrorClicks(e.target.checked)} />} label="Mirror clicks (left → right)" />
+          </Stack>
+          <Typography variant="body2" color="text.secondary">
+            Both sides share the host state. With mirrored clicks the right side gets read-only host callbacks, so a
+            replayed &quot;add to cart&quot; is not applied twice. A side loaded from a URL runs isolated in its own
+            frame, and its faults, metrics, contract issues and commands are tracked as `name@url`.
+          </Typography>
+        </Stack>
+      </Section>
+
+      {panel ? null : (
+        <Typography variant="body2" color="text.secondary">
+          Pick a remote and enter the candidate build&apos;s `remoteEntry.js` URL.
+        </Typography>
+      )}
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: 'repeat(2, minmax(0, 1fr))' }, gap: 3 }}>
+        {pane(leftRef, left, false)}
+        {pane(rightRef, right, mirrorClicks)}
+      </Box>
+    </Stack>
+  );
+}
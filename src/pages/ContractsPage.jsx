@@ -0,0 +1,43 @@
+import { Box, Chip, Stack, Typography } from '@mui/material';
+import ContractIssuesPanel from '../components/ContractIssuesPanel.jsx';
+import Section from '../components/Section.jsx';
+import { REMOTE_CONTRACTS, getRemoteContract } from '../contracts/remoteContracts.js';
+
+function describeSpec(spec) {
+  if (spec.kind === 'value') return spec.schema.type;
+  const ret = spec.returns ? spec.returns.type : 'void';
+  return `(${spec.args.map((a) => a.type).join(', ')}) => ${spec.async ? `Promise<${ret}>` : ret}`;
+}
+
+// Contract issues plus a read-only view of each remote's declared contract.
+export default function ContractsPage() {
+  return (
+    <Stack spacing={3}>
+      <Section title="Contract issues">
+        <ContractIssuesPanel />
+      </Section>
+      <Section title="Declared contracts">
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '1fr 1fr' }, gap: 2 }}>
+          {Object.keys(REMOTE_CONTRACTS).map((remote) => (
+            <Box key={remote}>
+              <Typography variant="subtitle2" sx={{ fontWeight: 800, mb: 0.5 }}>
+                {remote}
+              </Typography>
+              {Object.entries(getRemoteContract(remote)).map(([prop, spec]) => (
+                <Stack key={prop} direction="row" spacing={1} sx={{ alignItems: 'center', py: 0.25 }}>
+                  <Typography variant="body2" sx={{ fontFamily: 'monospace', minWidth: 160 }}>
+                    {prop}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace', flexGrow: 1 }}>
+                    {describeSpec(spec)}
+                  </Typography>
+                  {spec.required ? <Chip size="small" variant="outlined" label="required" /> : null}
+                </Stack>
+              ))}
+            </Box>
+          ))}
+        </Box>
+      </Section>
+    </Stack>
+  );
+}
@@ -0,0 +1,173 @@
+import { useMemo } from 'react';
+import { useOutletContext } from 'react-router-dom';
+import {
+  Box,
+  Checkbox,
+  FormControl,
+  IconButton,
+  InputLabel,
+  ListItemText,
+  MenuItem,
+  OutlinedInput,
+  Paper,
+  Select,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+} from '@mui/material';
+import { alpha } from '@mui/material/styles';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
+import CloseFullscreenIcon from '@mui/icons-material/CloseFullscreen';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import OpenInFullIcon from '@mui/icons-material/OpenInFull';
+import ShieldIcon from '@mui/icons-material/Shield';
+import ShieldOutlinedIcon from '@mui/icons-material/ShieldOutlined';
+import ContractIssuesPanel from '../components/ContractIssuesPanel.jsx';
+import RemotePanel from '../components/RemotePanel.jsx';
+import RemoteStatusPanel from '../components/RemoteStatusPanel.jsx';
+import Section from '../components/Section.jsx';
+import { hasPermissions } from '../auth/permissions.js';
+import { useAuth } from '../hooks/useAuth.js';
+import { useContractIssues } from '../hooks/useContractIssues.js';
+import { COLUMN_OPTIONS, usePanelLayout } from '../hooks/usePanelLayout.js';
+import { REMOTE_PANELS, SELECTABLE_PANEL_IDS } from '../remotes/panels.js';
+
+// Dashboard:
+// - Always renders pinned remotes (Wishlist) and optionally renders other MFEs.
+// - Panel selection/order/layout lives in the URL (see `usePanelLayout`).
+// - Any panel can be isolated in an iframe to tell a remote's own bugs from co-location issues.
+
+function PanelAction({ title, onClick, disabled, children }) {
+  return (
+    <Tooltip title={title}>
+      <span>
+        <IconButton size="small" aria-label={title} onClick={onClick} disabled={disabled}>
+          {children}
+        </IconButton>
+      </span>
+    </Tooltip>
+  );
+}
+
+function panelActions({ id, layout, toggleCollapsed, toggleWide, toggleIsolated, movePanel }) {
+  const collapsed = layout.collapsed.includes(id);
+  const wide = layout.wide.includes(id);
+  const isolated = layout.isolated.includes(id);
+  const index = layout.panels.indexOf(id);
+  return (
+    <>
+      {index >= 0 ? (
+        <>
+          <PanelAction title="Move earlier" onClick={() => movePanel(id, -1)} disabled={index === 0}>
+            <ChevronLeftIcon fontSize="small" />
+          </PanelAction>
+          <PanelAction title="Move later" onClick={() => movePanel(id, 1)} disabled={index === layout.panels.length - 1}>
+            <ChevronRightIcon fontSize="small" />
+          </PanelAction>
+        </>
+      ) : null}
+      <PanelAction title={isolated ? 'Render in the shell' : 'Isolate in an iframe'} onClick={() => toggleIsolated(id)}>
+        {isolated ? <ShieldIcon fontSize="small" color="primary" /> : <ShieldOutlinedIcon fontSize="small" />}
+      </PanelAction>
+      <PanelAction title={wide ? 'Fit to column' : 'Full width'} onClick={() => toggleWide(id)}>
+        {wide ? <CloseFullscreenIcon fontSize="small" /> : <OpenInFullIcon fontSize="small" />}
+      </PanelAction>
+      <PanelAction title={collapsed ? 'Expand' : 'Collapse'} onClick={() => toggleCollapsed(id)}>
+        {collapsed ? <ExpandMoreIcon fontSize="small" /> : <ExpandLessIcon fontSize="small" />}
+      </PanelAction>
+    </>
+  );
+}
+
+export default function Dashboard() {
+  const host = useOutletContext();
+  const panelLayout = usePanelLayout(SELECTABLE_PANEL_IDS);
+  const { layout, setPanels, setColumns } = panelLayout;
+  const selected = layout.panels;
+  const contractIssues = useContractIssues();
+  const { user } = useAuth();
+
+  // Reason: panels the signed-in admin lacks permissions for are neither offered nor mounted.
+  const allowed = useMemo(() => REMOTE_PANELS.filter((p) => hasPermissions(user, p.requires)), [user]);
+  const items = useMemo(() => allowed.filter((p) => !p.pinned), [allowed]);
+  const visiblePanels = useMemo(() => {
+    const byId = new Map(items.map((x) => [x.id, x]));
+    return [...allowed.filter((p) => p.pinned), ...selected.map((id) => byId.get(id)).filter(Boolean)];
+  }, [allowed, items, selected]);
+
+  return (
+    <>
+      <Box sx={{ mb: 3 }}>
+        <Section title="Remote status">
+          <RemoteStatusPanel />
+        </Section>
+      </Box>
+
+      {contractIssues.length ? (
+        <Box sx={{ mb: 3 }}>
+          <Section title={`Contract issues (${contractIssues.length})`}>
+            <ContractIssuesPanel />
+          </Section>
+        </Box>
+      ) : null}
+
+      <Paper elevation={0} sx={{ p: 2.5, borderRadius: 3, border: '1px solid', borderColor: 'divider', mb: 3, bgcolor: (theme) => alpha(theme.palette.background.paper, 0.92), backdropFilter: 'blur(20px)', display: 'flex', gap: 2, alignItems: 'center' }}>
+        <FormControl fullWidth size="small">
+          <InputLabel id="mfe-select-label">Render MFEs</InputLabel>
+          <Select
+            labelId="mfe-select-label"
+            multiple
+            value={selected}
+            onChange={(e) => {
+              const value = e.target.value;
+              setPanels(typeof value === 'string' ? value.split(',') : value);
+            }}
+            input={<OutlinedInput label="Render MFEs" />}
+            renderValue={(ids) => {
+              const byId = new Map(items.map((x) => [x.id, x.label]));
+              return ids.map((id) => byId.get(id) ?? id).join(', ');
+            }}
+          >
+            {items.map((opt) => (
+              <MenuItem key={opt.id} value={opt.id}>
+                <Checkbox checked={selected.includes(opt.id)} />
+                <ListItemText primary={opt.label} />
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={layout.columns}
+          onChange={(_e, value) => {
+            if (value) setColumns(value);
+          }}
+          aria-label="Grid columns"
+        >
+          {COLUMN_OPTIONS.map((n) => (
+            <ToggleButton key={n} value={n} aria-label={`${n} columns`} sx={{ px: 1.5 }}>
+              {n}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Paper>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: `repeat(${layout.columns}, minmax(0, 1fr))` }, gap: 3 }}>
+        {visiblePanels.map((panel) => (
+          <Box key={panel.id} sx={{ gridColumn: layout.wide.includes(panel.id) ? '1 / -1' : 'auto' }}>
+            <RemotePanel
+              panel={panel}
+              host={host}
+              collapsed={layout.collapsed.includes(panel.id)}
+              isolated={layout.isolated.includes(panel.id)}
+              actions={panelActions({ id: panel.id, ...panelLayout })}
+            />
+          </Box>
+        ))}
+      </Box>
+    </>
+  );
+}
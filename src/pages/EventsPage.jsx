@@ -0,0 +1,115 @@
+import { useMemo, useState, useSyncExternalStore } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  MenuItem,
+  Paper,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeleteSweepIcon from '@mui/icons-material/DeleteSweep';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import Section from '../components/Section.jsx';
+import { eventBus } from '../events/eventBus.js';
+import { downloadJson } from '../utils/download.js';
+
+function formatPayload(payload) {
+  try {
+    return JSON.stringify(payload);
+  } catch {
+    return String(payload);
+  }
+}
+
+// Live, filterable, pausable log of every event published on the host event bus.
+export default function EventsPage() {
+  const log = useSyncExternalStore(eventBus.subscribeLog, eventBus.getLog);
+  const [paused, setPaused] = useState(null);
+  const [query, setQuery] = useState('');
+  const [source, setSource] = useState('all');
+
+  // Reason: pausing freezes the view only; the bus keeps logging in the background.
+  const visibleLog = paused ?? log;
+  const sources = useMemo(() => [...new Set(log.map((e) => e.source))].sort(), [log]);
+  const events = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return visibleLog.filter(
+      (e) =>
+        (source === 'all' || e.source === source) &&
+        (!q || e.type.toLowerCase().includes(q) || formatPayload(e.payload).toLowerCase().includes(q)),
+    );
+  }, [visibleLog, query, source]);
+
+  return (
+    <Section title="Events">
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} sx={{ mb: 2, alignItems: { md: 'center' } }}>
+        <TextField size="small" label="Filter type or payload" value={query} onChange={(e) => setQuery(e.target.value)} sx={{ flexGrow: 1 }} />
+        <TextField select size="small" label="Source" value={source} onChange={(e) => setSource(e.target.value)} sx={{ minWidth: 160 }}>
+          <MenuItem value="all">All sources</MenuItem>
+          {sources.map((s) => (
+            <MenuItem key={s} value={s}>
+              {s}
+            </MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={<Switch checked={Boolean(paused)} onChange={(e) => setPaused(e.target.checked ? log : null)} />}
+          label={paused ? `Paused (${log.length - paused.length} new)` : 'Live'}
+        />
+        <Button size="small" variant="outlined" startIcon={<FileDownloadIcon />} onClick={() => downloadJson('shophub-events.json', events)}>
+          Export
+        </Button>
+        <Button size="small" startIcon={<DeleteSweepIcon />} onClick={() => eventBus.clearLog()}>
+          Clear
+        </Button>
+      </Stack>
+
+      {events.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No events yet. Interact with a remote (e.g. add to cart) to see them here.
+        </Typography>
+      ) : (
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <TableContainer sx={{ maxHeight: '65vh' }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Type</TableCell>
+                  <TableCell>Source</TableCell>
+                  <TableCell>Payload</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {events.map((e) => (
+                  <TableRow key={e.id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}>{new Date(e.at).toLocaleTimeString()}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={e.type} sx={{ fontFamily: 'monospace' }} />
+                    </TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{e.source}</TableCell>
+                    <TableCell>
+                      <Box component="code" sx={{ fontSize: 12, wordBreak: 'break-all' }}>
+                        {formatPayload(e.payload)}
+                      </Box>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+    </Section>
+  );
+}
@@ -0,0 +1,65 @@
+import { useSyncExternalStore } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { Alert, Box, Button, Paper, Stack, Typography } from '@mui/material';
+import FallbackLoginForm from '../components/FallbackLoginForm.jsx';
+import RemotePanel from '../components/RemotePanel.jsx';
+import { getAuthProvider, login } from '../auth/auth.js';
+import { LOCAL_ACCOUNTS, LOCAL_PASSWORD } from '../auth/localAuthProvider.js';
+import { useAuth } from '../hooks/useAuth.js';
+import { getCrashState, subscribeCrashes } from '../remotes/crashes.js';
+import { REMOTE_PANELS } from '../remotes/panels.js';
+
+const LOGIN_PANEL = REMOTE_PANELS.find((p) => p.id === 'auth.login');
+
+// `/login`: the auth remote's login form, wired to the shell's auth provider; the shell's own form
+// takes over while that remote is crashed (failed to load or threw).
+export default function LoginPage() {
+  const { status, user, pending, error } = useAuth();
+  const location = useLocation();
+  const { crashed } = useSyncExternalStore(subscribeCrashes, getCrashState);
+
+  if (user) return <Navigate to={location.state?.from ?? '/'} replace />;
+
+  const provider = getAuthProvider();
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default', py: 8, px: 2 }}>
+      <Stack spacing={3} sx={{ maxWidth: 560, mx: 'auto' }}>
+        <Typography variant="h4" sx={{ fontWeight: 950, letterSpacing: '-0.02em', textAlign: 'center' }}>
+          ShopHub Admin
+        </Typography>
+        {error ? <Alert severity="error">{error}</Alert> : null}
+        {status === 'initializing' ? null : (
+          <RemotePanel panel={LOGIN_PANEL} host={{ currentUser: null, login, authPending: pending }} basePath="/login" />
+        )}
+        {status !== 'initializing' && crashed.includes(LOGIN_PANEL.remote.remoteName) ? (
+          <FallbackLoginForm login={login} pending={pending} />
+        ) : null}
+
+        {provider?.id === 'local' ? (
+          <Paper elevation={0} sx={{ p: 2.5, borderRadius: 3, border: '1px dashed', borderColor: 'divider', bgcolor: 'background.paper' }}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 800 }}>
+              Local development accounts
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+              Signed in by the local stand-in provider; the password for every account is{' '}
+              <Box component="code">{LOCAL_PASSWORD}</Box>.
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ flexWrap: 'wrap' }}>
+              {LOCAL_ACCOUNTS.map((account) => (
+                <Button
+                  key={account.email}
+                  size="small"
+                  variant="outlined"
+                  disabled={pending}
+                  onClick={() => login({ email: account.email, password: LOCAL_PASSWORD })}
+                >
+                  {account.role}
+                </Button>
+              ))}
+            </Stack>
+          </Paper>
+        ) : null}
+      </Stack>
+    </Box>
+  );
+}
@@ -0,0 +1,272 @@
+import { useMemo, useState, useSyncExternalStore } from 'react';
+import {
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  Paper,
+  Slider,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import DeleteSweepIcon from '@mui/icons-material/DeleteSweep';
+import EditOutlinedIcon from '@mui/icons-material/EditOutlined';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import SaveAltIcon from '@mui/icons-material/SaveAlt';
+import MockHandlerDialog from '../components/MockHandlerDialog.jsx';
+import Section from '../components/Section.jsx';
+import {
+  clearRecordedResponses,
+  getMockApiState,
+  promoteRecordedResponse,
+  removeMockHandler,
+  saveMockHandler,
+  setMockApiConfig,
+  subscribeMockApi,
+  toggleMockHandler,
+} from '../api/mockApi.js';
+import { clearRequestLog, getRequestLog, subscribeRequestLog } from '../api/requestLog.js';
+import { downloadJson } from '../utils/download.js';
+
+function statusColor(entry) {
+  if (entry.status === null) return entry.error ? 'error' : 'default';
+  if (entry.status >= 500) return 'error';
+  if (entry.status >= 400) return 'warning';
+  return 'success';
+}
+
+function MockApiSection() {
+  const mock = useSyncExternalStore(subscribeMockApi, getMockApiState);
+  const [editing, setEditing] = useState(null);
+
+  return (
+    <Section
+      title="Mock API"
+      actions={
+        <Button size="small" startIcon={<AddIcon />} onClick={() => setEditing({ handler: null })}>
+          Add handler
+        </Button>
+      }
+    >
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={3} sx={{ mb: 2, alignItems: { md: 'center' } }}>
+        <FormControlLabel
+          control={<Switch checked={mock.enabled} onChange={(e) => setMockApiConfig({ enabled: e.target.checked })} />}
+          label={mock.enabled ? 'Mocking on' : 'Mocking off'}
+        />
+        <TextField
+          size="small"
+          type="number"
+          label="Latency (ms)"
+          value={mock.latencyMs}
+          onChange={(e) => setMockApiConfig({ latencyMs: Math.max(0, Number(e.target.value) || 0) })}
+          sx={{ width: 140 }}
+        />
+        <Box sx={{ minWidth: 220 }}>
+          <Typography variant="caption" color="text.secondary">
+            Error rate: {Math.round(mock.errorRate * 100)}%
+          </Typography>
+          <Slider
+            size="small"
+            min={0}
+            max={100}
+            step={5}
+            value={Math.round(mock.errorRate * 100)}
+            onChange={(_e, v) => setMockApiConfig({ errorRate: v / 100 })}
+          />
+        </Box>
+        <FormControlLabel
+          control={<Switch checked={mock.recordResponses} onChange={(e) => setMockApiConfig({ recordResponses: e.target.checked })} />}
+          label="Record real responses"
+        />
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        While mocking is on, latency and errors are injected into every request; requests matching a handler never reach the network.
+      </Typography>
+
+      {mock.handlers.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No handlers yet. Add one, or record real responses and save them as handlers.
+        </Typography>
+      ) : (
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>On</TableCell>
+                <TableCell>Method</TableCell>
+                <TableCell>Path</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Delay</TableCell>
+                <TableCell align="right" />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {mock.handlers.map((h) => (
+                <TableRow key={h.id}>
+                  <TableCell padding="checkbox">
+                    <Switch size="small" checked={h.enabled} onChange={() => toggleMockHandler(h.id)} />
+                  </TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{h.method}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{h.path}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{h.status}</TableCell>
+                  <TableCell sx={{ fontFamily: 'monospace' }}>{h.delayMs ? `${h.delayMs} ms` : '—'}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => setEditing({ handler: h })}>
+                        <EditOutlinedIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" onClick={() => removeMockHandler(h.id)}>
+                        <DeleteOutlineIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Paper>
+      )}
+
+      {mock.recorded.length ? (
+        <>
+          <Stack direction="row" sx={{ mt: 3, mb: 1, alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 800 }}>
+              Recorded responses
+            </Typography>
+            <Button size="small" startIcon={<DeleteSweepIcon />} onClick={clearRecordedResponses}>
+              Clear
+            </Button>
+          </Stack>
+          <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+            <TableContainer sx={{ maxHeight: 280 }}>
+              <Table size="small" stickyHeader>
+                <TableBody>
+                  {mock.recorded.map((r) => (
+                    <TableRow key={r.id}>
+                      <TableCell sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}>{new Date(r.at).toLocaleTimeString()}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{r.method}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{r.path}</TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace' }}>{r.status}</TableCell>
+                      <TableCell align="right">
+                        <Button size="small" startIcon={<SaveAltIcon />} onClick={() => promoteRecordedResponse(r.id)}>
+                          Save as handler
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        </>
+      ) : null}
+
+      <MockHandlerDialog open={Boolean(editing)} handler={editing?.handler ?? null} onClose={() => setEditing(null)} onSave={saveMockHandler} />
+    </Section>
+  );
+}
+
+function RequestsSection() {
+  const log = useSyncExternalStore(subscribeRequestLog, getRequestLog);
+  const [query, setQuery] = useState('');
+  const [source, setSource] = useState('all');
+
+  const sources = useMemo(() => [...new Set(log.map((e) => e.source))].sort(), [log]);
+  const requests = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return log.filter((e) => (source === 'all' || e.source === source) && (!q || e.url.toLowerCase().includes(q)));
+  }, [log, query, source]);
+
+  return (
+    <Section title="Requests">
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} sx={{ mb: 2, alignItems: { md: 'center' } }}>
+        <TextField size="small" label="Filter URL" value={query} onChange={(e) => setQuery(e.target.value)} sx={{ flexGrow: 1 }} />
+        <TextField select size="small" label="Remote" value={source} onChange={(e) => setSource(e.target.value)} sx={{ minWidth: 160 }}>
+          <MenuItem value="all">All remotes</MenuItem>
+          {sources.map((s) => (
+            <MenuItem key={s} value={s}>
+              {s}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button size="small" variant="outlined" startIcon={<FileDownloadIcon />} onClick={() => downloadJson('shophub-requests.json', requests)}>
+          Export
+        </Button>
+        <Button size="small" startIcon={<DeleteSweepIcon />} onClick={clearRequestLog}>
+          Clear
+        </Button>
+      </Stack>
+
+      {requests.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No requests yet. Remotes that use the shell&apos;s `http` client will show up here.
+        </Typography>
+      ) : (
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <TableContainer sx={{ maxHeight: '65vh' }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>Time</TableCell>
+                  <TableCell>Remote</TableCell>
+                  <TableCell>Method</TableCell>
+                  <TableCell>URL</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell align="right">Duration</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {requests.map((e) => (
+                  <TableRow key={e.id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}>{new Date(e.at).toLocaleTimeString()}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{e.source}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{e.method}</TableCell>
+                    <TableCell>
+                      <Box component="code" sx={{ fontSize: 12, wordBreak: 'break-all' }}>
+                        {e.url}
+                      </Box>
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title={e.error ?? ''}>
+                        <Chip size="small" color={statusColor(e)} label={e.status ?? (e.error ? 'failed' : 'pending')} />
+                      </Tooltip>
+                      {e.mocked ? <Chip size="small" variant="outlined" label={e.mocked === 'fault' ? 'fault' : 'mock'} sx={{ ml: 0.5 }} /> : null}
+                    </TableCell>
+                    <TableCell align="right" sx={{ fontFamily: 'monospace', whiteSpace: 'nowrap' }}>
+                      {e.durationMs === null ? '…' : `${e.durationMs} ms`}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+    </Section>
+  );
+}
+
+// Mock API configuration plus a live log of every request made through the shell's http client.
+export default function NetworkPage() {
+  return (
+    <Stack spacing={2}>
+      <MockApiSection />
+      <RequestsSection />
+    </Stack>
+  );
+}
@@ -0,0 +1,21 @@
+import { Link as RouterLink, useLocation } from 'react-router-dom';
+import { Button, Paper, Typography } from '@mui/material';
+import { useI18n } from '../hooks/useI18n.js';
+
+export default function NotFound() {
+  const location = useLocation();
+  const { t } = useI18n();
+  return (
+    <Paper elevation={0} sx={{ p: 4, borderRadius: 3, border: '1px solid', borderColor: 'divider', bgcolor: 'background.paper', textAlign: 'center' }}>
+      <Typography variant="h5" sx={{ fontWeight: 950, mb: 1 }}>
+        {t('notFound.title')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace', mb: 3 }}>
+        {location.pathname}
+      </Typography>
+      <Button component={RouterLink} to="/" variant="contained">
+        {t('notFound.back')}
+      </Button>
+    </Paper>
+  );
+}
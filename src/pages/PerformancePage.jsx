@@ -0,0 +1,244 @@
+import { useMemo, useState, useSyncExternalStore } from 'react';
+import {
+  Box,
+  Button,
+  Collapse,
+  IconButton,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import DeleteSweepIcon from '@mui/icons-material/DeleteSweep';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import Section from '../components/Section.jsx';
+import {
+  REMOTE_METRICS,
+  VITAL_METRICS,
+  clearMetricsHistory,
+  getMetricsState,
+  isOverBudget,
+  median,
+  resetBudgets,
+  setBudget,
+  subscribeMetrics,
+} from '../perf/metricsStore.js';
+import { REMOTE_MODULES } from '../remotes/registry.js';
+import { downloadJson } from '../utils/download.js';
+
+const HISTORY_ROWS = 10;
+
+function MetricValue({ metric, value, budgets }) {
+  if (typeof value !== 'number') {
+    return (
+      <Typography variant="body2" color="text.disabled" component="span">
+        —
+      </Typography>
+    );
+  }
+  const over = isOverBudget(budgets, metric.key, value);
+  return (
+    <Tooltip title={over ? `Over budget (${budgets[metric.key]}${metric.unit})` : ''}>
+      <Typography
+        variant="body2"
+        component="span"
+        sx={{ fontFamily: 'monospace', color: over ? 'error.main' : 'text.primary', fontWeight: over ? 800 : 400 }}
+      >
+        {value}
+        {metric.unit}
+      </Typography>
+    </Tooltip>
+  );
+}
+
+function RemoteRow({ remote, samples, budgets }) {
+  const [open, setOpen] = useState(false);
+  const [latest] = samples;
+  return (
+    <>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          <IconButton size="small" aria-label={open ? 'Hide history' : 'Show history'} disabled={!samples.length} onClick={() => setOpen(!open)}>
+            {open ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+          </IconButton>
+        </TableCell>
+        <TableCell sx={{ fontFamily: 'monospace', fontWeight: 700 }}>{remote}</TableCell>
+        {REMOTE_METRICS.map((m) => (
+          <TableCell key={m.key} align="right">
+            <MetricValue metric={m} value={latest?.[m.key]} budgets={budgets} />
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', fontFamily: 'monospace' }}>
+              {samples.length > 1 ? `median ${median(samples.map((s) => s[m.key])) ?? '—'}` : ''}
+            </Typography>
+          </TableCell>
+        ))}
+        <TableCell align="right" sx={{ fontFamily: 'monospace' }}>
+          {samples.length}
+        </TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell colSpan={REMOTE_METRICS.length + 3} sx={{ py: 0, borderBottom: open ? undefined : 'none' }}>
+          <Collapse in={open} unmountOnExit>
+            <Table size="small" sx={{ my: 1 }}>
+              <TableBody>
+                {samples.slice(0, HISTORY_ROWS).map((s) => (
+                  <TableRow key={s.id}>
+                    <TableCell sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}>{new Date(s.at).toLocaleString()}</TableCell>
+                    {REMOTE_METRICS.map((m) => (
+                      <TableCell key={m.key} align="right">
+                        <MetricValue metric={m} value={s[m.key]} budgets={budgets} />
+                      </TableCell>
+                    ))}
+                    <TableCell sx={{ fontFamily: 'monospace', fontSize: 12, wordBreak: 'break-all' }}>
+                      {s.entryCached ? 'container reused · ' : ''}
+                      {s.chunkCount} chunk(s) · {s.commitCount} commit(s)
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </>
+  );
+}
+
+function BudgetFields({ metrics, budgets }) {
+  return metrics.map((m) => (
+    <TextField
+      key={m.key}
+      size="small"
+      type="number"
+      label={`${m.label}${m.unit ? ` (${m.unit})` : ''}`}
+      value={budgets[m.key] ?? ''}
+      onChange={(e) => setBudget(m.key, e.target.value === '' ? null : Number(e.target.value))}
+      sx={{ width: 150 }}
+    />
+  ));
+}
+
+// Per-remote load metrics, page Web Vitals and budgets, with history across sessions.
+export default function PerformancePage() {
+  const { samples, vitals, budgets } = useSyncExternalStore(subscribeMetrics, getMetricsState);
+
+  const byRemote = useMemo(() => {
+    const names = [...new Set([...Object.keys(REMOTE_MODULES), ...samples.map((s) => s.remote)])];
+    return names.map((remote) => ({ remote, samples: samples.filter((s) => s.remote === remote) }));
+  }, [samples]);
+
+  return (
+    <Stack spacing={2}>
+      <Section
+        title="Remote loads"
+        actions={
+          <>
+            <Button size="small" startIcon={<FileDownloadIcon />} onClick={() => downloadJson('shophub-performance.json', { samples, vitals, budgets })}>
+              Export
+            </Button>
+            <Button size="small" startIcon={<DeleteSweepIcon />} onClick={clearMetricsHistory}>
+              Clear history
+            </Button>
+          </>
+        }
+      >
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          One sample per remote load (latest shown, median of the history below it). Chunk sizes need `Timing-Allow-Origin` on
+          cross-origin remotes; commit times are only reported by development and profiling builds of React.
+        </Typography>
+        <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell padding="checkbox" />
+                  <TableCell>Remote</TableCell>
+                  {REMOTE_METRICS.map((m) => (
+                    <TableCell key={m.key} align="right">
+                      {m.label}
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">Samples</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {byRemote.map(({ remote, samples: remoteSamples }) => (
+                  <RemoteRow key={remote} remote={remote} samples={remoteSamples} budgets={budgets} />
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      </Section>
+
+      <Section title="Web Vitals">
+        {vitals.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No Web Vitals recorded yet (this browser may not support the needed performance entries).
+          </Typography>
+        ) : (
+          <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+            <TableContainer sx={{ maxHeight: 360 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Page load</TableCell>
+                    {VITAL_METRICS.map((m) => (
+                      <TableCell key={m.key} align="right">
+                        {m.label}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {vitals.map((v, i) => (
+                    <TableRow key={v.id}>
+                      <TableCell sx={{ whiteSpace: 'nowrap', fontFamily: 'monospace' }}>
+                        {new Date(v.at).toLocaleString()} {i === 0 ? '(current)' : ''}
+                        <Box component="span" sx={{ color: 'text.secondary', ml: 1 }}>
+                          {v.path}
+                        </Box>
+                      </TableCell>
+                      {VITAL_METRICS.map((m) => (
+                        <TableCell key={m.key} align="right">
+                          <MetricValue metric={m} value={v[m.key]} budgets={budgets} />
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </Paper>
+        )}
+      </Section>
+
+      <Section
+        title="Budgets"
+        actions={
+          <Button size="small" startIcon={<RestartAltIcon />} onClick={resetBudgets}>
+            Reset
+          </Button>
+        }
+      >
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Values above a budget are highlighted as regressions. Leave a field empty to disable its budget.
+        </Typography>
+        {[REMOTE_METRICS, VITAL_METRICS].map((metrics, i) => (
+          <Stack key={i} direction="row" spacing={2} useFlexGap sx={{ flexWrap: 'wrap', mb: 2 }}>
+            <BudgetFields metrics={metrics} budgets={budgets} />
+          </Stack>
+        ))}
+      </Section>
+    </Stack>
+  );
+}
@@ -0,0 +1,9 @@
+import { useOutletContext } from 'react-router-dom';
+import RemotePanel from '../components/RemotePanel.jsx';
+
+// Full-page route for one remote (`/<path>/*`).
+// Reason: the splat lets remotes with their own sub-routes render descendant `<Routes>`.
+export default function RemotePage({ panel }) {
+  const host = useOutletContext();
+  return <RemotePanel panel={panel} host={host} basePath={`/${panel.path}`} />;
+}
@@ -0,0 +1,217 @@
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Replayer } from 'rrweb';
+import 'rrweb/dist/style.css';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Stack,
+  Switch,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import PauseIcon from '@mui/icons-material/Pause';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import ReplayIcon from '@mui/icons-material/Replay';
+import Section from '../components/Section.jsx';
+import {
+  CRASH_CLIP_MS,
+  ROLLING_WINDOW_MS,
+  deleteRecording,
+  getRecordingState,
+  listRecordings,
+  loadRecordingEvents,
+  startRecording,
+  stopRecording,
+  subscribeRecording,
+} from '../recording/sessionRecorder.js';
+import { downloadJson } from '../utils/download.js';
+
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function Player({ events }) {
+  const containerRef = useRef(null);
+  const replayerRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => {
+    const replayer = new Replayer(events, { root: containerRef.current, mouseTail: false });
+    replayerRef.current = replayer;
+    replayer.on('finish', () => setPlaying(false));
+    replayer.play();
+    setPlaying(true);
+    return () => {
+      replayer.destroy();
+      replayerRef.current = null;
+    };
+  }, [events]);
+
+  const toggle = () => {
+    const replayer = replayerRef.current;
+    if (!replayer) return;
+    if (playing) {
+      replayer.pause();
+      setPlaying(false);
+    } else {
+      replayer.play(replayer.getCurrentTime());
+      setPlaying(true);
+    }
+  };
+
+  const restart = () => {
+    replayerRef.current?.play(0);
+    setPlaying(true);
+  };
+
+  return (
+    <Box>
+      <Stack direction="row" spacing={1} sx={{ mb: 1 }}>
+        <Button size="small" variant="outlined" startIcon={playing ? <PauseIcon /> : <PlayArrowIcon />} onClick={toggle}>
+          {playing ? 'Pause' : 'Play'}
+        </Button>
+        <Button size="small" startIcon={<ReplayIcon />} onClick={restart}>
+          Restart
+        </Button>
+      </Stack>
+      {/* Reason: the replayed page renders at its recorded size; scroll rather than squash it. */}
+      <Box ref={containerRef} sx={{ overflow: 'auto', border: '1px solid', borderColor: 'divider', borderRadius: 2, bgcolor: 'white', maxHeight: '70vh' }} />
+    </Box>
+  );
+}
+
+// Session recording controls + saved session list + replay viewer.
+export default function ReplaysPage() {
+  const { recording, sessionId } = useSyncExternalStore(subscribeRecording, getRecordingState);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [sessions, setSessions] = useState([]);
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+  const selectedId = searchParams.get('session');
+
+  const refresh = useCallback(async () => {
+    try {
+      setSessions(await listRecordings());
+    } catch (e) {
+      setError(String(e?.message ?? e));
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, recording]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setEvents(null);
+      return;
+    }
+    let cancelled = false;
+    loadRecordingEvents(selectedId)
+      .then((loaded) => {
+        if (!cancelled) setEvents(loaded);
+      })
+      .catch((e) => setError(String(e?.message ?? e)));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId]);
+
+  const select = (id) => setSearchParams(id ? { session: id } : {});
+
+  const remove = async (id) => {
+    await deleteRecording(id);
+    if (id === selectedId) select(null);
+    refresh();
+  };
+
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: '360px minmax(0, 1fr)' }, gap: 3 }}>
+      <Section title="Recordings">
+        <FormControlLabel
+          control={<Switch checked={recording} onChange={(e) => (e.target.checked ? startRecording() : stopRecording())} />}
+          label={recording ? 'Recording this tab' : 'Recording off'}
+        />
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+          Inputs are masked. The last {ROLLING_WINDOW_MS / 60000} minutes are kept per session, and the last{' '}
+          {CRASH_CLIP_MS / 1000} seconds are saved whenever a remote crashes.
+        </Typography>
+        {error ? (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            {error}
+          </Alert>
+        ) : null}
+        {sessions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No recordings saved.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {sessions.map((s) => (
+              <ListItemButton key={s.id} selected={s.id === selectedId} onClick={() => select(s.id)} sx={{ borderRadius: 2 }}>
+                <ListItemText
+                  primary={
+                    <Stack component="span" direction="row" spacing={1} sx={{ alignItems: 'center' }}>
+                      <Chip component="span" size="small" color={s.kind === 'crash' ? 'error' : 'default'} label={s.kind} />
+                      <span>{new Date(s.startedAt).toLocaleString()}</span>
+                    </Stack>
+                  }
+                  secondary={`${s.remote ? `${s.remote} · ` : ''}${formatDuration((s.endedAt ?? s.startedAt) - s.startedAt)} · ${s.eventCount} events${s.error ? ` · ${s.error}` : ''}`}
+                />
+                <Tooltip title={s.id === sessionId ? 'Stop recording to delete' : 'Delete'}>
+                  <span>
+                    <IconButton
+                      size="small"
+                      aria-label="Delete recording"
+                      disabled={s.id === sessionId}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        remove(s.id);
+                      }}
+                    >
+                      <DeleteOutlineIcon fontSize="small" />
+                    </IconButton>
+                  </span>
+                </Tooltip>
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+      </Section>
+
+      <Section
+        title="Replay"
+        actions={
+          events?.length ? (
+            <Button size="small" startIcon={<FileDownloadIcon />} onClick={() => downloadJson(`${selectedId}.rrweb.json`, events)}>
+              Download
+            </Button>
+          ) : null
+        }
+      >
+        {!selectedId ? (
+          <Typography variant="body2" color="text.secondary">
+            Pick a recording to play it back.
+          </Typography>
+        ) : events && events.length < 2 ? (
+          <Typography variant="body2" color="text.secondary">
+            This recording has no replayable snapshot yet.
+          </Typography>
+        ) : events ? (
+          <Player key={selectedId} events={events} />
+        ) : null}
+      </Section>
+    </Box>
+  );
+}
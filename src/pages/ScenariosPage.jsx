@@ -0,0 +1,135 @@
+import { useRef, useState } from 'react';
+import { Box, Button, Chip, Paper, Stack, Typography } from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import PlayArrowIcon from '@mui/icons-material/PlayArrow';
+import Section from '../components/Section.jsx';
+import {
+  BUILT_IN_SCENARIOS,
+  applyScenario,
+  captureCurrentScenario,
+  loadImportedScenarios,
+  parseScenario,
+  saveImportedScenarios,
+  toScenarioFile,
+} from '../scenarios/scenarios.js';
+import { notify } from '../store/notificationStore.js';
+import { downloadJson } from '../utils/download.js';
+
+function fileNameFor(name) {
+  return `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'scenario'}.scenario.json`;
+}
+
+function describePersona(persona) {
+  if (!persona) return 'current persona';
+  return typeof persona === 'string' ? persona : persona.label;
+}
+
+function ScenarioCard({ scenario, onDelete }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2, borderRadius: 2, display: 'flex', flexDirection: 'column', gap: 1 }}>
+      <Stack direction="row" spacing={1} sx={{ alignItems: 'center' }}>
+        <Typography variant="subtitle2" sx={{ fontWeight: 800, flexGrow: 1 }}>
+          {scenario.name}
+        </Typography>
+        {scenario.imported ? <Chip size="small" variant="outlined" label="imported" /> : null}
+      </Stack>
+      {scenario.description ? (
+        <Typography variant="body2" color="text.secondary">
+          {scenario.description}
+        </Typography>
+      ) : null}
+      <Typography variant="caption" color="text.secondary" sx={{ fontFamily: 'monospace' }}>
+        cart: {scenario.cartItems.length} · wishlist: {scenario.wishlistItems.length} · persona: {describePersona(scenario.persona)}
+      </Typography>
+      <Stack direction="row" spacing={1} sx={{ mt: 'auto' }}>
+        <Button
+          size="small"
+          variant="contained"
+          startIcon={<PlayArrowIcon />}
+          onClick={() => applyScenario(scenario)}
+        >
+          Load
+        </Button>
+        <Button size="small" startIcon={<FileDownloadIcon />} onClick={() => downloadJson(fileNameFor(scenario.name), toScenarioFile(scenario))}>
+          Export
+        </Button>
+        {onDelete ? (
+          <Button size="small" color="error" startIcon={<DeleteOutlineIcon />} onClick={onDelete}>
+            Delete
+          </Button>
+        ) : null}
+      </Stack>
+    </Paper>
+  );
+}
+
+// Built-in and imported scenarios; loading one seeds the host store and the persona.
+export default function ScenariosPage() {
+  const [imported, setImported] = useState(loadImportedScenarios);
+  const fileInputRef = useRef(null);
+
+  const updateImported = (next) => {
+    setImported(next);
+    saveImportedScenarios(next);
+  };
+
+  const importFiles = async (files) => {
+    const added = [];
+    for (const file of files) {
+      try {
+        added.push(parseScenario(JSON.parse(await file.text())));
+      } catch (e) {
+        notify({ message: `${file.name}: ${e?.message ?? e}`, severity: 'error', source: 'scenarios' });
+      }
+    }
+    if (added.length) {
+      updateImported([...imported, ...added]);
+      notify({ message: `Imported ${added.length} scenario(s)`, severity: 'success', source: 'scenarios' });
+    }
+  };
+
+  return (
+    <Section
+      title="Scenarios"
+      actions={
+        <>
+          <Button size="small" startIcon={<FileUploadIcon />} onClick={() => fileInputRef.current?.click()}>
+            Import
+          </Button>
+          <Button size="small" startIcon={<FileDownloadIcon />} onClick={() => downloadJson('current-state.scenario.json', captureCurrentScenario())}>
+            Export current state
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            multiple
+            hidden
+            onChange={(e) => {
+              importFiles([...e.target.files]);
+              e.target.value = '';
+            }}
+          />
+        </>
+      }
+    >
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Loading a scenario replaces the cart and wishlist (undoable from the notification) and switches the persona.
+      </Typography>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', md: 'repeat(2, minmax(0, 1fr))', xl: 'repeat(3, minmax(0, 1fr))' }, gap: 2 }}>
+        {BUILT_IN_SCENARIOS.map((scenario) => (
+          <ScenarioCard key={scenario.id} scenario={scenario} />
+        ))}
+        {imported.map((scenario) => (
+          <ScenarioCard
+            key={scenario.id}
+            scenario={scenario}
+            onDelete={() => updateImported(imported.filter((s) => s.id !== scenario.id))}
+          />
+        ))}
+      </Box>
+    </Section>
+  );
+}
@@ -0,0 +1,266 @@
+import { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  Paper,
+  Stack,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from '@mui/material';
+import DeleteSweepIcon from '@mui/icons-material/DeleteSweep';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import Section from '../components/Section.jsx';
+import { useSharedDeps } from '../hooks/useSharedDeps.js';
+import {
+  SHELL_BUILD,
+  clearShareMessages,
+  getDuplicateReactIssues,
+  getReactDomCopies,
+  getSharedDepsReport,
+  setSharedDepsMonitor,
+} from '../remotes/sharedDeps.js';
+import { downloadJson } from '../utils/download.js';
+
+const mono = { fontFamily: 'monospace' };
+
+function IssueList({ issues }) {
+  if (!issues.length) return <Chip size="small" color="success" variant="outlined" label="ok" />;
+  return (
+    <Stack spacing={0.5}>
+      {issues.map((issue) => (
+        <Typography key={issue.text} variant="caption" color={issue.severity === 'info' ? 'text.secondary' : `${issue.severity}.main`} sx={{ fontWeight: 700 }}>
+          {issue.text}
+        </Typography>
+      ))}
+    </Stack>
+  );
+}
+
+function PackagesTable({ report }) {
+  return (
+    <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Package</TableCell>
+              <TableCell>Shell shares</TableCell>
+              <TableCell>Chosen</TableCell>
+              <TableCell>Registered versions</TableCell>
+              <TableCell>Status</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.map(({ pkg, shell, versions, chosen, issues }) => (
+              <TableRow key={pkg} hover>
+                <TableCell sx={{ ...mono, fontWeight: 700 }}>{pkg}</TableCell>
+                <TableCell>
+                  {shell ? (
+                    <Stack direction="row" spacing={0.5} useFlexGap sx={{ alignItems: 'center', flexWrap: 'wrap' }}>
+                      <Typography variant="body2" sx={mono}>
+                        {shell.version} ({shell.requiredVersion})
+                      </Typography>
+                      {shell.singleton ? <Chip size="small" variant="outlined" label="singleton" /> : null}
+                      {shell.eager ? <Chip size="small" variant="outlined" label="eager" /> : null}
+                    </Stack>
+                  ) : (
+                    <Typography variant="body2" color="text.secondary">
+                      not shared by the shell
+                    </Typography>
+                  )}
+                </TableCell>
+                <TableCell sx={mono}>{chosen.length ? chosen.map((v) => `${v.version} (${v.build})`).join(', ') : '—'}</TableCell>
+                <TableCell>
+                  <Stack direction="row" spacing={0.5} useFlexGap sx={{ flexWrap: 'wrap' }}>
+                    {versions.map((v) => (
+                      <Chip
+                        key={v.version}
+                        size="small"
+                        variant={v.loaded ? 'filled' : 'outlined'}
+                        color={v.loaded ? 'primary' : 'default'}
+                        label={`${v.version} · ${v.build}`}
+                        sx={mono}
+                      />
+                    ))}
+                  </Stack>
+                </TableCell>
+                <TableCell>
+                  <IssueList issues={issues} />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
+
+// One row per (build, package): the version the build bundles, the range it asked for when webpack
+// reported one, and what it actually got.
+function BuildsTable({ report, state }) {
+  const builds = [SHELL_BUILD, ...new Set(state.containers.map((c) => c.remote))];
+  const rows = builds.flatMap((build) =>
+    report.map(({ pkg, shell, versions, chosen }) => {
+      const provided = versions.filter((v) => v.build === build).map((v) => v.version);
+      const messages = state.messages.filter((m) => m.remote === build && m.pkg === pkg);
+      const required = build === SHELL_BUILD ? (shell?.requiredVersion ?? null) : (messages[0]?.required ?? null);
+      return { build, pkg, provided, required, chosen, conflict: messages.length > 0 };
+    }),
+  );
+
+  return (
+    <Paper variant="outlined" sx={{ borderRadius: 2 }}>
+      <TableContainer sx={{ maxHeight: 480 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>Build</TableCell>
+              <TableCell>Package</TableCell>
+              <TableCell>Provides</TableCell>
+              <TableCell>Requires</TableCell>
+              <TableCell>Uses</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={`${row.build}|${row.pkg}`} hover sx={row.conflict ? { bgcolor: 'action.hover' } : undefined}>
+                <TableCell sx={{ ...mono, fontWeight: 700 }}>{row.build}</TableCell>
+                <TableCell sx={mono}>{row.pkg}</TableCell>
+                <TableCell sx={mono}>{row.provided.join(', ') || '—'}</TableCell>
+                <TableCell sx={{ ...mono, color: row.conflict ? 'error.main' : 'text.primary', fontWeight: row.conflict ? 800 : 400 }}>
+                  {row.required ?? '—'}
+                </TableCell>
+                <TableCell sx={mono}>{row.chosen.map((v) => v.version).join(', ') || '—'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
+
+// Module Federation shared dependencies: versions per build, the version each one got, singleton
+// violations and duplicate React copies.
+export default function SharedDepsPage() {
+  const state = useSharedDeps();
+  // Reason: `loaded` flags in the share scope flip without any event, so the report is re-read on every
+  // render and "Refresh" just re-renders.
+  const [, setRevision] = useState(0);
+  const report = getSharedDepsReport(state);
+  const reactIssues = getDuplicateReactIssues(state);
+  const reactDomCopies = getReactDomCopies(state);
+  const problems = report.filter((p) => p.issues.some((i) => i.severity !== 'info'));
+
+  return (
+    <Stack spacing={2}>
+      <Section
+        title="Shared dependencies"
+        actions={
+          <>
+            <Button size="small" startIcon={<RefreshIcon />} onClick={() => setRevision((r) => r + 1)}>
+              Refresh
+            </Button>
+            <Button
+              size="small"
+              startIcon={<FileDownloadIcon />}
+              onClick={() => downloadJson('shophub-shared-deps.json', { packages: report, reactIssues, renderers: state.renderers, messages: state.messages })}
+            >
+              Export
+            </Button>
+          </>
+        }
+      >
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Versions registered in the federation share scope by the shell and each loaded remote. Filled chips were
+          handed out. Requested ranges are only known when webpack reports a mismatch, so visit the remotes first.
+        </Typography>
+        <FormControlLabel
+          control={<Switch size="small" checked={state.monitoring} onChange={(e) => setSharedDepsMonitor(e.target.checked)} />}
+          label="Monitor this tab (catches webpack version warnings and, with React DevTools, renderers; reload to see the first load)"
+          sx={{ mb: 2 }}
+        />
+        <Stack spacing={1} sx={{ mb: 2 }}>
+          {reactIssues.map((issue) => (
+            <Alert key={issue} severity="error">
+              Duplicate React: {issue}
+            </Alert>
+          ))}
+          {problems.length ? (
+            <Alert severity="warning">Version conflicts in {problems.map((p) => p.pkg).join(', ')}.</Alert>
+          ) : (
+            <Alert severity="success">No singleton violations reported.</Alert>
+          )}
+        </Stack>
+        <PackagesTable report={report} />
+      </Section>
+
+      <Section title="By build">
+        <BuildsTable report={report} state={state} />
+      </Section>
+
+      <Section title="React renderers">
+        <Stack spacing={0.5} sx={{ mb: 1 }}>
+          {reactDomCopies.map((copy) => (
+            <Typography key={`${copy.version}|${copy.build}`} variant="body2" sx={mono}>
+              react-dom@{copy.version} · {copy.build} · {copy.loaded ? 'in use' : 'registered'}
+            </Typography>
+          ))}
+        </Stack>
+        {state.renderers.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {state.monitoring ? 'React DevTools reported no renderer yet.' : 'Renderers reported by React DevTools are shown while the monitor is on.'}
+          </Typography>
+        ) : (
+          <Stack spacing={0.5}>
+            {state.renderers.map((r) => (
+              <Typography key={r.id} variant="body2" sx={mono}>
+                {r.packageName}@{r.version} · {r.development ? 'development' : 'production'} · {r.remote}
+              </Typography>
+            ))}
+          </Stack>
+        )}
+      </Section>
+
+      <Section
+        title="Version warnings"
+        actions={
+          <Button size="small" startIcon={<DeleteSweepIcon />} disabled={!state.messages.length} onClick={clearShareMessages}>
+            Clear
+          </Button>
+        }
+      >
+        {state.messages.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            webpack has not reported any shared-module version mismatch.
+          </Typography>
+        ) : (
+          <Stack spacing={1}>
+            {state.messages.map((m) => (
+              <Box key={m.id} sx={{ p: 1.5, borderRadius: 2, bgcolor: 'action.hover' }}>
+                <Typography variant="caption" color="text.secondary" sx={mono}>
+                  {new Date(m.at).toLocaleTimeString()} · {m.remote}
+                  {m.fatal ? ' · load failed' : ''}
+                </Typography>
+                <Typography variant="body2" sx={{ ...mono, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                  {m.text}
+                </Typography>
+              </Box>
+            ))}
+          </Stack>
+        )}
+      </Section>
+    </Stack>
+  );
+}
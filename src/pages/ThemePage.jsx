@@ -0,0 +1,252 @@
+import { useRef } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  MenuItem,
+  Paper,
+  Slider,
+  Stack,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import FileUploadIcon from '@mui/icons-material/FileUpload';
+import RestartAltIcon from '@mui/icons-material/RestartAlt';
+import UndoIcon from '@mui/icons-material/Undo';
+import Section from '../components/Section.jsx';
+import { useThemeSettings } from '../hooks/useShellTheme.js';
+import { notify } from '../store/notificationStore.js';
+import { EDITABLE_COLORS } from '../theme/theme.js';
+import {
+  THEME_MODES,
+  exportThemeJson,
+  getThemeDefaults,
+  hasThemeOverrides,
+  importThemeJson,
+  resetThemeOverrides,
+  setBorderRadius,
+  setPaletteOverride,
+  setThemeMode,
+  setTypographyOverride,
+} from '../theme/themeStore.js';
+import { downloadJson } from '../utils/download.js';
+
+const SURFACE_COLORS = [
+  ['background', 'default', 'Background'],
+  ['background', 'paper', 'Paper'],
+  ['text', 'primary', 'Text'],
+  ['text', 'secondary', 'Secondary text'],
+];
+
+const FONT_FAMILIES = [
+  '"Inter", "Helvetica Neue", "Arial", sans-serif',
+  '"Roboto", "Helvetica", "Arial", sans-serif',
+  'Georgia, "Times New Roman", serif',
+  '"SFMono-Regular", Menlo, Consolas, monospace',
+];
+
+// Reason: `<input type="color">` only accepts `#rrggbb`.
+function toLongHex(value) {
+  return /^#[0-9a-f]{3}$/i.test(value) ? `#${[...value.slice(1)].map((c) => c + c).join('')}` : value;
+}
+
+function ColorField({ label, value, overridden, onChange, onReset }) {
+  return (
+    <Stack direction="row" spacing={0.5} sx={{ alignItems: 'center' }}>
+      <TextField
+        size="small"
+        type="color"
+        label={label}
+        value={toLongHex(value)}
+        onChange={(e) => onChange(e.target.value)}
+        sx={{ width: 150 }}
+        slotProps={{ inputLabel: { shrink: true } }}
+      />
+      <Tooltip title="Reset to the base theme">
+        <span>
+          <IconButton size="small" aria-label={`Reset ${label}`} disabled={!overridden} onClick={onReset}>
+            <UndoIcon fontSize="small" />
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Stack>
+  );
+}
+
+function ThemePreview() {
+  return (
+    <Stack spacing={2}>
+      <Stack direction="row" spacing={1} useFlexGap sx={{ flexWrap: 'wrap' }}>
+        <Button variant="contained">Primary</Button>
+        <Button variant="contained" color="secondary">
+          Secondary
+        </Button>
+        <Button variant="outlined">Outlined</Button>
+        <Button>Text</Button>
+      </Stack>
+      <Stack direction="row" spacing={1} useFlexGap sx={{ flexWrap: 'wrap' }}>
+        {['primary', 'secondary', 'success', 'error', 'warning', 'info'].map((c) => (
+          <Chip key={c} label={c} color={c} size="small" />
+        ))}
+      </Stack>
+      <Alert severity="info">Remotes render with these tokens as soon as they change.</Alert>
+      <Paper variant="outlined" sx={{ p: 2, borderRadius: 2 }}>
+        <Typography variant="h6">Product title</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Body copy on a paper surface, with secondary text.
+        </Typography>
+        <TextField size="small" label="Input" sx={{ mt: 2 }} />
+      </Paper>
+    </Stack>
+  );
+}
+
+// Live theme editor: changes apply to the shell and every mounted remote (they share the MUI theme),
+// and are saved for the signed-in admin. Exported JSON can be imported again or handed to design.
+export default function ThemePage() {
+  const { mode, overrides } = useThemeSettings();
+  const fileInputRef = useRef(null);
+  const defaults = getThemeDefaults(mode);
+  const modePalette = overrides.palette[mode] ?? {};
+  const typography = { ...defaults.typography, ...overrides.typography };
+  const borderRadius = overrides.shape.borderRadius ?? defaults.shape.borderRadius;
+
+  const importFile = async (file) => {
+    try {
+      const result = importThemeJson(JSON.parse(await file.text()));
+      if (!result.success) throw new Error(result.error);
+      notify({ message: `Imported theme from ${file.name}`, severity: 'success', source: 'theme' });
+    } catch (e) {
+      notify({ message: `${file.name}: ${e?.message ?? e}`, severity: 'error', source: 'theme' });
+    }
+  };
+
+  return (
+    <Stack spacing={2}>
+      <Section
+        title="Theme"
+        actions={
+          <>
+            <Button size="small" startIcon={<FileUploadIcon />} onClick={() => fileInputRef.current?.click()}>
+              Import
+            </Button>
+            <Button size="small" startIcon={<FileDownloadIcon />} onClick={() => downloadJson(`shophub-theme-${mode}.json`, exportThemeJson())}>
+              Export
+            </Button>
+            <Button size="small" startIcon={<RestartAltIcon />} disabled={!hasThemeOverrides()} onClick={resetThemeOverrides}>
+              Reset
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              hidden
+              onChange={(e) => {
+                if (e.target.files[0]) importFile(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </>
+        }
+      >
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Edits apply live to the shell and all mounted remotes and are saved for your account. Colors are kept per
+          mode; typography and corner radius apply to both. Remotes styled outside MUI can follow the `theme:changed` event.
+        </Typography>
+        <ToggleButtonGroup exclusive size="small" value={mode} onChange={(_, value) => value && setThemeMode(value)}>
+          {THEME_MODES.map((m) => (
+            <ToggleButton key={m} value={m} sx={{ textTransform: 'capitalize', px: 2 }}>
+              {m}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Section>
+
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', lg: 'minmax(0, 3fr) minmax(0, 2fr)' }, gap: 2, alignItems: 'start' }}>
+        <Stack spacing={2}>
+          <Section title="Palette">
+            <Stack direction="row" spacing={2} useFlexGap sx={{ flexWrap: 'wrap', mb: 2 }}>
+              {EDITABLE_COLORS.map((key) => (
+                <ColorField
+                  key={key}
+                  label={key}
+                  value={modePalette[key]?.main ?? defaults.palette[key].main}
+                  overridden={Boolean(modePalette[key])}
+                  onChange={(value) => setPaletteOverride(key, 'main', value)}
+                  onReset={() => setPaletteOverride(key, 'main', null)}
+                />
+              ))}
+            </Stack>
+            <Stack direction="row" spacing={2} useFlexGap sx={{ flexWrap: 'wrap' }}>
+              {SURFACE_COLORS.map(([key, shade, label]) => (
+                <ColorField
+                  key={`${key}.${shade}`}
+                  label={label}
+                  value={modePalette[key]?.[shade] ?? defaults.palette[key][shade]}
+                  overridden={modePalette[key]?.[shade] != null}
+                  onChange={(value) => setPaletteOverride(key, shade, value)}
+                  onReset={() => setPaletteOverride(key, shade, null)}
+                />
+              ))}
+            </Stack>
+          </Section>
+
+          <Section title="Typography & shape">
+            <Stack spacing={2}>
+              <TextField
+                select
+                size="small"
+                label="Font family"
+                value={FONT_FAMILIES.includes(typography.fontFamily) ? typography.fontFamily : ''}
+                onChange={(e) => setTypographyOverride('fontFamily', e.target.value === defaults.typography.fontFamily ? null : e.target.value)}
+                sx={{ maxWidth: 420 }}
+              >
+                {FONT_FAMILIES.map((f) => (
+                  <MenuItem key={f} value={f} sx={{ fontFamily: f }}>
+                    {f.split(',')[0].replaceAll('"', '')}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <Box sx={{ maxWidth: 420 }}>
+                <Typography variant="caption" color="text.secondary">
+                  Base font size: {typography.fontSize}px
+                </Typography>
+                <Slider
+                  size="small"
+                  min={10}
+                  max={20}
+                  step={1}
+                  value={typography.fontSize}
+                  onChange={(_, value) => setTypographyOverride('fontSize', value === defaults.typography.fontSize ? null : value)}
+                />
+              </Box>
+              <Box sx={{ maxWidth: 420 }}>
+                <Typography variant="caption" color="text.secondary">
+                  Corner radius (`shape.borderRadius`): {borderRadius}px
+                </Typography>
+                <Slider
+                  size="small"
+                  min={0}
+                  max={32}
+                  step={1}
+                  value={borderRadius}
+                  onChange={(_, value) => setBorderRadius(value === defaults.shape.borderRadius ? null : value)}
+                />
+              </Box>
+            </Stack>
+          </Section>
+        </Stack>
+
+        <Section title="Preview">
+          <ThemePreview />
+        </Section>
+      </Box>
+    </Stack>
+  );
+}
@@ -0,0 +1,32 @@
+import { SHELL_PERMISSIONS } from '../auth/permissions.js';
+import AuditPage from './AuditPage.jsx';
+import ChaosPage from './ChaosPage.jsx';
+import ComparePage from './ComparePage.jsx';
+import ContractsPage from './ContractsPage.jsx';
+import EventsPage from './EventsPage.jsx';
+import NetworkPage from './NetworkPage.jsx';
+import PerformancePage from './PerformancePage.jsx';
+import ReplaysPage from './ReplaysPage.jsx';
+import ScenariosPage from './ScenariosPage.jsx';
+import SharedDepsPage from './SharedDepsPage.jsx';
+import ThemePage from './ThemePage.jsx';
+
+// Admin tool pages (routes + "Tools" section of the navigation drawer).
+// `requires`: permissions the signed-in admin needs (see `auth/permissions.js`).
+export const TOOL_PAGES = [
+  { path: 'events', navLabel: 'Events', component: EventsPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'network', navLabel: 'Network', component: NetworkPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'performance', navLabel: 'Performance', component: PerformancePage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'audit', navLabel: 'Audit log', component: AuditPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'replays', navLabel: 'Replays', component: ReplaysPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'compare', navLabel: 'Compare', component: ComparePage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'shared-deps', navLabel: 'Shared deps', component: SharedDepsPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'contracts', navLabel: 'Contracts', component: ContractsPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'chaos', navLabel: 'Chaos', component: ChaosPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'scenarios', navLabel: 'Scenarios', component: ScenariosPage, requires: [SHELL_PERMISSIONS.TOOLS] },
+  { path: 'theme', navLabel: 'Theme', component: ThemePage, requires: [SHELL_PERMISSIONS.TOOLS] },
+];
+
+export function getToolPageByPath(path) {
+  return TOOL_PAGES.find((p) => p.path === path) ?? null;
+}
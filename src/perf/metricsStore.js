@@ -0,0 +1,120 @@
+// Performance metrics history (remote loads + page Web Vitals) and budgets.
+// Reason: the shell only showed a spinner, so slow remotes and regressions between deploys went unnoticed.
+//
+// - `samples`: one per remote load, see `remoteMetrics.js`.
+// - `vitals`: one per page session, see `webVitals.js`.
+// - `budgets`: per-metric thresholds; values over budget are highlighted as regressions.
+// Persisted in localStorage so history spans admin sessions.
+
+const STORAGE_KEY = 'shophub.admin.perf';
+const MAX_SAMPLES = 200;
+const MAX_VITALS = 50;
+const PERSIST_DELAY_MS = 1000;
+
+// Remote load metrics; `budget` is the default threshold.
+export const REMOTE_METRICS = [
+  { key: 'entryMs', label: 'remoteEntry.js', unit: 'ms', budget: 800 },
+  { key: 'chunkKb', label: 'Chunks', unit: 'KB', budget: 500 },
+  { key: 'importMs', label: 'Import', unit: 'ms', budget: 2000 },
+  { key: 'firstRenderMs', label: 'First render', unit: 'ms', budget: 150 },
+  { key: 'maxCommitMs', label: 'Max commit', unit: 'ms', budget: 16 },
+];
+
+// Page Web Vitals; budgets are the "good" thresholds from web.dev.
+export const VITAL_METRICS = [
+  { key: 'TTFB', label: 'TTFB', unit: 'ms', budget: 800 },
+  { key: 'FCP', label: 'FCP', unit: 'ms', budget: 1800 },
+  { key: 'LCP', label: 'LCP', unit: 'ms', budget: 2500 },
+  { key: 'CLS', label: 'CLS', unit: '', budget: 0.1 },
+  { key: 'INP', label: 'INP', unit: 'ms', budget: 200 },
+];
+
+const DEFAULT_BUDGETS = Object.fromEntries([...REMOTE_METRICS, ...VITAL_METRICS].map((m) => [m.key, m.budget]));
+
+const listeners = new Set();
+let persistTimer = null;
+
+function readPersisted() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return {
+      samples: Array.isArray(parsed?.samples) ? parsed.samples : [],
+      vitals: Array.isArray(parsed?.vitals) ? parsed.vitals : [],
+      budgets: { ...DEFAULT_BUDGETS, ...parsed?.budgets },
+    };
+  } catch {
+    return { samples: [], vitals: [], budgets: DEFAULT_BUDGETS };
+  }
+}
+
+let state = readPersisted();
+
+export function persistMetrics() {
+  window.clearTimeout(persistTimer);
+  persistTimer = null;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (e) {
+    console.error('[admin-host] Failed to persist performance metrics:', e);
+  }
+}
+
+// Reason: commit metrics update many times per second; writes to localStorage are batched.
+function setState(updater) {
+  const next = updater(state);
+  if (next === state) return;
+  state = next;
+  if (!persistTimer) persistTimer = window.setTimeout(persistMetrics, PERSIST_DELAY_MS);
+  for (const listener of listeners) listener();
+}
+
+export function getMetricsState() {
+  return state;
+}
+
+export function subscribeMetrics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function addSample(sample) {
+  setState((prev) => ({ ...prev, samples: [sample, ...prev.samples].slice(0, MAX_SAMPLES) }));
+}
+
+export function updateSample(id, updater) {
+  setState((prev) => {
+    const index = prev.samples.findIndex((s) => s.id === id);
+    if (index < 0) return prev;
+    const samples = [...prev.samples];
+    samples[index] = { ...samples[index], ...updater(samples[index]) };
+    return { ...prev, samples };
+  });
+}
+
+// Adds or replaces (by `id`) the Web Vitals of a page session.
+export function saveVitals(vitals) {
+  setState((prev) => ({ ...prev, vitals: [vitals, ...prev.vitals.filter((v) => v.id !== vitals.id)].slice(0, MAX_VITALS) }));
+}
+
+export function setBudget(key, value) {
+  setState((prev) => ({ ...prev, budgets: { ...prev.budgets, [key]: value } }));
+}
+
+export function resetBudgets() {
+  setState((prev) => ({ ...prev, budgets: DEFAULT_BUDGETS }));
+}
+
+export function clearMetricsHistory() {
+  setState((prev) => ({ ...prev, samples: [], vitals: [] }));
+}
+
+export function isOverBudget(budgets, key, value) {
+  return typeof value === 'number' && typeof budgets[key] === 'number' && value > budgets[key];
+}
+
+export function median(values) {
+  const sorted = values.filter((v) => typeof v === 'number').sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
@@ -0,0 +1,91 @@
+import { addSample, updateSample } from './metricsStore.js';
+import { getRemoteUrl } from '../remotes/registry.js';
+
+// Per-remote load/render instrumentation feeding `metricsStore.js`.
+//
+// A sample is started by `measureRemoteImport` (wrapped around the lazy import) and completed by
+// `markRemoteRendered` (first commit after `Suspense` resolves) and `recordRemoteCommit` (React Profiler).
+// Sizes come from Resource Timing; cross-origin remotes need `Timing-Allow-Origin` to report them.
+
+// Remote name -> `{ id, resolvedAt }` of the sample still waiting for its first render.
+const awaitingRender = new Map();
+// Remote name -> id of the latest sample (receives commit metrics).
+const latestSample = new Map();
+let nextId = 1;
+
+// Reason: the default Resource Timing buffer (250 entries) fills up quickly with remote chunks.
+performance.setResourceTimingBufferSize?.(1000);
+
+function round(value, digits = 0) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function resourceBytes(entry) {
+  return entry.transferSize || entry.encodedBodySize || 0;
+}
+
+function collectResources(url, since) {
+  const base = url.slice(0, url.lastIndexOf('/') + 1);
+  const resources = performance.getEntriesByType('resource');
+  const entry = resources.filter((r) => r.name === url).at(-1) ?? null;
+  const chunks = resources.filter((r) => r.name !== url && r.name.startsWith(base) && r.startTime >= since);
+  const chunkBytes = chunks.reduce((sum, r) => sum + resourceBytes(r), 0);
+  return {
+    entryMs: entry ? round(entry.duration) : null,
+    // Reason: a reused container means this import did not download `remoteEntry.js` again.
+    entryCached: entry ? entry.startTime < since : true,
+    chunkCount: chunks.length,
+    // Reason: 0 bytes for downloaded chunks means the sizes are hidden (cross-origin), not empty.
+    chunkKb: chunks.length && !chunkBytes ? null : round(chunkBytes / 1024, 1),
+  };
+}
+
+// Resolves like `load()`; records a sample once the remote module is available.
+export async function measureRemoteImport(remote, load, { url = null } = {}) {
+  const startedAt = performance.now();
+  const module = await load();
+  const resolvedAt = performance.now();
+  try {
+    const entryUrl = url ?? (await getRemoteUrl(remote));
+    const id = `perf-${Date.now().toString(36)}-${nextId++}`;
+    addSample({
+      id,
+      remote,
+      url: entryUrl,
+      at: Date.now(),
+      ...collectResources(entryUrl, startedAt),
+      importMs: round(resolvedAt - startedAt),
+      firstRenderMs: null,
+      commitCount: 0,
+      totalCommitMs: 0,
+      maxCommitMs: null,
+    });
+    awaitingRender.set(remote, { id, resolvedAt });
+    latestSample.set(remote, id);
+  } catch (e) {
+    // Reason: metrics are best-effort and must never fail the remote import itself.
+    console.error('[admin-host] Failed to record remote load metrics:', e);
+  }
+  return module;
+}
+
+// Called from the layout effect of a marker rendered next to the remote (same commit as its first render).
+export function markRemoteRendered(remote) {
+  const pending = awaitingRender.get(remote);
+  if (!pending) return;
+  awaitingRender.delete(remote);
+  updateSample(pending.id, () => ({ firstRenderMs: round(performance.now() - pending.resolvedAt) }));
+}
+
+// React Profiler `onRender` callback. Reason: Profiler timings are only reported by development
+// and profiling builds of React, so these stay empty in a plain production build.
+export function recordRemoteCommit(remote, actualDuration) {
+  const id = latestSample.get(remote);
+  if (!id) return;
+  updateSample(id, (s) => ({
+    commitCount: s.commitCount + 1,
+    totalCommitMs: round(s.totalCommitMs + actualDuration, 1),
+    maxCommitMs: round(Math.max(s.maxCommitMs ?? 0, actualDuration), 1),
+  }));
+}
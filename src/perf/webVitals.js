@@ -0,0 +1,55 @@
+import { persistMetrics, saveVitals } from './metricsStore.js';
+
+// Core Web Vitals of the shell page, collected with `PerformanceObserver` (no extra dependency).
+// Reason: remotes share the page with the shell, so their cost shows up in the page-level vitals too.
+//
+// Simplifications vs. the `web-vitals` library: CLS sums every shift without recent input,
+// and INP is the slowest interaction seen so far.
+
+let vitals = null;
+
+function update(patch) {
+  vitals = { ...vitals, ...patch };
+  saveVitals(vitals);
+}
+
+function observe(type, callback, options = {}) {
+  try {
+    const observer = new PerformanceObserver((list) => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+  } catch {
+    // Reason: unsupported entry types (e.g. Safari without `event` timing) simply stay empty.
+  }
+}
+
+export function initWebVitals() {
+  if (vitals || typeof PerformanceObserver !== 'function') return;
+  vitals = { id: `vitals-${Date.now().toString(36)}`, at: Date.now(), path: window.location.pathname };
+
+  const [navigation] = performance.getEntriesByType('navigation');
+  if (navigation) update({ TTFB: Math.round(navigation.responseStart) });
+
+  observe('paint', (entries) => {
+    const fcp = entries.find((e) => e.name === 'first-contentful-paint');
+    if (fcp) update({ FCP: Math.round(fcp.startTime) });
+  });
+  observe('largest-contentful-paint', (entries) => {
+    const last = entries.at(-1);
+    if (last) update({ LCP: Math.round(last.startTime) });
+  });
+  observe('layout-shift', (entries) => {
+    const shift = entries.filter((e) => !e.hadRecentInput).reduce((sum, e) => sum + e.value, 0);
+    if (shift) update({ CLS: Math.round(((vitals.CLS ?? 0) + shift) * 1000) / 1000 });
+  });
+  observe(
+    'event',
+    (entries) => {
+      const slowest = Math.max(0, ...entries.filter((e) => e.interactionId).map((e) => e.duration));
+      if (slowest > (vitals.INP ?? 0)) update({ INP: Math.round(slowest) });
+    },
+    { durationThreshold: 40 },
+  );
+
+  // Reason: the batched write could be lost when the tab closes.
+  window.addEventListener('pagehide', persistMetrics);
+}
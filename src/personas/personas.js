@@ -0,0 +1,71 @@
+import * as yup from 'yup';
+
+// Mock users ("personas") the shell passes to remotes as `currentUser`.
+// Reason: lets admins check how remotes behave for guests, customers or users missing a permission.
+
+export const KNOWN_PERMISSIONS = ['VIEW_WISHLIST_META', 'EDIT', 'VIEW_ORDERS', 'REFUND', 'MANAGE_USERS'];
+
+// `user: null` models a signed-out visitor.
+export const PRESET_PERSONAS = [
+  { id: 'guest', label: 'Guest', user: null },
+  {
+    id: 'customer',
+    label: 'Customer',
+    user: { name: 'Casey Customer', email: 'customer@shophub.dev', role: 'CUSTOMER', permissions: [] },
+  },
+  {
+    id: 'support',
+    label: 'Support',
+    user: { name: 'Sam Support', email: 'support@shophub.dev', role: 'SUPPORT', permissions: ['VIEW_WISHLIST_META', 'VIEW_ORDERS'] },
+  },
+  {
+    id: 'admin',
+    label: 'Admin',
+    user: { name: 'Admin', email: 'admin@shophub.dev', role: 'ADMIN', permissions: ['EDIT', 'VIEW_WISHLIST_META'] },
+  },
+];
+
+export const DEFAULT_PERSONA_ID = 'admin';
+
+export const personaSchema = yup.object({
+  label: yup.string().trim().required('Persona name is required').max(40),
+  name: yup.string().trim().required('User name is required').max(80),
+  email: yup.string().trim().required('Email is required').email('Enter a valid email'),
+  role: yup
+    .string()
+    .trim()
+    .required('Role is required')
+    .matches(/^[A-Z][A-Z0-9_]*$/, 'Use UPPER_SNAKE_CASE, e.g. CUSTOMER'),
+  permissions: yup
+    .array()
+    .of(yup.string().trim().matches(/^[A-Z][A-Z0-9_]*$/, 'Permissions use UPPER_SNAKE_CASE'))
+    .default([]),
+});
+
+// Minimal `react-hook-form` resolver for a yup schema.
+// Reason: avoids pulling in `@hookform/resolvers` for a single form.
+export function yupFormResolver(schema) {
+  return async (values) => {
+    try {
+      return { values: await schema.validate(values, { abortEarly: false }), errors: {} };
+    } catch (e) {
+      if (!(e instanceof yup.ValidationError)) throw e;
+      const errors = {};
+      for (const issue of e.inner.length ? e.inner : [e]) {
+        // Reason: `permissions[1]` errors are shown on the single permissions field.
+        const field = String(issue.path ?? '').replace(/\[\d+\]$/, '');
+        if (!errors[field]) errors[field] = { type: issue.type ?? 'validation', message: issue.message };
+      }
+      return { values: {}, errors };
+    }
+  };
+}
+
+export function toCustomPersona({ label, name, email, role, permissions }) {
+  return {
+    id: `custom:${Date.now().toString(36)}`,
+    label,
+    custom: true,
+    user: { name, email, role, permissions: [...new Set(permissions)] },
+  };
+}
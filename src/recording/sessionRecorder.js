@@ -0,0 +1,161 @@
+import { EventType, record } from 'rrweb';
+import { idbDelete, idbDeleteByIndex, idbGetAll, idbGetAllByIndex, idbPut } from '../utils/idb.js';
+
+// Optional rrweb session recording for admin sessions.
+// Reason: QA can hand over an exact reproduction of a remote failure instead of a description.
+//
+// - Events are flushed in chunks to IndexedDB; chunks older than `ROLLING_WINDOW_MS` are pruned.
+// - `saveCrashClip` stores the last `CRASH_CLIP_MS` as a separate "crash" session.
+// - Inputs are masked; the enabled flag is remembered in localStorage across reloads.
+
+const ENABLED_STORAGE_KEY = 'shophub.admin.recording';
+const FLUSH_INTERVAL_MS = 5000;
+// Reason: periodic full snapshots make any trimmed window replayable from its first `Meta` event.
+const CHECKOUT_EVERY_MS = 30 * 1000;
+const MAX_SESSIONS = 20;
+
+export const ROLLING_WINDOW_MS = 10 * 60 * 1000;
+export const CRASH_CLIP_MS = 30 * 1000;
+
+const listeners = new Set();
+let state = { recording: false, sessionId: null };
+let stopRecord = null;
+let flushTimer = null;
+let session = null;
+let pending = [];
+let recent = [];
+
+function setState(next) {
+  state = { ...state, ...next };
+  for (const listener of listeners) listener();
+}
+
+export function getRecordingState() {
+  return state;
+}
+
+export function subscribeRecording(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Trim to the last `Meta` event at or before `from`, so the replay starts with a full snapshot.
+function sliceReplayable(events, from = 0) {
+  let start = events.findIndex((e) => e.type === EventType.Meta);
+  if (start < 0) return [];
+  events.forEach((e, i) => {
+    if (e.type === EventType.Meta && e.timestamp <= from) start = i;
+  });
+  return events.slice(start);
+}
+
+async function pruneSessions() {
+  const sessions = (await idbGetAll('recordingSessions')).sort((a, b) => b.startedAt - a.startedAt);
+  for (const old of sessions.slice(MAX_SESSIONS)) await deleteRecording(old.id);
+}
+
+async function flush() {
+  if (!session || !pending.length) return;
+  const events = pending;
+  pending = [];
+  session = { ...session, eventCount: session.eventCount + events.length, endedAt: events[events.length - 1].timestamp };
+  const current = session;
+  try {
+    await idbPut('recordingChunks', { sessionId: current.id, at: events[0].timestamp, events });
+    await idbPut('recordingSessions', current);
+
+    const cutoff = Date.now() - ROLLING_WINDOW_MS;
+    const chunks = await idbGetAllByIndex('recordingChunks', 'sessionId', current.id);
+    for (const chunk of chunks) {
+      if (chunk.at < cutoff) await idbDelete('recordingChunks', chunk.id);
+    }
+  } catch (e) {
+    console.error('[admin-host] Failed to persist session recording:', e);
+  }
+}
+
+export function startRecording() {
+  if (stopRecord) return;
+  session = {
+    id: `rec-${Date.now().toString(36)}`,
+    kind: 'session',
+    startedAt: Date.now(),
+    endedAt: null,
+    eventCount: 0,
+    path: window.location.pathname,
+  };
+  pending = [];
+  recent = [];
+  stopRecord = record({
+    emit(event) {
+      pending.push(event);
+      recent.push(event);
+      const keepFrom = Date.now() - CRASH_CLIP_MS - CHECKOUT_EVERY_MS;
+      if (recent[0]?.timestamp < keepFrom) recent = recent.filter((e) => e.timestamp >= keepFrom);
+    },
+    maskAllInputs: true,
+    checkoutEveryNms: CHECKOUT_EVERY_MS,
+  });
+  flushTimer = window.setInterval(flush, FLUSH_INTERVAL_MS);
+  window.localStorage.setItem(ENABLED_STORAGE_KEY, '1');
+  setState({ recording: true, sessionId: session.id });
+  idbPut('recordingSessions', session)
+    .then(pruneSessions)
+    .catch((e) => console.error('[admin-host] Failed to start session recording:', e));
+}
+
+export async function stopRecording() {
+  if (!stopRecord) return;
+  stopRecord();
+  stopRecord = null;
+  window.clearInterval(flushTimer);
+  window.localStorage.removeItem(ENABLED_STORAGE_KEY);
+  await flush();
+  session = null;
+  recent = [];
+  setState({ recording: false, sessionId: null });
+}
+
+export function initSessionRecording() {
+  if (window.localStorage.getItem(ENABLED_STORAGE_KEY) === '1') startRecording();
+  window.addEventListener('pagehide', () => {
+    flush();
+  });
+}
+
+// Persist the last `CRASH_CLIP_MS` of the current recording; resolves to the clip id (or null).
+export async function saveCrashClip({ remote, error } = {}) {
+  if (!stopRecord) return null;
+  const events = sliceReplayable(recent, Date.now() - CRASH_CLIP_MS);
+  if (!events.length) return null;
+  const clip = {
+    id: `crash-${Date.now().toString(36)}`,
+    kind: 'crash',
+    startedAt: events[0].timestamp,
+    endedAt: events[events.length - 1].timestamp,
+    eventCount: events.length,
+    path: window.location.pathname,
+    remote: remote ?? null,
+    error: error ? String(error?.message ?? error) : null,
+    parentId: session?.id ?? null,
+  };
+  await idbPut('recordingChunks', { sessionId: clip.id, at: clip.startedAt, events });
+  await idbPut('recordingSessions', clip);
+  return clip.id;
+}
+
+export async function listRecordings() {
+  await flush();
+  return (await idbGetAll('recordingSessions')).sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function loadRecordingEvents(id) {
+  const chunks = await idbGetAllByIndex('recordingChunks', 'sessionId', id);
+  const events = chunks.sort((a, b) => a.at - b.at).flatMap((c) => c.events);
+  return sliceReplayable(events);
+}
+
+export async function deleteRecording(id) {
+  await idbDeleteByIndex('recordingChunks', 'sessionId', id);
+  await idbDelete('recordingSessions', id);
+}
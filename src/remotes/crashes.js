@@ -0,0 +1,34 @@
+// Remotes currently showing the crash screen of `RemoteErrorBoundary`, with their retry callbacks.
+// Reason: lets shell-wide actions (the command palette) retry every crashed remote at once.
+
+const listeners = new Set();
+const retries = new Map();
+let state = { crashed: [] };
+
+function update() {
+  state = { crashed: [...new Set([...retries.values()].map((r) => r.remoteName))] };
+  for (const listener of listeners) listener();
+}
+
+export function getCrashState() {
+  return state;
+}
+
+export function subscribeCrashes(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Returns a function to call once the boundary recovered or unmounted.
+export function reportCrash(remoteName, retry) {
+  const token = Symbol(remoteName);
+  retries.set(token, { remoteName, retry });
+  update();
+  return () => {
+    if (retries.delete(token)) update();
+  };
+}
+
+export function retryCrashedRemotes() {
+  for (const { retry } of [...retries.values()]) retry();
+}
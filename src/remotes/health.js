@@ -0,0 +1,99 @@
+import { getContainerStats, getRemoteContainer, loadFreshContainer, loadRemoteManifest } from './registry.js';
+import { getRemoteSharedVersion } from './sharedDeps.js';
+
+// Remote health probes for the admin status panel.
+// Reason: a failed `remoteEntry.js` fetch otherwise only shows up as a stuck spinner.
+
+export const PROBED_SHARED_PACKAGES = ['react', '@mui/material'];
+
+function describeError(e) {
+  return String(e?.message ?? e);
+}
+
+async function probeReachability(url) {
+  const startedAt = performance.now();
+  try {
+    const res = await fetch(url, { cache: 'no-store' });
+    return { reachable: res.ok, status: res.status, fetchMs: performance.now() - startedAt };
+  } catch (e) {
+    return { reachable: false, status: null, fetchMs: performance.now() - startedAt, error: describeError(e) };
+  }
+}
+
+// Optional contract: a remote may expose `./version` exporting its release version.
+async function readReleaseVersion(container, fallback) {
+  try {
+    const mod = (await container.get('./version'))();
+    const version = mod?.version ?? mod?.default?.version ?? mod?.default;
+    return typeof version === 'string' ? version : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Release version for diagnostics, without triggering a new load of a remote that failed.
+export async function getRemoteRelease(remote) {
+  if (!getContainerStats(remote.name, remote.url)) return remote.release ?? null;
+  try {
+    return await readReleaseVersion(await getRemoteContainer(remote.name, remote.url), remote.release ?? null);
+  } catch {
+    return remote.release ?? null;
+  }
+}
+
+// `fresh` (manual re-probe): load a new copy of the container, so a redeploy and its load time show up.
+export async function probeRemote(remote, { fresh = false } = {}) {
+  const result = {
+    name: remote.name,
+    url: remote.url,
+    source: remote.source,
+    reachable: false,
+    status: null,
+    fetchMs: null,
+    loadMs: null,
+    modules: [],
+    shared: {},
+    release: remote.release ?? null,
+    error: null,
+    probedAt: Date.now(),
+  };
+
+  Object.assign(result, await probeReachability(remote.url));
+  if (!result.reachable) {
+    result.error = result.error ?? `HTTP ${result.status}`;
+    return result;
+  }
+
+  let container;
+  try {
+    if (fresh) {
+      ({ container, loadMs: result.loadMs } = await loadFreshContainer(remote.name, remote.url));
+    } else {
+      container = await getRemoteContainer(remote.name, remote.url);
+      result.loadMs = getContainerStats(remote.name, remote.url)?.loadMs ?? null;
+    }
+  } catch (e) {
+    result.error = describeError(e);
+    return result;
+  }
+
+  result.modules = await Promise.all(
+    (remote.exposes ?? []).map(async (module) => {
+      try {
+        await container.get(module);
+        return { module, ok: true };
+      } catch (e) {
+        return { module, ok: false, error: describeError(e) };
+      }
+    }),
+  );
+  result.release = await readReleaseVersion(container, result.release);
+  for (const pkg of PROBED_SHARED_PACKAGES) result.shared[pkg] = getRemoteSharedVersion(remote.name, remote.url, pkg);
+  return result;
+}
+
+// `fresh`: also refetch the manifest (see `probeRemote`).
+export async function probeAllRemotes({ fresh = false } = {}) {
+  const remotes = await loadRemoteManifest({ fresh });
+  return Promise.all(Object.values(remotes).map((remote) => probeRemote(remote, { fresh })));
+}
@@ -0,0 +1,22 @@
+// Keys of mounted remote instances.
+// Reason: compare mode mounts one remote from two `remoteEntry.js` URLs at once; per-remote shell state
+// (faults, perf metrics, contract issues, palette commands, crash retries, ...) is keyed by instance so
+// the two builds never merge or collide.
+//
+// A remote from the manifest is keyed by its name; one pinned to a URL by `name@url` (the same form
+// as the `?remote=` override). Contracts and manifest entries are looked up by `getRemoteNameOf(key)`.
+
+export function getRemoteInstanceKey(name, url = null) {
+  return url ? `${name}@${url}` : name;
+}
+
+export function getRemoteNameOf(key) {
+  const at = key.indexOf('@');
+  return at < 0 ? key : key.slice(0, at);
+}
+
+// URL an instance is pinned to, or null for the manifest's.
+export function getRemoteUrlOf(key) {
+  const at = key.indexOf('@');
+  return at < 0 ? null : key.slice(at + 1);
+}
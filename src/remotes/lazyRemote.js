@@ -0,0 +1,29 @@
+import React from 'react';
+import { measureRemoteImport } from '../perf/remoteMetrics.js';
+import { getRemoteInstanceKey } from './instances.js';
+import { loadRemoteModule } from './registry.js';
+
+// `React.lazy` wrapper for a remote module that can be reloaded.
+// Reason: `React.lazy` caches a rejected import forever, so retrying a crashed remote needs a
+// fresh lazy instance (the registry already evicts failed `remoteEntry.js` loads).
+// `url` pins a specific `remoteEntry.js` instead of the manifest's (compare mode); such an instance is
+// keyed `name@url` (`instanceKey`, see `instances.js`).
+export function lazyRemote(name, exposedModule, { url = null } = {}) {
+  const instanceKey = getRemoteInstanceKey(name, url);
+  const createLazy = () =>
+    React.lazy(() => measureRemoteImport(instanceKey, () => loadRemoteModule(name, exposedModule, url), { url }));
+  let LazyComponent = createLazy();
+
+  function RemoteComponent(props) {
+    return React.createElement(LazyComponent, props);
+  }
+  RemoteComponent.displayName = `Remote(${name}/${exposedModule.replace(/^\.\//, '')})`;
+  RemoteComponent.remoteName = name;
+  RemoteComponent.instanceKey = instanceKey;
+  RemoteComponent.exposedModule = exposedModule;
+  RemoteComponent.url = url;
+  RemoteComponent.reload = () => {
+    LazyComponent = createLazy();
+  };
+  return RemoteComponent;
+}
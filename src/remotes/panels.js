@@ -0,0 +1,97 @@
+import { lazyRemote } from './lazyRemote.js';
+
+// Remote panels known to the admin shell.
+// Reason: one table drives the dashboard grid, the per-remote routes and the navigation drawer.
+// `getProps(host)` assembles each remote's contract from the host state (see `useHostState`);
+// `currentUser` is added for every remote by `RemotePanel`.
+// `requires`: permissions the signed-in admin needs to see the panel (see `auth/permissions.js`).
+
+// Reason: remotes resolve through the runtime manifest, not static `import('wishlist/Wishlist')`,
+// and can be reloaded by `RemoteErrorBoundary` after a crash.
+const RemoteWishlist = lazyRemote('wishlist', './Wishlist');
+const RemoteLogin = lazyRemote('auth', './Login');
+const RemoteProducts = lazyRemote('catalog', './Products');
+const RemoteCart = lazyRemote('checkout', './Cart');
+const RemoteAccount = lazyRemote('account', './Account');
+
+export const REMOTE_PANELS = [
+  {
+    id: 'auth.login',
+    path: 'auth',
+    navLabel: 'Auth',
+    label: 'Auth → Login',
+    remote: RemoteLogin,
+    requires: [],
+    // Reason: signs in through the shell's auth provider, exactly like the `/login` route.
+    getProps: (host) => ({ login: host.login, loading: host.authPending }),
+  },
+  {
+    id: 'catalog.products',
+    path: 'catalog',
+    navLabel: 'Catalog',
+    label: 'Catalog → Products',
+    remote: RemoteProducts,
+    requires: [],
+    getProps: (host) => ({
+      addToCart: host.addToCart,
+      showError: host.showError,
+      addToWishlist: host.addToWishlist,
+      isInWishlist: host.isInWishlist,
+    }),
+  },
+  {
+    id: 'checkout.cart',
+    path: 'checkout',
+    navLabel: 'Checkout',
+    label: 'Checkout → Cart',
+    remote: RemoteCart,
+    requires: ['VIEW_ORDERS'],
+    getProps: (host) => ({
+      cartItems: host.cartItems,
+      removeFromCart: host.removeFromCart,
+      updateQuantity: host.updateQuantity,
+      getCartTotal: host.getCartTotal,
+      isCartEmpty: host.isCartEmpty,
+      clearCart: host.clearCart,
+      showError: host.showError,
+      wishlistItems: host.wishlistItems,
+      removeFromWishlist: host.removeFromWishlist,
+      clearWishlist: host.clearWishlist,
+      showSuccess: host.showSuccess,
+    }),
+  },
+  {
+    // Reason: Wishlist is the admin shell's primary remote, so the dashboard always mounts it.
+    id: 'wishlist',
+    path: 'wishlist',
+    navLabel: 'Wishlist',
+    label: 'Wishlist',
+    pinned: true,
+    remote: RemoteWishlist,
+    requires: [],
+    getProps: (host) => ({
+      items: host.wishlistItems,
+      removeFromWishlist: host.removeFromWishlist,
+      clearWishlist: host.clearWishlist,
+      addToCart: host.addToCart,
+      showError: host.showError,
+      showSuccess: host.showSuccess,
+    }),
+  },
+  {
+    id: 'account.profile',
+    path: 'account',
+    navLabel: 'Account',
+    label: 'Account → Profile',
+    remote: RemoteAccount,
+    requires: ['MANAGE_USERS'],
+    getProps: () => ({}),
+  },
+];
+
+// Panels the dashboard's "Render MFEs" select can toggle (pinned panels are always mounted).
+export const SELECTABLE_PANEL_IDS = REMOTE_PANELS.filter((p) => !p.pinned).map((p) => p.id);
+
+export function getPanelByPath(path) {
+  return REMOTE_PANELS.find((p) => p.path === path) ?? null;
+}
@@ -0,0 +1,214 @@
+/* global __webpack_init_sharing__, __webpack_share_scopes__ */
+
+// Runtime remote registry.
+// Reason: remotes are resolved from a JSON manifest at runtime (instead of being baked into
+// `ModuleFederationPlugin`) so the admin shell can target any environment without a rebuild.
+//
+// Resolution order (highest wins):
+// 1. Query string: `?remote=catalog@https://preview--catalog.netlify.app/remoteEntry.js` (repeatable).
+// 2. localStorage overrides (`setRemoteOverride`, edited in the remote status panel).
+// 3. The manifest (`/remotes.json` by default, or `?manifest=<url>`), emitted by webpack from env.
+
+import { applyImportFaults, assertEntryLoadAllowed } from '../chaos/faultInjection.js';
+import { getRemoteInstanceKey } from './instances.js';
+import { recordContainerShares, recordShareMessage, snapshotShareScope } from './sharedDeps.js';
+
+// Modules each remote is expected to expose (a manifest entry may list its own `exposes`).
+export const REMOTE_MODULES = {
+  auth: ['./Login'],
+  catalog: ['./Products'],
+  checkout: ['./Cart'],
+  wishlist: ['./Wishlist'],
+  account: ['./Account'],
+};
+
+const DEFAULT_MANIFEST_URL = '/remotes.json';
+const OVERRIDES_STORAGE_KEY = 'shophub.admin.remoteOverrides';
+
+let manifestPromise = null;
+const containerPromises = new Map();
+const containerStats = new Map();
+
+function readQueryOverrides() {
+  const params = new URLSearchParams(window.location.search);
+  const overrides = {};
+  for (const value of params.getAll('remote')) {
+    const at = value.indexOf('@');
+    if (at <= 0) continue;
+    overrides[value.slice(0, at)] = value.slice(at + 1);
+  }
+  return overrides;
+}
+
+export function getRemoteOverrides() {
+  try {
+    const raw = window.localStorage.getItem(OVERRIDES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+// Already loaded containers keep running; the new URL applies to remotes loaded after a page reload.
+export function setRemoteOverride(name, url) {
+  const next = { ...getRemoteOverrides() };
+  if (url) next[name] = url;
+  else delete next[name];
+  window.localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(next));
+  manifestPromise = null;
+}
+
+export function clearRemoteOverrides() {
+  window.localStorage.removeItem(OVERRIDES_STORAGE_KEY);
+  manifestPromise = null;
+}
+
+async function fetchManifest() {
+  const manifestUrl = new URLSearchParams(window.location.search).get('manifest') ?? DEFAULT_MANIFEST_URL;
+  // Reason: a stale manifest would silently pin the shell to an old deploy.
+  const res = await fetch(manifestUrl, { cache: 'no-store' });
+  if (!res.ok) throw new Error(`Failed to load remote manifest ${manifestUrl} (HTTP ${res.status})`);
+  const json = await res.json();
+
+  const remotes = {};
+  for (const [name, entry] of Object.entries(json?.remotes ?? {})) {
+    const url = typeof entry === 'string' ? entry : entry?.url;
+    if (!url) continue;
+    remotes[name] = {
+      name,
+      url,
+      source: 'manifest',
+      exposes: entry?.exposes ?? REMOTE_MODULES[name] ?? [],
+      release: entry?.release ?? null,
+    };
+  }
+  // Reason: an override points at a different deploy, so the manifest's `release` no longer applies.
+  const override = (name, url, source) => ({
+    name,
+    url,
+    source,
+    exposes: remotes[name]?.exposes ?? REMOTE_MODULES[name] ?? [],
+    release: null,
+  });
+  for (const [name, url] of Object.entries(getRemoteOverrides())) {
+    if (url) remotes[name] = override(name, url, 'localStorage');
+  }
+  for (const [name, url] of Object.entries(readQueryOverrides())) {
+    remotes[name] = override(name, url, 'query');
+  }
+  return remotes;
+}
+
+// `fresh`: refetch even if already loaded (a manual re-probe must see a redeployed manifest).
+export function loadRemoteManifest({ fresh = false } = {}) {
+  if (fresh) manifestPromise = null;
+  if (!manifestPromise) {
+    manifestPromise = fetchManifest().catch((e) => {
+      // Reason: allow a later call to retry instead of caching the failure forever.
+      manifestPromise = null;
+      throw e;
+    });
+  }
+  return manifestPromise;
+}
+
+export async function getRemoteUrl(name) {
+  const remotes = await loadRemoteManifest();
+  const remote = remotes[name];
+  if (!remote) throw new Error(`Remote "${name}" is not configured in the remote manifest`);
+  return remote.url;
+}
+
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = url;
+    script.type = 'text/javascript';
+    script.async = true;
+    script.onload = () => resolve();
+    script.onerror = () => {
+      script.remove();
+      reject(new Error(`Failed to load remote entry ${url}`));
+    };
+    document.head.appendChild(script);
+  });
+}
+
+// `entryUrl`: the script actually loaded (defaults to `url`, which keys the recorded shares).
+async function initContainer(name, url, entryUrl = url) {
+  const startedAt = performance.now();
+  // Reason: two builds of one remote (compare mode) register the same global; keep the one already
+  // loaded in place and hold on to the new container through the cache instead.
+  const previous = window[name];
+  await loadScript(entryUrl);
+  const container = window[name];
+  if (previous) window[name] = previous;
+  if (!container || (previous && container === previous)) {
+    throw new Error(`Remote entry ${url} did not register container "${name}"`);
+  }
+
+  // IMPORTANT: initialize the host share scope first so singletons (react, MUI, ...) are negotiated.
+  await __webpack_init_sharing__('default');
+  const sharesBefore = snapshotShareScope();
+  await container.init(__webpack_share_scopes__.default);
+  recordContainerShares(name, url, sharesBefore);
+  return { container, loadMs: performance.now() - startedAt };
+}
+
+// Timing of the (one-time) script load + container init, or null if not loaded yet.
+export function getContainerStats(name, url) {
+  return containerStats.get(`${name}@${url}`) ?? null;
+}
+
+// `faultKey`: the instance whose injected faults apply (`instances.js`); the remote name by default.
+export function getRemoteContainer(name, url, { faultKey = name } = {}) {
+  // Reason: checked before the cache so an injected failure also hits already-loaded containers.
+  try {
+    assertEntryLoadAllowed(faultKey, url);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  const key = `${name}@${url}`;
+  if (!containerPromises.has(key)) {
+    const promise = initContainer(name, url).then(
+      ({ container, loadMs }) => {
+        containerStats.set(key, { loadMs, loadedAt: Date.now() });
+        return container;
+      },
+      (e) => {
+        containerPromises.delete(key);
+        throw e;
+      },
+    );
+    containerPromises.set(key, promise);
+  }
+  return containerPromises.get(key);
+}
+
+// Loads a new, uncached copy of the container at `url` and resolves to `{ container, loadMs }`.
+// Reason: health re-probes must see a redeploy at the same URL and its current load time; the copy
+// is only probed, remotes keep rendering from the cached container.
+export async function loadFreshContainer(name, url) {
+  assertEntryLoadAllowed(name, url);
+  const entryUrl = new URL(url, window.location.href);
+  entryUrl.searchParams.set('probe', Date.now().toString(36));
+  return initContainer(name, url, entryUrl.href);
+}
+
+// Equivalent of a static `import('<name>/<Module>')`, resolved against the runtime manifest
+// (or loaded from `url`, e.g. a candidate build in compare mode).
+export async function loadRemoteModule(name, exposedModule, url = null) {
+  const faultKey = getRemoteInstanceKey(name, url);
+  await applyImportFaults(faultKey);
+  url ??= await getRemoteUrl(name);
+  const container = await getRemoteContainer(name, url, { faultKey });
+  try {
+    const factory = await container.get(exposedModule);
+    return factory();
+  } catch (e) {
+    // Reason: strict version checks (`strictVersion`) throw instead of warning; keep them in the inspector.
+    recordShareMessage(e?.message, { remote: faultKey, fatal: true });
+    throw e;
+  }
+}
@@ -0,0 +1,292 @@
+/* global __SHARED_DEPS_CONFIG__, __webpack_share_scopes__ */
+
+// Shared-dependency inspector for the Module Federation share scope.
+// Reason: a remote built against an incompatible `react` / MUI version otherwise only shows up as
+// a webpack console warning or an "Invalid hook call" crash far away from the cause.
+//
+// Sources:
+// - The share scope itself: every build registers the versions it bundles (`from` is the build's
+//   `output.uniqueName`); the version actually handed out is marked `loaded`. Builds are mapped to
+//   remotes by diffing the scope around each `container.init` (`registry.js`).
+// - webpack's own version-check messages ("Unsatisfied version ... (required ...)") from load errors for
+//   strict versions and, while the monitor is on, from `console.warn`; they carry the requested range.
+// - React renderers registered through the React DevTools hook, while the monitor is on and the
+//   extension is installed. Duplicate react-dom copies also show up in the share scope itself.
+//
+// The monitor (`console.warn` wrapper + DevTools hook listener) is opt-in per tab from the Shared deps
+// page. Reason: it patches page-wide globals that every remote relies on, so it stays off for normal use.
+
+const SHARE_SCOPE = 'default';
+const MAX_MESSAGES = 200;
+const MONITOR_STORAGE_KEY = 'shophub.admin.sharedDepsMonitor';
+
+// Build-time config injected by webpack (`DefinePlugin`); see `webpack.config.cjs`.
+export const sharedDepsConfig =
+  typeof __SHARED_DEPS_CONFIG__ === 'object' && __SHARED_DEPS_CONFIG__ ? __SHARED_DEPS_CONFIG__ : { uniqueName: null, shared: {} };
+
+export const SHELL_BUILD = 'shell';
+
+const UNSATISFIED_SINGLETON = /^Unsatisfied version (\S+) from (\S+) of shared singleton module (\S+) \(required (.+)\)$/;
+const NO_SATISFYING_VERSION = /^No satisfying version \((.+)\)(?: for eager consumption)? of shared module (\S+) found in shared scope \S+\.\s*Available versions: (.*)$/s;
+
+const listeners = new Set();
+let state = { builds: {}, containers: [], messages: [], renderers: [], monitoring: false };
+let nextId = 1;
+// Undo functions for the installed patches; empty while the monitor is off.
+let restorePatches = [];
+
+function setState(updater) {
+  state = updater(state);
+  for (const listener of listeners) listener();
+}
+
+export function getSharedDepsState() {
+  return state;
+}
+
+export function subscribeSharedDeps(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getShareScope() {
+  // Reason: only defined inside a webpack build (the free variable is replaced at compile time).
+  return typeof __webpack_share_scopes__ === 'object' ? (__webpack_share_scopes__[SHARE_SCOPE] ?? {}) : {};
+}
+
+// `pkg|version|from` keys of every registered version; pass to `recordContainerShares` after `init`.
+export function snapshotShareScope() {
+  const keys = new Set();
+  for (const [pkg, versions] of Object.entries(getShareScope())) {
+    for (const [version, entry] of Object.entries(versions)) keys.add(`${pkg}|${version}|${entry.from}`);
+  }
+  return keys;
+}
+
+export function recordContainerShares(remote, url, before) {
+  const builds = new Set();
+  for (const key of snapshotShareScope()) {
+    if (!before.has(key)) builds.add(key.split('|')[2]);
+  }
+  setState((prev) => ({
+    ...prev,
+    builds: { ...prev.builds, ...Object.fromEntries([...builds].map((build) => [build, { remote, url }])) },
+    containers: [...prev.containers.filter((c) => c.url !== url), { remote, url }],
+  }));
+}
+
+// What the container loaded from `url` negotiated for `pkg`: `{ provided, used }` versions (or null).
+// `provided`: registered by the remote's own build(s); `used`: the version it got, from webpack's
+// version-check message for that remote, else the loaded copy it provided, else the loaded copy
+// (the one every consumer of a singleton gets).
+export function getRemoteSharedVersion(remote, url, pkg, s = state) {
+  const builds = new Set(Object.entries(s.builds).filter(([, b]) => b.url === url).map(([build]) => build));
+  const versions = Object.entries(getShareScope()[pkg] ?? {}).map(([version, entry]) => ({ version, from: entry.from, loaded: Boolean(entry.loaded) }));
+  const provided = versions.find((v) => builds.has(v.from)) ?? null;
+  const message = s.messages.find((m) => m.remote === remote && m.pkg === pkg && m.kind === 'singleton');
+  const loaded = versions.filter((v) => v.loaded);
+  const used = message?.version ?? (provided?.loaded ? provided.version : null) ?? (loaded.length === 1 ? loaded[0].version : null);
+  return { provided: provided?.version ?? null, used };
+}
+
+// Remote a build (`uniqueName`) belongs to, `SHELL_BUILD` for the shell, or the raw name when unknown.
+export function describeBuild(from, s = state) {
+  if (from === sharedDepsConfig.uniqueName) return SHELL_BUILD;
+  return s.builds[from]?.remote ?? from;
+}
+
+// Reason: the warning itself does not say who consumed the module, but the consuming build's
+// chunks are on the stack; the longest matching `remoteEntry.js` directory wins.
+function remoteFromStack(stack, s = state) {
+  let best = null;
+  for (const { remote, url } of s.containers) {
+    let base;
+    try {
+      base = new URL('.', url).href;
+    } catch {
+      continue;
+    }
+    if (stack.includes(base) && (!best || base.length > best.base.length)) best = { remote, base };
+  }
+  return best?.remote ?? null;
+}
+
+function parseMessage(text) {
+  let match = UNSATISFIED_SINGLETON.exec(text);
+  if (match) {
+    const [, version, from, pkg, required] = match;
+    return { kind: 'singleton', pkg, version, from, required };
+  }
+  match = NO_SATISFYING_VERSION.exec(text);
+  if (match) {
+    const [, required, pkg, available] = match;
+    return { kind: 'no-satisfying-version', pkg, version: null, from: null, required, available: available.trim() };
+  }
+  return null;
+}
+
+// Records a webpack share-scope message; returns false for unrelated messages.
+export function recordShareMessage(text, { remote = null, stack = '', fatal = false } = {}) {
+  const parsed = typeof text === 'string' ? parseMessage(text.trim()) : null;
+  if (!parsed) return false;
+  const message = {
+    id: nextId++,
+    at: Date.now(),
+    ...parsed,
+    remote: remote ?? remoteFromStack(stack) ?? SHELL_BUILD,
+    fatal,
+    text: text.trim(),
+  };
+  // Reason: webpack warns while modules are being required, possibly in the middle of a React render.
+  queueMicrotask(() => setState((prev) => ({ ...prev, messages: [message, ...prev.messages].slice(0, MAX_MESSAGES) })));
+  return true;
+}
+
+export function clearShareMessages() {
+  setState((prev) => ({ ...prev, messages: [] }));
+}
+
+function isShareMessage(text) {
+  return parseMessage(text.trim()) !== null;
+}
+
+function watchConsoleWarnings() {
+  const warn = console.warn;
+  const warnWithShareCheck = function warnWithShareCheck(...args) {
+    try {
+      // Reason: the stack is only captured for webpack's version messages, not for every warning.
+      if (typeof args[0] === 'string' && args.length === 1 && isShareMessage(args[0])) {
+        recordShareMessage(args[0], { stack: new Error().stack ?? '' });
+      }
+    } catch {
+      // Reason: the inspector must never break logging.
+    }
+    return warn.apply(this, args);
+  };
+  console.warn = warnWithShareCheck;
+  return () => {
+    // Reason: someone may have wrapped `console.warn` after us; leave their wrapper in place then.
+    if (console.warn === warnWithShareCheck) console.warn = warn;
+  };
+}
+
+// Reason: each react-dom copy registers itself with the DevTools hook when it is evaluated. Only a real
+// hook (the extension) is listened to; a stand-in would make every React copy run DevTools code paths.
+function watchReactRenderers() {
+  const hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  if (!hook || typeof hook.inject !== 'function') return () => {};
+  const inject = hook.inject;
+  const injectWithRecord = function injectWithRecord(renderer) {
+    const entry = {
+      id: nextId++,
+      at: Date.now(),
+      version: renderer?.version ?? renderer?.reconcilerVersion ?? 'unknown',
+      packageName: renderer?.rendererPackageName ?? 'unknown',
+      development: renderer?.bundleType === 1,
+      remote: remoteFromStack(new Error().stack ?? '') ?? SHELL_BUILD,
+    };
+    queueMicrotask(() => setState((prev) => ({ ...prev, renderers: [...prev.renderers, entry] })));
+    return inject.call(this, renderer);
+  };
+  hook.inject = injectWithRecord;
+  return () => {
+    if (hook.inject === injectWithRecord) hook.inject = inject;
+  };
+}
+
+function readMonitorEnabled() {
+  try {
+    return window.sessionStorage.getItem(MONITOR_STORAGE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+function startMonitor() {
+  if (restorePatches.length) return;
+  restorePatches = [watchConsoleWarnings(), watchReactRenderers()];
+  setState((prev) => ({ ...prev, monitoring: true }));
+}
+
+function stopMonitor() {
+  for (const restore of restorePatches) restore();
+  restorePatches = [];
+  setState((prev) => ({ ...prev, monitoring: false }));
+}
+
+// Starts the monitor when it was switched on for this tab. Must run before react-dom is evaluated
+// (see `bootstrap.jsx`) for the shell's own renderer to be seen.
+export function initSharedDepsMonitor() {
+  if (readMonitorEnabled()) startMonitor();
+}
+
+// Switch the monitor on or off for this tab. Renderers already evaluated are only seen after a reload.
+export function setSharedDepsMonitor(enabled) {
+  try {
+    if (enabled) window.sessionStorage.setItem(MONITOR_STORAGE_KEY, '1');
+    else window.sessionStorage.removeItem(MONITOR_STORAGE_KEY);
+  } catch (e) {
+    console.error('[admin-host] Failed to persist the shared deps monitor setting:', e);
+  }
+  if (enabled) startMonitor();
+  else stopMonitor();
+}
+
+// react-dom copies registered in the share scope, with the build that provided each one.
+export function getReactDomCopies(s = state) {
+  return Object.entries(getShareScope()['react-dom'] ?? {}).map(([version, entry]) => ({
+    version,
+    build: describeBuild(entry.from, s),
+    loaded: Boolean(entry.loaded),
+  }));
+}
+
+// Per shared package: what the shell shares, every version registered in the scope (and by whom),
+// which version(s) were handed out, and the problems found. Reads the live share scope.
+export function getSharedDepsReport(s = state) {
+  const scope = getShareScope();
+  const packages = [...new Set([...Object.keys(sharedDepsConfig.shared), ...Object.keys(scope)])].sort();
+  return packages.map((pkg) => {
+    const shell = sharedDepsConfig.shared[pkg] ?? null;
+    const versions = Object.entries(scope[pkg] ?? {}).map(([version, entry]) => ({
+      version,
+      from: entry.from,
+      build: describeBuild(entry.from, s),
+      eager: Boolean(entry.eager),
+      loaded: Boolean(entry.loaded),
+    }));
+    const chosen = versions.filter((v) => v.loaded);
+    const messages = s.messages.filter((m) => m.pkg === pkg);
+    const issues = [];
+    if (shell?.singleton && chosen.length > 1) {
+      issues.push({ severity: 'error', text: `Singleton loaded ${chosen.length} times (${chosen.map((v) => v.version).join(', ')})` });
+    }
+    for (const m of messages) {
+      issues.push({
+        severity: m.fatal || m.kind === 'singleton' ? 'error' : 'warning',
+        text:
+          m.kind === 'singleton'
+            ? `${m.remote} requires ${m.required} but got ${m.version} (from ${describeBuild(m.from, s)})`
+            : `${m.remote} requires ${m.required}; none available (${m.available})`,
+      });
+    }
+    if (shell?.singleton && versions.length > 1 && !issues.length) {
+      issues.push({ severity: 'info', text: `${versions.length} versions provided; only ${chosen[0]?.version ?? 'one'} can be used` });
+    }
+    return { pkg, shell, versions, chosen, issues };
+  });
+}
+
+// Every react-dom copy beyond the first is a duplicate React renderer (hooks break across copies).
+export function getDuplicateReactIssues(s = state) {
+  const issues = [];
+  if (s.renderers.length > 1) {
+    issues.push(`${s.renderers.length} React renderers registered: ${s.renderers.map((r) => `${r.packageName}@${r.version} (${r.remote})`).join(', ')}`);
+  }
+  const scope = getShareScope();
+  for (const pkg of ['react', 'react-dom']) {
+    const loaded = Object.entries(scope[pkg] ?? {}).filter(([, entry]) => entry.loaded);
+    if (loaded.length > 1) issues.push(`${pkg} loaded from ${loaded.length} builds: ${loaded.map(([version, e]) => `${version} (${describeBuild(e.from, s)})`).join(', ')}`);
+  }
+  return issues;
+}
@@ -0,0 +1,158 @@
+import * as yup from 'yup';
+import { PRESET_PERSONAS, personaSchema, toCustomPersona } from '../personas/personas.js';
+import { getHostState, replaceHostState } from '../store/hostStore.js';
+import { addCustomPersona, getActivePersona, selectPersona } from '../store/personaStore.js';
+
+// Scenarios: named fixtures that seed the host store (cart + wishlist) and the persona in one go.
+// Reason: edge cases (huge carts, non-numeric prices, ...) can be reproduced without clicking
+// through the Catalog remote.
+//
+// File format (import/export): { name, description?, persona?, cartItems, wishlistItems }
+// where `persona` is a preset id ('guest', 'customer', ...) or `{ label, user }`; `user` is null (signed
+// out) or checked like a persona made in the persona switcher (`personas/personas.js`).
+
+export const SCENARIO_FILE_VERSION = 1;
+const IMPORTED_STORAGE_KEY = 'shophub.admin.scenarios';
+
+const itemSchema = yup.object({ id: yup.mixed().required('Every item needs an id') });
+
+// `{ label, user }` with `user` reduced to the persona fields; throws a `yup.ValidationError` when invalid.
+function toScenarioPersona({ label, user }) {
+  if (user === null) return { label: personaSchema.fields.label.validateSync(label), user: null };
+  const persona = toCustomPersona(personaSchema.validateSync({ ...user, label }, { abortEarly: true }));
+  return { label: persona.label, user: persona.user };
+}
+
+const scenarioPersonaSchema = yup.mixed().test('persona', 'persona must be a preset id or { label, user }', function check(v) {
+  if (v == null || (typeof v === 'string' && PRESET_PERSONAS.some((p) => p.id === v))) return true;
+  if (!v || typeof v !== 'object' || Array.isArray(v) || typeof v.user !== 'object' || Array.isArray(v.user)) return false;
+  try {
+    toScenarioPersona(v);
+    return true;
+  } catch (e) {
+    if (!(e instanceof yup.ValidationError)) throw e;
+    return this.createError({ message: `persona: ${e.message}` });
+  }
+});
+
+export const scenarioSchema = yup.object({
+  name: yup.string().trim().required('Scenario name is required'),
+  description: yup.string().default(''),
+  persona: scenarioPersonaSchema,
+  cartItems: yup.array().of(itemSchema).default([]),
+  wishlistItems: yup.array().of(itemSchema).default([]),
+});
+
+const OTHER_USERS = [
+  { name: 'Casey Customer', email: 'customer@shophub.dev', role: 'CUSTOMER', permissions: [] },
+  { name: 'Sam Support', email: 'support@shophub.dev', role: 'SUPPORT', permissions: ['VIEW_WISHLIST_META', 'VIEW_ORDERS'] },
+  { name: 'Morgan Merchandiser', email: 'merch@shophub.dev', role: 'MERCHANDISER', permissions: ['EDIT'] },
+];
+
+function product(i, overrides = {}) {
+  return {
+    id: `fixture-${i}`,
+    title: `Fixture product ${i}`,
+    price: Math.round((5 + ((i * 37) % 200) + (i % 100) / 100) * 100) / 100,
+    image: '',
+    category: ['apparel', 'home', 'beauty', 'electronics'][i % 4],
+    ...overrides,
+  };
+}
+
+export const BUILT_IN_SCENARIOS = [
+  {
+    id: 'empty-cart',
+    name: 'Empty cart',
+    description: 'Empty cart and wishlist, signed in as a customer.',
+    persona: 'customer',
+    cartItems: [],
+    wishlistItems: [],
+  },
+  {
+    id: 'hundred-item-cart',
+    name: '100-item cart',
+    description: '100 distinct products with varying quantities.',
+    persona: 'customer',
+    cartItems: Array.from({ length: 100 }, (_, i) => ({ ...product(i + 1), quantity: (i % 5) + 1 })),
+    wishlistItems: [],
+  },
+  {
+    id: 'wishlist-other-users',
+    name: 'Wishlist with items added by other users',
+    description: 'Wishlist entries stamped with `addedBy` from other users; viewed as support.',
+    persona: 'support',
+    cartItems: [],
+    wishlistItems: Array.from({ length: 9 }, (_, i) => ({ ...product(200 + i), addedBy: OTHER_USERS[i % OTHER_USERS.length] })),
+  },
+  {
+    id: 'missing-prices',
+    name: 'Products with missing prices',
+    description: 'Cart and wishlist items whose prices are missing or non-numeric (exercises `getCartTotal`).',
+    persona: 'admin',
+    cartItems: [
+      { ...product(301), quantity: 2 },
+      { ...product(302, { price: undefined }), quantity: 1 },
+      { ...product(303, { price: null }), quantity: 3 },
+      { ...product(304, { price: 'N/A' }), quantity: 1 },
+      { ...product(305, { price: '12,99' }), quantity: 2 },
+      { ...product(306, { price: '19.99' }), quantity: 1 },
+    ],
+    wishlistItems: [product(307, { price: undefined }), product(308, { price: 'free' })],
+  },
+];
+
+// Validated scenario (throws a `yup.ValidationError` with a readable message on bad files).
+// Reason: no `stripUnknown`, so item fields beyond `id` (price, addedBy, ...) survive as-is.
+export function parseScenario(json) {
+  const { name, description, persona, cartItems, wishlistItems } = scenarioSchema.validateSync(json, { abortEarly: true });
+  return {
+    // Reason: several files imported at once are parsed within the same millisecond.
+    id: `imported:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    imported: true,
+    name,
+    description,
+    persona: persona && typeof persona === 'object' ? toScenarioPersona(persona) : (persona ?? null),
+    cartItems,
+    wishlistItems,
+  };
+}
+
+export function toScenarioFile({ name, description, persona, cartItems, wishlistItems }) {
+  return { version: SCENARIO_FILE_VERSION, name, description, persona, cartItems, wishlistItems };
+}
+
+// Snapshot of the current host state + persona as a scenario file.
+export function captureCurrentScenario(name = 'Captured state') {
+  const { cartItems, wishlistItems } = getHostState();
+  const persona = getActivePersona();
+  return toScenarioFile({
+    name,
+    description: `Captured ${new Date().toLocaleString()}`,
+    persona: persona.custom ? { label: persona.label, user: persona.user } : persona.id,
+    cartItems,
+    wishlistItems,
+  });
+}
+
+export function applyScenario(scenario) {
+  replaceHostState(scenario, `Scenario loaded: ${scenario.name}`);
+  if (typeof scenario.persona === 'string') {
+    selectPersona(scenario.persona);
+  } else if (scenario.persona) {
+    addCustomPersona({ id: `scenario:${scenario.id}`, label: scenario.persona.label, custom: true, user: scenario.persona.user });
+  }
+}
+
+export function loadImportedScenarios() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(IMPORTED_STORAGE_KEY) ?? '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveImportedScenarios(scenarios) {
+  window.localStorage.setItem(IMPORTED_STORAGE_KEY, JSON.stringify(scenarios));
+}
@@ -0,0 +1,266 @@
+// Host-owned cart + wishlist store.
+// Reason: remotes get stable callbacks (module functions, not per-render closures), admin testing
+// sessions survive reloads (localStorage), and multiple shell windows stay consistent (BroadcastChannel).
+//
+// Only `cartItems` / `wishlistItems` are persisted and synced; `undo` is local to this tab.
+// Mutations made through `hostActions`, `getHostActions`, `replaceHostState`, `undoLastAction` and
+// `applyHostSnapshot` are written to the audit log (`audit/auditLog.js`) by the tab that made them,
+// and reported to `subscribeHostChanges` listeners (the state inspector's timeline) like synced changes.
+
+import { recordAuditEntry } from '../audit/auditLog.js';
+import { HOST_EVENTS, eventBus } from '../events/eventBus.js';
+
+const STORAGE_KEY = 'shophub.admin.hostStore';
+const CHANNEL_NAME = 'shophub-admin-host-store';
+
+const listeners = new Set();
+const changeListeners = new Set();
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+// Who performs wishlist mutations (`addedBy`); set from the active persona.
+let actor = null;
+
+function readPersisted() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) ?? 'null');
+    return {
+      cartItems: Array.isArray(parsed?.cartItems) ? parsed.cartItems : [],
+      wishlistItems: Array.isArray(parsed?.wishlistItems) ? parsed.wishlistItems : [],
+    };
+  } catch {
+    return { cartItems: [], wishlistItems: [] };
+  }
+}
+
+// The slices that are persisted, synced across tabs and tracked (`cartItems`, `wishlistItems`).
+export function pickSynced(s) {
+  return { cartItems: s.cartItems, wishlistItems: s.wishlistItems };
+}
+
+let state = { ...readPersisted(), undo: null };
+
+function emit() {
+  for (const listener of listeners) listener();
+}
+
+function setState(updater, { sync = true } = {}) {
+  let next = typeof updater === 'function' ? updater(state) : updater;
+  if (next === state) return;
+  const syncedChanged = next.cartItems !== state.cartItems || next.wishlistItems !== state.wishlistItems;
+  // Reason: undoing after later edits would silently revert them, so any other change drops the undo.
+  if (syncedChanged && next.undo && next.undo === state.undo) next = { ...next, undo: null };
+  state = next;
+  if (sync && syncedChanged) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(pickSynced(state)));
+    } catch (e) {
+      console.error('[admin-host] Failed to persist host store:', e);
+    }
+    channel?.postMessage({ type: 'state', state: pickSynced(state) });
+  }
+  emit();
+}
+
+channel?.addEventListener('message', (event) => {
+  if (event.data?.type !== 'state') return;
+  // Reason: apply without re-broadcasting, otherwise two tabs would echo forever.
+  // Not audited: the tab that made the change already recorded it.
+  tracked('other-tab', 'state:synced', {}, () => setState((prev) => ({ ...prev, ...event.data.state }), { sync: false }), { audit: false });
+});
+
+export function getHostState() {
+  return state;
+}
+
+export function subscribeHostStore(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// `listener({ action, source, details, before, after, at })` with the synced state around each change.
+export function subscribeHostChanges(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+export function setHostActor(user) {
+  actor = user;
+}
+
+// Run `mutate` (which changes the store synchronously) and report the synced slices it changed;
+// `onChange` runs only when something did change.
+// Reason: remotes' mutators are async, but their `setState` runs before the first `await`.
+function tracked(source, action, details, mutate, { audit = true, onChange = null } = {}) {
+  const before = pickSynced(state);
+  const result = mutate();
+  const after = pickSynced(state);
+  const changes = {};
+  for (const key of Object.keys(after)) {
+    if (after[key] !== before[key]) changes[key] = { before: before[key], after: after[key] };
+  }
+  if (!Object.keys(changes).length) return result;
+  if (audit) recordAuditEntry({ action, source, details, changes, persona: actor });
+  const change = { action, source, details, before, after, at: Date.now() };
+  for (const listener of changeListeners) listener(change);
+  onChange?.();
+  return result;
+}
+
+// Snapshot the synced state before a destructive action so it can be undone.
+function withUndo(label, updater) {
+  setState((prev) => {
+    const next = updater(prev);
+    if (next === prev) return prev;
+    return { ...next, undo: { label, snapshot: pickSynced(prev), at: Date.now() } };
+  });
+}
+
+// Replace cart + wishlist wholesale (scenarios, imports); undoable like other destructive actions.
+export function replaceHostState({ cartItems = [], wishlistItems = [] }, label = 'Host state replaced') {
+  tracked('shell', 'state:replaced', { label }, () => withUndo(label, (prev) => ({ ...prev, cartItems, wishlistItems })));
+}
+
+// `at`: only undo when the current undo entry is still the one taken at that time (an Undo toast
+// must not revert a later action).
+export function undoLastAction({ at = null } = {}) {
+  if (at !== null && state.undo?.at !== at) return;
+  tracked('shell', 'state:undone', { label: state.undo?.label ?? null }, () =>
+    setState((prev) => (prev.undo ? { ...prev, ...prev.undo.snapshot, undo: null } : prev)),
+  );
+}
+
+// Set cart + wishlist to `snapshot` from the state inspector (time travel, replay, hand edits).
+// Values are applied as given, so invalid ones (a negative `quantity`, ...) reach remotes on purpose.
+// `undoLabel` makes the change undoable like other destructive actions.
+export function applyHostSnapshot(snapshot, { action = 'devtools:applied', details = {}, undoLabel = null } = {}) {
+  const update = (prev) => ({ ...prev, ...pickSynced({ ...prev, ...snapshot }) });
+  tracked('devtools', action, details, () => (undoLabel ? withUndo(undoLabel, update) : setState(update)));
+}
+
+export function dismissUndo() {
+  setState((prev) => (prev.undo ? { ...prev, undo: null } : prev));
+}
+
+// --- Cart (async to match the checkout/catalog remote contracts) ---
+
+export async function addToCart(product) {
+  setState((prev) => {
+    const existing = prev.cartItems.find((x) => x?.id === product?.id);
+    const cartItems = existing
+      ? prev.cartItems.map((x) => (x.id === product.id ? { ...x, quantity: (x.quantity ?? 1) + 1 } : x))
+      : [...prev.cartItems, { ...product, quantity: 1 }];
+    return { ...prev, cartItems };
+  });
+  return true;
+}
+
+// Reason: no-ops keep the previous state, so `tracked` neither audits nor publishes them.
+export async function removeFromCart(productId) {
+  setState((prev) => {
+    if (!prev.cartItems.some((x) => x?.id === productId)) return prev;
+    return { ...prev, cartItems: prev.cartItems.filter((x) => x?.id !== productId) };
+  });
+}
+
+export async function updateQuantity(productId, quantity) {
+  setState((prev) => {
+    if (!prev.cartItems.some((x) => x?.id === productId && x.quantity !== quantity)) return prev;
+    return { ...prev, cartItems: prev.cartItems.map((x) => (x?.id === productId ? { ...x, quantity } : x)) };
+  });
+}
+
+export async function clearCart() {
+  withUndo('Cart cleared', (prev) => (prev.cartItems.length ? { ...prev, cartItems: [] } : prev));
+}
+
+export function getCartTotal() {
+  return state.cartItems.reduce((sum, item) => sum + (Number(item?.price) || 0) * (Number(item?.quantity) || 0), 0);
+}
+
+export function isCartEmpty() {
+  return state.cartItems.length === 0;
+}
+
+// --- Wishlist ---
+
+export function addToWishlist(product) {
+  setState((prev) => {
+    if (prev.wishlistItems.some((x) => x?.id === product?.id)) return prev;
+    return { ...prev, wishlistItems: [{ ...product, addedBy: actor }, ...prev.wishlistItems] };
+  });
+}
+
+export function removeFromWishlist(productId) {
+  setState((prev) => {
+    if (!prev.wishlistItems.some((x) => x?.id === productId)) return prev;
+    return { ...prev, wishlistItems: prev.wishlistItems.filter((x) => x?.id !== productId) };
+  });
+}
+
+export function clearWishlist() {
+  withUndo('Wishlist cleared', (prev) => (prev.wishlistItems.length ? { ...prev, wishlistItems: [] } : prev));
+}
+
+export function isInWishlist(productId) {
+  return state.wishlistItems.some((x) => x?.id === productId);
+}
+
+// Mutators that record an audit entry attributed to `source`; the action ids are the matching event types.
+// With `publish`, each mutation that changed the store is also published on the event bus (no-ops are not).
+function auditedMutations(source, { publish = false } = {}) {
+  const onChange = (action, details) => (publish ? () => eventBus.publish(action, details, { source }) : null);
+  const run = (action, details, mutate) => tracked(source, action, details, mutate, { onChange: onChange(action, details) });
+  return {
+    addToCart: (product) => run(HOST_EVENTS.CART_ITEM_ADDED, { product }, () => addToCart(product)),
+    removeFromCart: (productId) => run(HOST_EVENTS.CART_ITEM_REMOVED, { productId }, () => removeFromCart(productId)),
+    updateQuantity: (productId, quantity) =>
+      run(HOST_EVENTS.CART_QUANTITY_UPDATED, { productId, quantity }, () => updateQuantity(productId, quantity)),
+    clearCart: () => run(HOST_EVENTS.CART_CLEARED, {}, () => clearCart()),
+    addToWishlist: (product) => run(HOST_EVENTS.WISHLIST_ITEM_ADDED, { product }, () => addToWishlist(product)),
+    removeFromWishlist: (productId) => run(HOST_EVENTS.WISHLIST_ITEM_REMOVED, { productId }, () => removeFromWishlist(productId)),
+    clearWishlist: () => run(HOST_EVENTS.WISHLIST_CLEARED, {}, () => clearWishlist()),
+  };
+}
+
+// Callback set for host-side code (no events are published).
+export const hostActions = {
+  ...auditedMutations('shell'),
+  getCartTotal,
+  isCartEmpty,
+  isInWishlist,
+};
+
+const boundActions = new Map();
+
+// Callback set handed to a remote: same contract as `hostActions`, but every mutation that changes the store is
+// published on the event bus with the remote as `source`. Cached so remotes get stable props.
+export function getHostActions(source) {
+  if (boundActions.has(source)) return boundActions.get(source);
+  const actions = {
+    ...hostActions,
+    ...auditedMutations(source, { publish: true }),
+  };
+  boundActions.set(source, actions);
+  return actions;
+}
+
+const readOnlyActions = new Map();
+
+// Same contract as `getHostActions`, but mutations resolve without touching the store (and publish
+// nothing). Reason: in compare mode the mirrored panel replays the leader's clicks, which would
+// otherwise apply every mutation twice.
+export function getReadOnlyHostActions(source) {
+  if (readOnlyActions.has(source)) return readOnlyActions.get(source);
+  const actions = {
+    ...hostActions,
+    addToCart: async () => true,
+    removeFromCart: async () => {},
+    updateQuantity: async () => {},
+    clearCart: async () => {},
+    addToWishlist: () => {},
+    removeFromWishlist: () => {},
+    clearWishlist: () => {},
+  };
+  readOnlyActions.set(source, actions);
+  return actions;
+}
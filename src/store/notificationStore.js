@@ -0,0 +1,111 @@
+// Notification center store: queued toasts + persistent history.
+// Reason: `showSuccess` / `showError` from remotes were console-only and invisible to admins.
+//
+// - `active`: toasts on screen (at most `MAX_VISIBLE`); the rest wait in `queue`.
+// - `history`: serializable record of every notification (persisted), with the emitting remote.
+
+const HISTORY_STORAGE_KEY = 'shophub.admin.notifications';
+const MAX_HISTORY = 200;
+const MAX_VISIBLE = 3;
+
+export const SEVERITIES = ['success', 'info', 'warning', 'error'];
+
+const listeners = new Set();
+let nextId = 1;
+
+function readHistory() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(HISTORY_STORAGE_KEY) ?? '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+let state = { active: [], queue: [], history: readHistory(), lastSeenAt: Date.now() };
+
+function setState(updater) {
+  const next = updater(state);
+  if (next === state) return;
+  if (next.history !== state.history) {
+    try {
+      window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(next.history));
+    } catch (e) {
+      console.error('[admin-host] Failed to persist notification history:', e);
+    }
+  }
+  state = next;
+  for (const listener of listeners) listener();
+}
+
+export function getNotificationState() {
+  return state;
+}
+
+export function subscribeNotifications(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function toMessage(message) {
+  return String(message?.message ?? message ?? '');
+}
+
+// `actions`: [{ label, onClick }] rendered as toast buttons (not kept in history).
+// `autoHideMs: null` keeps the toast until dismissed.
+export function notify({ message, severity = 'info', source = 'host', actions = [], autoHideMs } = {}) {
+  const entry = {
+    id: nextId++,
+    message: toMessage(message),
+    severity: SEVERITIES.includes(severity) ? severity : 'info',
+    source,
+    at: Date.now(),
+  };
+  const toast = {
+    ...entry,
+    actions,
+    autoHideMs: autoHideMs === undefined ? (entry.severity === 'error' ? 10000 : 5000) : autoHideMs,
+  };
+  setState((prev) => {
+    const history = [entry, ...prev.history].slice(0, MAX_HISTORY);
+    if (prev.active.length < MAX_VISIBLE) return { ...prev, active: [...prev.active, toast], history };
+    return { ...prev, queue: [...prev.queue, toast], history };
+  });
+  return entry.id;
+}
+
+export function dismissNotification(id) {
+  setState((prev) => {
+    if (!prev.active.some((t) => t.id === id)) {
+      return { ...prev, queue: prev.queue.filter((t) => t.id !== id) };
+    }
+    const [promoted, ...queue] = prev.queue;
+    const active = prev.active.filter((t) => t.id !== id);
+    return { ...prev, active: promoted ? [...active, promoted] : active, queue };
+  });
+}
+
+export function markNotificationsSeen() {
+  setState((prev) => ({ ...prev, lastSeenAt: Date.now() }));
+}
+
+export function clearNotificationHistory() {
+  setState((prev) => ({ ...prev, history: [] }));
+}
+
+const remoteNotifiers = new Map();
+
+// `showSuccess` / `showError` bound to the emitting remote.
+// Reason: cached per source so remotes receive stable callback identities.
+export function getNotifier(source) {
+  if (!remoteNotifiers.has(source)) {
+    remoteNotifiers.set(source, {
+      showSuccess: (message) => notify({ message, severity: 'success', source }),
+      showError: (message) => {
+        console.error(`[admin-host][error][${source}]`, message);
+        notify({ message, severity: 'error', source });
+      },
+    });
+  }
+  return remoteNotifiers.get(source);
+}
@@ -0,0 +1,64 @@
+import { DEFAULT_PERSONA_ID, PRESET_PERSONAS } from '../personas/personas.js';
+
+// Active persona (preset or custom), remembered in localStorage.
+// Reason: a module store so tools outside the AppBar (e.g. scenarios) can switch personas too.
+
+const PERSONA_STORAGE_KEY = 'shophub.admin.persona';
+
+const listeners = new Set();
+
+function readStored() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(PERSONA_STORAGE_KEY) ?? 'null');
+    return {
+      activeId: typeof parsed?.activeId === 'string' ? parsed.activeId : DEFAULT_PERSONA_ID,
+      custom: Array.isArray(parsed?.custom) ? parsed.custom : [],
+    };
+  } catch {
+    return { activeId: DEFAULT_PERSONA_ID, custom: [] };
+  }
+}
+
+let state = readStored();
+
+function setState(updater) {
+  const next = updater(state);
+  if (next === state) return;
+  state = next;
+  window.localStorage.setItem(PERSONA_STORAGE_KEY, JSON.stringify(state));
+  for (const listener of listeners) listener();
+}
+
+export function getPersonaState() {
+  return state;
+}
+
+export function subscribePersona(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getPersonas(s = state) {
+  return [...PRESET_PERSONAS, ...s.custom];
+}
+
+export function getActivePersona(s = state) {
+  const personas = getPersonas(s);
+  return personas.find((p) => p.id === s.activeId) ?? personas.find((p) => p.id === DEFAULT_PERSONA_ID);
+}
+
+export function selectPersona(id) {
+  setState((prev) => ({ ...prev, activeId: id }));
+}
+
+// Adds (or replaces, by id) a custom persona and makes it active.
+export function addCustomPersona(custom) {
+  setState((prev) => ({ activeId: custom.id, custom: [...prev.custom.filter((p) => p.id !== custom.id), custom] }));
+}
+
+export function removeCustomPersona(id) {
+  setState((prev) => ({
+    activeId: prev.activeId === id ? DEFAULT_PERSONA_ID : prev.activeId,
+    custom: prev.custom.filter((p) => p.id !== id),
+  }));
+}
@@ -0,0 +1,220 @@
+import * as yup from 'yup';
+import { getSignedInUser, subscribeAuth } from '../auth/authStore.js';
+import { HOST_EVENTS, eventBus } from '../events/eventBus.js';
+import { i18n } from '../i18n/i18n.js';
+import { EDITABLE_COLORS, PALETTES, SHAPE, TYPOGRAPHY, createShellTheme } from './theme.js';
+
+// Shell theme settings: light / dark mode plus the theme editor's overrides.
+// - `mode`: `'light'` / `'dark'`; defaults to the OS preference.
+// - `overrides`: `{ palette, typography, shape }` applied on top of the mode's base theme
+//   (see `createShellTheme`); `palette` keeps per-mode overrides, e.g. `{ dark: { primary: { main } } }`.
+//
+// Persisted per signed-in user. Reason: admins share machines; one person's dark mode or
+// half-finished token experiment should not follow the next person who signs in.
+// Remotes share the shell's MUI `ThemeProvider`, so they re-render with the new theme on their own;
+// `theme:changed` is published for remotes that style themselves outside MUI.
+
+const STORAGE_KEY_PREFIX = 'shophub.admin.theme';
+const PUBLISH_DELAY_MS = 150;
+
+export const THEME_MODES = ['light', 'dark'];
+
+const EMPTY_OVERRIDES = { palette: {}, typography: {}, shape: {} };
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const color = () => yup.string().matches(HEX_COLOR, 'Colors must be hex values like #1a1a1a');
+const paletteOverridesSchema = yup
+  .object({
+    ...Object.fromEntries(EDITABLE_COLORS.map((key) => [key, yup.object({ main: color().required() }).default(undefined)])),
+    background: yup.object({ default: color(), paper: color() }).default(undefined),
+    text: yup.object({ primary: color(), secondary: color() }).default(undefined),
+  })
+  .noUnknown();
+
+// Shape of an imported theme JSON (the `mode` + `overrides` part of `exportThemeJson`).
+export const themeJsonSchema = yup.object({
+  mode: yup.string().oneOf(THEME_MODES).required(),
+  overrides: yup
+    .object({
+      palette: yup.object(Object.fromEntries(THEME_MODES.map((mode) => [mode, paletteOverridesSchema.default(undefined)]))),
+      typography: yup.object({
+        fontFamily: yup.string().trim().min(1),
+        fontSize: yup.number().min(10).max(20),
+      }),
+      shape: yup.object({ borderRadius: yup.number().min(0).max(32) }),
+    })
+    .required(),
+});
+
+const listeners = new Set();
+let publishTimer = null;
+
+function storageKey() {
+  return `${STORAGE_KEY_PREFIX}.${getSignedInUser()?.email ?? 'anonymous'}`;
+}
+
+function preferredMode() {
+  return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+function readStored() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(storageKey()) ?? 'null');
+    return {
+      mode: THEME_MODES.includes(parsed?.mode) ? parsed.mode : preferredMode(),
+      overrides: { ...EMPTY_OVERRIDES, ...parsed?.overrides },
+    };
+  } catch {
+    return { mode: preferredMode(), overrides: EMPTY_OVERRIDES };
+  }
+}
+
+function resolveOverrides({ mode, overrides }) {
+  return { ...overrides, palette: overrides.palette[mode] ?? {} };
+}
+
+let state = readStored();
+// Reason: the text direction belongs to the locale (`i18n`), but MUI reads it from the theme.
+let direction = i18n.getDirection();
+let theme = createShellTheme(state.mode, resolveOverrides(state), direction);
+
+function publishThemeChanged() {
+  window.clearTimeout(publishTimer);
+  // Reason: dragging a slider or color picker would otherwise publish on every input event.
+  publishTimer = window.setTimeout(() => {
+    eventBus.publish(HOST_EVENTS.THEME_CHANGED, { mode: state.mode, tokens: getThemeTokens() }, { source: 'shell' });
+  }, PUBLISH_DELAY_MS);
+}
+
+function setState(updater, { persist = true } = {}) {
+  const next = updater(state);
+  if (next === state) return;
+  state = next;
+  theme = createShellTheme(state.mode, resolveOverrides(state), direction);
+  if (persist) {
+    try {
+      window.localStorage.setItem(storageKey(), JSON.stringify(state));
+    } catch (e) {
+      console.error('[admin-host] Failed to persist theme settings:', e);
+    }
+  }
+  for (const listener of listeners) listener();
+  publishThemeChanged();
+}
+
+i18n.subscribe(() => {
+  if (i18n.getDirection() === direction) return;
+  direction = i18n.getDirection();
+  theme = createShellTheme(state.mode, resolveOverrides(state), direction);
+  for (const listener of listeners) listener();
+});
+
+// Reason: the settings are per user, so a sign-in / sign-out swaps them.
+let lastUserEmail = getSignedInUser()?.email ?? null;
+subscribeAuth(() => {
+  const email = getSignedInUser()?.email ?? null;
+  if (email === lastUserEmail) return;
+  lastUserEmail = email;
+  setState(() => readStored(), { persist: false });
+});
+
+export function getThemeState() {
+  return state;
+}
+
+// `{ mode, overrides }` with the palette overrides of the active mode, i.e. the `createShellTheme` arguments.
+export function resolveThemeSettings(s = state) {
+  return { mode: s.mode, overrides: resolveOverrides(s) };
+}
+
+// MUI theme for the current settings (same object until they change).
+export function getShellTheme() {
+  return theme;
+}
+
+export function subscribeTheme(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function setThemeMode(mode) {
+  if (!THEME_MODES.includes(mode)) return;
+  setState((prev) => (prev.mode === mode ? prev : { ...prev, mode }));
+}
+
+export function toggleThemeMode() {
+  setThemeMode(state.mode === 'dark' ? 'light' : 'dark');
+}
+
+// Palette overrides apply to the current mode only. `value: null` resets that token.
+export function setPaletteOverride(colorKey, shade, value) {
+  setState((prev) => {
+    const modePalette = { ...prev.overrides.palette[prev.mode] };
+    const colorOverride = { ...modePalette[colorKey], [shade]: value };
+    if (value == null) delete colorOverride[shade];
+    if (Object.keys(colorOverride).length) modePalette[colorKey] = colorOverride;
+    else delete modePalette[colorKey];
+    return { ...prev, overrides: { ...prev.overrides, palette: { ...prev.overrides.palette, [prev.mode]: modePalette } } };
+  });
+}
+
+export function setTypographyOverride(key, value) {
+  setState((prev) => {
+    const typography = { ...prev.overrides.typography, [key]: value };
+    if (value == null || value === '') delete typography[key];
+    return { ...prev, overrides: { ...prev.overrides, typography } };
+  });
+}
+
+export function setBorderRadius(borderRadius) {
+  setState((prev) => ({ ...prev, overrides: { ...prev.overrides, shape: borderRadius == null ? {} : { borderRadius } } }));
+}
+
+export function resetThemeOverrides() {
+  setState((prev) => ({ ...prev, overrides: EMPTY_OVERRIDES }));
+}
+
+export function hasThemeOverrides(s = state) {
+  const { palette, typography, shape } = s.overrides;
+  return Object.values(palette).some((p) => Object.keys(p ?? {}).length > 0) || Object.keys(typography).length > 0 || shape.borderRadius != null;
+}
+
+// Resolved design tokens of the current theme (what remotes actually get).
+export function getThemeTokens() {
+  const { palette, typography, shape } = theme;
+  const pick = (c) => ({ main: c.main, light: c.light, dark: c.dark, contrastText: c.contrastText });
+  return {
+    palette: {
+      mode: palette.mode,
+      ...Object.fromEntries(EDITABLE_COLORS.map((key) => [key, pick(palette[key])])),
+      background: { ...palette.background },
+      text: { primary: palette.text.primary, secondary: palette.text.secondary },
+      divider: palette.divider,
+    },
+    typography: { fontFamily: typography.fontFamily, fontSize: typography.fontSize },
+    shape: { borderRadius: shape.borderRadius },
+  };
+}
+
+// Theme JSON for export: the editable settings (re-importable) plus the resolved tokens.
+export function exportThemeJson() {
+  return { exportedAt: new Date().toISOString(), mode: state.mode, overrides: state.overrides, tokens: getThemeTokens() };
+}
+
+// Returns `{ success, error? }`; unknown keys (e.g. the exported `tokens`) are ignored.
+export function importThemeJson(json) {
+  try {
+    themeJsonSchema.validateSync(json);
+    // Reason: the validated JSON itself, not yup's cast, which fills absent keys with `undefined`.
+    const { mode, overrides } = json;
+    setState(() => ({ mode, overrides: { ...EMPTY_OVERRIDES, ...overrides, palette: { ...overrides.palette } } }));
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
+
+// Base values of the current mode, for the editor's placeholders / reset buttons.
+export function getThemeDefaults(mode = state.mode) {
+  return { palette: PALETTES[mode] ?? PALETTES.light, typography: TYPOGRAPHY, shape: SHAPE };
+}
@@ -0,0 +1,31 @@
+// Trigger a browser download for generated content (exports from admin tool pages).
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function downloadJson(filename, data) {
+  downloadBlob(filename, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+}
+
+// Reason: cells can hold remote-supplied text; spreadsheets run text starting with `=`, `+`, `-`, `@`
+// (or a tab / carriage return) as a formula, so such strings get a leading `'`.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value == null ? '' : typeof value === 'string' ? value : JSON.stringify(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// `columns`: `[{ key, label }]`; object values are written as JSON.
+export function downloadCsv(filename, columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.label)), ...rows.map((row) => columns.map((c) => csvCell(row[c.key])))];
+  downloadBlob(filename, new Blob([`${lines.map((cells) => cells.join(',')).join('\r\n')}\r\n`], { type: 'text/csv' }));
+}
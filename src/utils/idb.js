@@ -0,0 +1,83 @@
+// Minimal promise wrapper over the shell's IndexedDB database.
+// Reason: the shell keeps larger local histories (session recordings, ...) that do not fit localStorage.
+//
+// Object stores are declared in `STORES`; bump `DB_VERSION` whenever a store is added.
+
+const DB_NAME = 'shophub-admin';
+const DB_VERSION = 2;
+
+export const STORES = {
+  recordingSessions: { keyPath: 'id' },
+  recordingChunks: { keyPath: 'id', autoIncrement: true, indexes: { sessionId: 'sessionId' } },
+  auditEntries: { keyPath: 'id', indexes: { at: 'at', source: 'source', action: 'action' } },
+};
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDb() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [name, { keyPath, autoIncrement = false, indexes = {} }] of Object.entries(STORES)) {
+        if (db.objectStoreNames.contains(name)) continue;
+        const store = db.createObjectStore(name, { keyPath, autoIncrement });
+        for (const [indexName, indexKeyPath] of Object.entries(indexes)) store.createIndex(indexName, indexKeyPath);
+      }
+    };
+    dbPromise = promisify(request).catch((e) => {
+      dbPromise = null;
+      throw e;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  // Reason: listen for completion before issuing requests so a fast commit is never missed.
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const [result] = await Promise.all([fn(tx.objectStore(storeName)), done]);
+  return result;
+}
+
+export function idbPut(storeName, value) {
+  return withStore(storeName, 'readwrite', (store) => promisify(store.put(value)));
+}
+
+export function idbGet(storeName, key) {
+  return withStore(storeName, 'readonly', (store) => promisify(store.get(key)));
+}
+
+export function idbGetAll(storeName) {
+  return withStore(storeName, 'readonly', (store) => promisify(store.getAll()));
+}
+
+export function idbGetAllByIndex(storeName, indexName, key) {
+  return withStore(storeName, 'readonly', (store) => promisify(store.index(indexName).getAll(key)));
+}
+
+export function idbDelete(storeName, key) {
+  return withStore(storeName, 'readwrite', (store) => promisify(store.delete(key)));
+}
+
+// Delete every record whose `indexName` equals `key` (e.g. all chunks of one session).
+export function idbDeleteByIndex(storeName, indexName, key) {
+  return withStore(storeName, 'readwrite', async (store) => {
+    const keys = await promisify(store.index(indexName).getAllKeys(key));
+    await Promise.all(keys.map((k) => promisify(store.delete(k))));
+    return keys.length;
+  });
+}
@@ -3,13 +3,15 @@
  *
  * Goal:
  * - Keep the admin shell minimal (single page).
- * - Use static Module Federation remotes (env-configurable) like the learner shell.
+ * - Resolve Module Federation remotes at runtime from an emitted `remotes.json` manifest
+ *   (env-configurable defaults), so the shell can target any environment without a rebuild.
  */
 const path = require('node:path');
 
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const { Compilation, DefinePlugin, sources } = require('webpack');
 const { ModuleFederationPlugin } = require('webpack').container;
 
 const pkg = require('./package.json');
@@ -34,8 +36,62 @@ module.exports = (_env, argv) => {
   const zipyProjectKey = process.env.ZIPY_PROJECT_KEY ?? '';
   const zipyReleaseVer = process.env.ZIPY_RELEASE_VER ?? process.env.SHOPHUB_RELEASE_VER ?? pkg.version;
 
-  // Remotes default to Netlify in production (env can override).
-  // Reason: make `npm run build` outputs deployable without additional config.
+  // Error reporting config (optional), exposed to the app as `__ERROR_REPORTING_CONFIG__`.
+  // Reason: Sentry uses the Zipy release version so both map stack traces to the same sourcemaps;
+  // without a DSN, development builds keep Sentry events in memory (local transport) for offline testing.
+  const sentryDsn = process.env.SENTRY_DSN ?? '';
+  const errorReportingConfig = {
+    sentryDsn,
+    zipyProjectKey,
+    sentryEnvironment: process.env.SENTRY_ENVIRONMENT ?? (isProd ? 'production' : 'development'),
+    release: zipyReleaseVer,
+    localTransport: process.env.SENTRY_LOCAL_TRANSPORT ? process.env.SENTRY_LOCAL_TRANSPORT === '1' : !isProd && !sentryDsn,
+  };
+
+  // Auth config, exposed to the app as `__AUTH_CONFIG__` (see `src/auth/auth.js`).
+  // Reason: development builds sign in against the local stand-in provider so the shell works without
+  // an auth backend; set `SHOPHUB_AUTH_PROVIDER=http` to use the real endpoints.
+  const authConfig = {
+    provider: process.env.SHOPHUB_AUTH_PROVIDER ?? (isProd ? 'http' : 'local'),
+    loginUrl: process.env.SHOPHUB_AUTH_LOGIN_URL ?? '/api/auth/login',
+    refreshUrl: process.env.SHOPHUB_AUTH_REFRESH_URL ?? '/api/auth/refresh',
+    logoutUrl: process.env.SHOPHUB_AUTH_LOGOUT_URL ?? '/api/auth/logout',
+    // Other origins (comma-separated) whose requests get the admin's access token; same-origin and
+    // auth endpoint URLs always do. Reason: remotes also call third-party hosts through the shared client.
+    tokenOrigins: (process.env.SHOPHUB_API_ORIGINS ?? '')
+      .split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  };
+
+  // Shared runtime libs (Module Federation share scope), also exposed to the app as `__SHARED_DEPS_CONFIG__`.
+  // Reason: the shared-dependency inspector (`src/remotes/sharedDeps.js`) compares what remotes
+  // provide and require against what the shell shares.
+  const uniqueName = 'shophub-shell-admin';
+  const sharedDeps = {
+    react: { singleton: true, eager: true, requiredVersion: deps.react },
+    'react-dom': { singleton: true, eager: true, requiredVersion: deps['react-dom'] },
+    'react-router-dom': { singleton: true, requiredVersion: deps['react-router-dom'] },
+    '@emotion/react': { singleton: true, requiredVersion: deps['@emotion/react'] },
+    '@emotion/styled': { singleton: true, requiredVersion: deps['@emotion/styled'] },
+    '@mui/material': {
+      singleton: true,
+      requiredVersion: deps['@mui/material'],
+      version: getInstalledVersion('@mui/material'),
+    },
+    // NOTE: do not share `@mui/icons-material`.
+    // Reason: keep parity with the current setup; icons are safe to duplicate.
+  };
+  const sharedDepsConfig = {
+    uniqueName,
+    shared: Object.fromEntries(
+      Object.entries(sharedDeps).map(([name, config]) => [name, { ...config, version: config.version ?? getInstalledVersion(name) }]),
+    ),
+  };
+
+  // Remote manifest defaults: Netlify in production, localhost in development (env can override).
+  // Reason: make `npm run build` outputs deployable without additional config; the manifest
+  // itself can still be swapped or overridden at runtime (see `src/remotes/registry.js`).
   const authRemoteUrl =
     process.env.SHOPHUB_AUTH_REMOTE_URL ??
     (isProd ? 'https://shophub-auth-2.netlify.app/remoteEntry.js' : 'http://localhost:5174/remoteEntry.js');
@@ -52,18 +108,24 @@ module.exports = (_env, argv) => {
     process.env.SHOPHUB_ACCOUNT_REMOTE_URL ??
     (isProd ? 'https://shophub-account-2.netlify.app/remoteEntry.js' : 'http://localhost:5178/remoteEntry.js');
 
-  const mfRemotes = {
-    auth: `auth@${authRemoteUrl}`,
-    catalog: `catalog@${catalogRemoteUrl}`,
-    checkout: `checkout@${checkoutRemoteUrl}`,
-    wishlist: `wishlist@${wishlistRemoteUrl}`,
-    account: `account@${accountRemoteUrl}`,
+  const remoteManifest = {
+    remotes: {
+      auth: { url: authRemoteUrl },
+      catalog: { url: catalogRemoteUrl },
+      checkout: { url: checkoutRemoteUrl },
+      wishlist: { url: wishlistRemoteUrl },
+      account: { url: accountRemoteUrl },
+    },
   };
 
   return {
     name: 'shophub-shell-admin',
     mode: isProd ? 'production' : 'development',
-    entry: path.resolve(__dirname, 'src', 'main.jsx'),
+    entry: {
+      main: path.resolve(__dirname, 'src', 'main.jsx'),
+      // Page an isolated remote runs in (iframe mode, see `src/isolation/bridge.js`).
+      isolated: path.resolve(__dirname, 'src', 'isolation', 'frameMain.js'),
+    },
     output: {
       path: path.resolve(__dirname, 'dist'),
       filename: isProd ? 'assets/[name].[contenthash].js' : 'assets/[name].js',
@@ -73,7 +135,7 @@ module.exports = (_env, argv) => {
       // Reason: ensures chunks load correctly no matter what origin serves them (dev/prod/CDN).
       publicPath: 'auto',
       clean: true,
-      uniqueName: 'shophub-shell-admin',
+      uniqueName,
     },
     resolve: {
       extensions: ['.js', '.jsx', '.json'],
@@ -103,26 +165,30 @@ module.exports = (_env, argv) => {
     plugins: [
       new ModuleFederationPlugin({
         name: 'shophub-shell-admin',
-        remotes: mfRemotes,
-        // IMPORTANT: shell owns state; share runtime libs as singletons.
-        shared: {
-          react: { singleton: true, eager: true, requiredVersion: deps.react },
-          'react-dom': { singleton: true, eager: true, requiredVersion: deps['react-dom'] },
-          'react-router-dom': { singleton: true, requiredVersion: deps['react-router-dom'] },
-          '@emotion/react': { singleton: true, requiredVersion: deps['@emotion/react'] },
-          '@emotion/styled': { singleton: true, requiredVersion: deps['@emotion/styled'] },
-          '@mui/material': {
-            singleton: true,
-            requiredVersion: deps['@mui/material'],
-            version: getInstalledVersion('@mui/material'),
-          },
-          // NOTE: do not share `@mui/icons-material`.
-          // Reason: keep parity with the current setup; icons are safe to duplicate.
+        // NOTE: no static `remotes`; containers are loaded and initialized at runtime.
+        // The shell is also a container so remotes can import host APIs (`shell_admin/eventBus`, `shell_admin/http`, `shell_admin/i18n`).
+        // Reason: the container name must be a valid global identifier for remotes to reference.
+        filename: 'remoteEntry.js',
+        library: { type: 'var', name: 'shell_admin' },
+        exposes: {
+          './eventBus': path.resolve(__dirname, 'src', 'events', 'eventBus.js'),
+          './http': path.resolve(__dirname, 'src', 'api', 'httpClient.js'),
+          './i18n': path.resolve(__dirname, 'src', 'i18n', 'i18n.js'),
         },
+        // IMPORTANT: shell owns state; share runtime libs as singletons.
+        shared: sharedDeps,
+      }),
+
+      new DefinePlugin({
+        __ERROR_REPORTING_CONFIG__: JSON.stringify(errorReportingConfig),
+        __AUTH_CONFIG__: JSON.stringify(authConfig),
+        __SHARED_DEPS_CONFIG__: JSON.stringify(sharedDepsConfig),
       }),
 
       new HtmlWebpackPlugin({
         template: path.resolve(__dirname, 'index.html'),
+        // Reason: `remoteEntry.js` is for remotes importing host APIs; the shell page only needs `main`.
+        chunks: ['main'],
         // These options become available to the HTML template.
         zipySdkUrl,
         zipyProjectKey,
@@ -132,6 +198,31 @@ module.exports = (_env, argv) => {
         publicPath: '/',
       }),
 
+      new HtmlWebpackPlugin({
+        template: path.resolve(__dirname, 'isolated.html'),
+        filename: 'isolated.html',
+        chunks: ['isolated'],
+        publicPath: '/',
+      }),
+
+      // Emit `remotes.json` next to `index.html`.
+      // Reason: served by both the dev server and Netlify; edit it post-deploy to repoint remotes.
+      {
+        apply(compiler) {
+          compiler.hooks.thisCompilation.tap('RemoteManifestPlugin', (compilation) => {
+            compilation.hooks.processAssets.tap(
+              { name: 'RemoteManifestPlugin', stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+              () => {
+                compilation.emitAsset(
+                  'remotes.json',
+                  new sources.RawSource(`${JSON.stringify(remoteManifest, null, 2)}\n`),
+                );
+              },
+            );
+          });
+        },
+      },
+
       new CopyWebpackPlugin({
         patterns: [{ from: 'public', to: '.', noErrorOnMissing: true }],
       }),